@@ -5,8 +5,9 @@
  * This is the first step in ActivityPub communication.
  */
 
-const axios = require('axios');
+const http = require('http');
 const chalk = require('chalk');
+const { fetchResource } = require('./26-http-client');
 
 // Configuration
 const MASTODON_INSTANCES = [
@@ -16,52 +17,161 @@ const MASTODON_INSTANCES = [
   'mstdn.social'
 ];
 
+// WebFinger results by resource, so repeated lookups don't hit the network
+const WEBFINGER_CACHE_TTL_MS = Number(process.env.WEBFINGER_CACHE_TTL_MS || 15 * 60 * 1000);
+const webfingerCache = new Map();
+
+const ACTIVITY_JSON_TYPES = [
+  'application/activity+json',
+  'application/ld+json; profile="https://www.w3.org/ns/activitystreams"'
+];
+
+/**
+ * Use plain HTTP only for a local development server
+ * @param {string} host - Host (with optional port)
+ * @returns {string} "http" or "https"
+ */
+function schemeFor(host) {
+  return /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(host) ? 'http' : 'https';
+}
+
+/**
+ * Parse the different ways people write an actor reference
+ * Accepts "user@host", "@user@host", "acct:user@host" and profile URLs
+ * @param {string} input - Actor reference
+ * @returns {{resource: string, domain: string, username: string|null}} WebFinger resource and host
+ */
+function parseActorReference(input) {
+  const value = String(input || '').trim();
+
+  if (/^https?:\/\//i.test(value)) {
+    const url = new URL(value);
+    const username = (url.pathname.match(/^\/(?:@|users\/)([^/]+)/) || [])[1] || null;
+    return { resource: url.toString(), domain: url.host, username };
+  }
+
+  const match = value.replace(/^acct:/i, '').match(/^@?([^@\s]+)@([^@\s/]+)$/);
+  if (!match) {
+    throw new Error('Invalid handle format. Use: username@domain.com, @username@domain.com, acct:username@domain.com or a profile URL');
+  }
+
+  const [, username, domain] = match;
+  return { resource: `acct:${username}@${domain}`, domain, username };
+}
+
+/**
+ * Find the ActivityPub actor link in a JRD
+ * @param {Object} jrd - WebFinger JSON Resource Descriptor
+ * @returns {string|undefined} Actor URL
+ */
+function selectActorLink(jrd) {
+  const normalize = type => (type || '').toLowerCase().replace(/\s+/g, '').replace(/'/g, '"');
+  const accepted = ACTIVITY_JSON_TYPES.map(normalize);
+
+  return (jrd.links || []).find(
+    link => link.rel === 'self' && accepted.includes(normalize(link.type))
+  )?.href;
+}
+
+/**
+ * Fetch a JRD from a WebFinger URL
+ * @param {string} webfingerUrl - Complete WebFinger request URL
+ * @returns {Promise<Object>} JRD
+ */
+async function fetchJrd(webfingerUrl) {
+  console.log(chalk.gray(`📡 Making request to: ${webfingerUrl}`));
+
+  const response = await fetchResource(webfingerUrl, { accept: 'jrd' });
+  return response.data;
+}
+
+/**
+ * Read the LRDD template from a domain's host-meta document (XRD or JSON)
+ * @param {string} domain - Handle domain
+ * @returns {Promise<string|null>} URL template containing {uri}
+ */
+async function fetchLrddTemplate(domain) {
+  const hostMetaUrl = `${schemeFor(domain)}://${domain}/.well-known/host-meta`;
+  console.log(chalk.gray(`📡 Falling back to host-meta: ${hostMetaUrl}`));
+
+  const response = await fetchResource(hostMetaUrl, { accept: 'xrd' });
+
+  // JSON host-meta arrives parsed, XRD as text
+  if (typeof response.data === 'object') {
+    const lrdd = (response.data.links || []).find(link => link.rel === 'lrdd' && link.template);
+    return lrdd ? lrdd.template : null;
+  }
+
+  const body = response.data.trim();
+
+  for (const [element] of body.matchAll(/<Link\b[^>]*>/gi)) {
+    const rel = (element.match(/\brel=["']([^"']+)["']/i) || [])[1];
+    const template = (element.match(/\btemplate=["']([^"']+)["']/i) || [])[1];
+    if (rel === 'lrdd' && template) {
+      return template.replace(/&amp;/g, '&');
+    }
+  }
+
+  return null;
+}
+
 /**
  * Discover ActivityPub actor using WebFinger
- * @param {string} handle - ActivityPub handle (e.g., "username@instance.com")
+ * Falls back to the host-meta LRDD template when the handle domain delegates WebFinger to another host
+ * @param {string} handle - Actor reference (e.g., "username@instance.com", "@username@instance.com", "acct:...", profile URL)
+ * @param {Object} options - Discovery options
+ * @param {boolean} options.useCache - Use cached results (default: true)
  * @returns {Promise<Object>} WebFinger response
  */
-async function discoverActor(handle) {
+async function discoverActor(handle, options = {}) {
   console.log(chalk.blue(`🔍 Discovering actor: ${handle}`));
   
-  // Parse handle
-  const [username, domain] = handle.split('@');
-  if (!username || !domain) {
-    throw new Error('Invalid handle format. Use: username@domain.com');
+  const { resource, domain } = parseActorReference(handle);
+  const cached = webfingerCache.get(resource);
+
+  if (cached && options.useCache !== false && cached.expiresAt > Date.now()) {
+    console.log(chalk.gray(`💾 Using cached WebFinger result for ${resource}`));
+    return cached.result;
   }
 
-  // Construct WebFinger URL
-  const webfingerUrl = `https://${domain}/.well-known/webfinger?resource=acct:${handle}`;
+  let webfingerData;
+  let webfingerUrl = `${schemeFor(domain)}://${domain}/.well-known/webfinger?resource=${encodeURIComponent(resource)}`;
   
   try {
-    console.log(chalk.gray(`📡 Making request to: ${webfingerUrl}`));
-    
-    const response = await axios.get(webfingerUrl, {
-      headers: {
-        'Accept': 'application/jrd+json',
-        'User-Agent': 'ActivityPub-Learning-Setup/1.0'
-      },
-      timeout: 10000
-    });
+    try {
+      webfingerData = await fetchJrd(webfingerUrl);
+    } catch (error) {
+      // e.g. @alice@example.com where WebFinger lives on social.example.com
+      const template = await fetchLrddTemplate(domain).catch(() => null);
+      if (!template) {
+        throw error;
+      }
+      webfingerUrl = template.replace('{uri}', encodeURIComponent(resource));
+      webfingerData = await fetchJrd(webfingerUrl);
+    }
 
     console.log(chalk.green('✅ WebFinger discovery successful!'));
     console.log(chalk.yellow('📋 Response data:'));
-    console.log(JSON.stringify(response.data, null, 2));
+    console.log(JSON.stringify(webfingerData, null, 2));
     
     // Extract ActivityPub actor URL
-    const actorUrl = response.data.links?.find(
-      link => link.type === 'application/activity+json'
-    )?.href;
+    const actorUrl = selectActorLink(webfingerData);
     
     if (actorUrl) {
       console.log(chalk.cyan(`🎭 Actor URL found: ${actorUrl}`));
     }
     
-    return {
+    const result = {
       handle,
-      webfingerData: response.data,
+      resource,
+      subject: webfingerData.subject,
+      webfingerHost: new URL(webfingerUrl).host,
+      webfingerData,
       actorUrl
     };
+
+    webfingerCache.set(resource, { result, expiresAt: Date.now() + WEBFINGER_CACHE_TTL_MS });
+    return result;
     
   } catch (error) {
     console.error(chalk.red(`❌ WebFinger discovery failed for ${handle}:`));
@@ -76,6 +186,56 @@ async function discoverActor(handle) {
   }
 }
 
+/**
+ * Remove all cached WebFinger results
+ */
+function clearWebFingerCache() {
+  webfingerCache.clear();
+}
+
+/**
+ * Resolve a handle whose domain only serves host-meta, using two local servers
+ */
+async function demonstrateHostMetaFallback() {
+  console.log(chalk.magenta('🔀 host-meta fallback (local servers):'));
+
+  const webfingerHost = http.createServer((req, res) => {
+    const resource = new URL(req.url, 'http://127.0.0.1').searchParams.get('resource');
+    res.writeHead(200, { 'Content-Type': 'application/jrd+json' });
+    res.end(JSON.stringify({
+      subject: resource,
+      links: [{
+        rel: 'self',
+        type: 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"',
+        href: `http://127.0.0.1:${webfingerHost.address().port}/users/professor`
+      }]
+    }));
+  });
+
+  const handleDomain = http.createServer((req, res) => {
+    if (req.url !== '/.well-known/host-meta') {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xrd+xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<XRD xmlns="http://docs.oasis-open.org/ns/xri/xrd-1.0">
+  <Link rel="lrdd" template="http://127.0.0.1:${webfingerHost.address().port}/.well-known/webfinger?resource={uri}"/>
+</XRD>`);
+  });
+
+  await new Promise(resolve => webfingerHost.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => handleDomain.listen(0, 'localhost', resolve));
+
+  try {
+    const result = await discoverActor(`@professor@localhost:${handleDomain.address().port}`);
+    console.log(chalk.cyan(`🔀 WebFinger answered by ${result.webfingerHost}`));
+  } finally {
+    webfingerHost.close();
+    handleDomain.close();
+  }
+}
+
 /**
  * Test WebFinger discovery with multiple examples
  */
@@ -84,8 +244,10 @@ async function runWebFingerTests() {
   
   // Test accounts (using public figures who likely have ActivityPub accounts)
   const testAccounts = [
-    'Gargron@mastodon.social',  // Mastodon creator
-    'dansup@pixelfed.social',   // Pixelfed creator
+    'Gargron@mastodon.social',            // Mastodon creator
+    '@dansup@pixelfed.social',            // Pixelfed creator
+    'acct:Gargron@mastodon.social',       // Same account again, served from cache
+    'https://mastodon.social/@Gargron',   // Profile URL
   ];
   
   for (const account of testAccounts) {
@@ -98,6 +260,10 @@ async function runWebFingerTests() {
     }
   }
   
+  console.log(chalk.blue('='.repeat(50)));
+  await demonstrateHostMetaFallback();
+  console.log('\n');
+  
   // Interactive mode - let user test their own handle
   console.log(chalk.magenta('💡 To test your own handle, modify the testAccounts array in this file.'));
   console.log(chalk.gray('Example: Add your Mastodon handle like "yourname@mastodon.social"'));
@@ -111,6 +277,7 @@ function printWebFingerInfo() {
   console.log(chalk.white('- Maps human-readable identifiers to machine-readable resources'));
   console.log(chalk.white('- Returns JSON Resource Descriptor (JRD) with links'));
   console.log(chalk.white('- ActivityPub actors are found via "application/activity+json" link type'));
+  console.log(chalk.white('- host-meta (LRDD) tells us where WebFinger lives when it\'s on another host'));
   console.log(chalk.white('- Used for federation between different ActivityPub instances\n'));
 }
 
@@ -120,4 +287,12 @@ if (require.main === module) {
   runWebFingerTests().catch(console.error);
 }
 
-module.exports = { discoverActor };
\ No newline at end of file
+module.exports = {
+  MASTODON_INSTANCES,
+  schemeFor,
+  parseActorReference,
+  selectActorLink,
+  fetchLrddTemplate,
+  discoverActor,
+  clearWebFingerCache
+};
\ No newline at end of file
@@ -5,35 +5,154 @@
  * This shows ActivityPub Note objects in action.
  */
 
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
+const { discoverActor, selectActorLink, schemeFor } = require('./01-webfinger-discovery');
+const { normalizeObject } = require('./15-jsonld-normalization');
+const { validateObject } = require('./16-as2-validator');
+const { sanitizeHtml, htmlToText } = require('./19-html-content');
+const { fetchResource } = require('./26-http-client');
+const { addressingForVisibility, visibilityFromAddressing } = require('./lib/addressing');
+
+// Configuration
+const FIXTURES_FILE = path.join(__dirname, 'fixtures', 'mastodon-statuses.json');
+
+// Timeline name → Mastodon REST endpoint and fixed query parameters
+const TIMELINES = {
+  'public': () => ['/api/v1/timelines/public', { local: false }],
+  'local': () => ['/api/v1/timelines/public', { local: true }],
+  'hashtag': tag => [`/api/v1/timelines/tag/${encodeURIComponent(tag)}`, {}]
+};
+
+// Mastodon never returns more than 40 statuses per page
+const MAX_PAGE_SIZE = 40;
+
+// Mastodon's extension terms, declared inline like Mastodon does
+const NOTE_CONTEXT = [
+  'https://www.w3.org/ns/activitystreams',
+  {
+    sensitive: 'as:sensitive',
+    Hashtag: 'as:Hashtag',
+    toot: 'http://joinmastodon.org/ns#',
+    Emoji: 'toot:Emoji',
+    blurhash: 'toot:blurhash',
+    focalPoint: { '@container': '@list', '@id': 'toot:focalPoint' },
+    votersCount: 'toot:votersCount'
+  }
+];
+
+const MEDIA_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif',
+  mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+  mp3: 'audio/mpeg', ogg: 'audio/ogg', oga: 'audio/ogg', m4a: 'audio/mp4', wav: 'audio/wav', flac: 'audio/flac'
+};
+
+// What Mastodon transcodes uploads to, for URLs without a usable extension
+const MEDIA_TYPE_FALLBACKS = { image: 'image/jpeg', gifv: 'video/mp4', video: 'video/mp4', audio: 'audio/mpeg' };
+
+/**
+ * Get the base URL for an instance given as a domain or as a full URL
+ * @param {string} instance - Instance domain (e.g., "mastodon.social") or base URL
+ * @returns {string} Base URL without trailing slash (plain HTTP only for localhost)
+ */
+function instanceBaseUrl(instance) {
+  return /^https?:\/\//.test(instance) ? instance.replace(/\/+$/, '') : `${schemeFor(instance)}://${instance}`;
+}
+
+/**
+ * Parse an HTTP Link header into URLs by relation
+ * Mastodon links rel="next" to older statuses (max_id) and rel="prev" to newer ones (min_id).
+ * @param {string} header - Link header value
+ * @returns {Object<string, string>} URL for each relation, e.g. { next, prev }
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  const pattern = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g;
+  let match;
+  
+  while ((match = pattern.exec(header || '')) !== null) {
+    const rel = /;\s*rel="?([^";]+)"?/i.exec(match[2]);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => {
+        links[name.toLowerCase()] = match[1];
+      });
+    }
+  }
+  
+  return links;
+}
+
+/**
+ * Read a paging cursor from a Link URL
+ * @param {string} url - URL from the Link header
+ * @param {string} name - Query parameter (max_id, min_id or since_id)
+ * @returns {string|undefined} Cursor value
+ */
+function cursorFromLink(url, name) {
+  return url ? new URL(url).searchParams.get(name) || undefined : undefined;
+}
+
+/**
+ * Fetch one page of a Mastodon timeline
+ * @param {string} instance - Instance domain or base URL
+ * @param {Object} options - Page options
+ * @param {string} options.timeline - "public", "local" or "hashtag" (default: "public")
+ * @param {string} options.tag - Hashtag without "#" (hashtag timeline only)
+ * @param {number} options.limit - Statuses per page, at most 40 (default: 20)
+ * @param {string} options.maxId - Only statuses older than this id
+ * @param {string} options.minId - Only statuses directly newer than this id (oldest first)
+ * @param {string} options.sinceId - Only statuses newer than this id (newest first)
+ * @returns {Promise<{statuses: Array, links: Object, nextMaxId: string, prevMinId: string}>} Page and cursors
+ */
+async function fetchTimelinePage(instance, options = {}) {
+  const timeline = options.timeline || 'public';
+  
+  if (!TIMELINES[timeline]) {
+    throw new Error(`Unknown timeline "${timeline}" (expected ${Object.keys(TIMELINES).join(', ')})`);
+  }
+  if (timeline === 'hashtag' && !options.tag) {
+    throw new Error('The hashtag timeline needs a tag');
+  }
+  
+  const [endpoint, fixedParams] = TIMELINES[timeline](options.tag);
+  const params = { ...fixedParams, limit: Math.min(options.limit || 20, MAX_PAGE_SIZE) };
+  if (options.maxId) {
+    params.max_id = options.maxId;
+  }
+  if (options.minId) {
+    params.min_id = options.minId;
+  }
+  if (options.sinceId) {
+    params.since_id = options.sinceId;
+  }
+  
+  const response = await fetchResource(`${instanceBaseUrl(instance)}${endpoint}`, { params });
+  
+  const links = parseLinkHeader(response.headers.link);
+  return {
+    statuses: response.data,
+    links,
+    nextMaxId: cursorFromLink(links.next, 'max_id'),
+    prevMinId: cursorFromLink(links.prev, 'min_id')
+  };
+}
 
 /**
  * Fetch public timeline from a Mastodon instance
  * @param {string} instance - Mastodon instance domain
  * @param {number} limit - Number of posts to fetch (default: 5)
- * @returns {Promise<Array>} Array of ActivityPub Note objects
+ * @param {Object} options - Timeline and paging options, see fetchTimelinePage
+ * @returns {Promise<Array>} Array of Mastodon statuses
  */
-async function fetchPublicTimeline(instance, limit = 5) {
-  console.log(chalk.blue(`📰 Fetching public timeline from: ${instance}`));
-  
-  const timelineUrl = `https://${instance}/api/v1/timelines/public`;
+async function fetchPublicTimeline(instance, limit = 5, options = {}) {
+  console.log(chalk.blue(`📰 Fetching ${options.timeline || 'public'} timeline from: ${instance}`));
   
   try {
-    const response = await axios.get(timelineUrl, {
-      params: {
-        limit: limit,
-        local: false // Include federated content
-      },
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'ActivityPub-Learning-Setup/1.0'
-      },
-      timeout: 10000
-    });
+    const page = await fetchTimelinePage(instance, { ...options, limit });
 
-    console.log(chalk.green(`✅ Successfully fetched ${response.data.length} posts`));
-    return response.data;
+    console.log(chalk.green(`✅ Successfully fetched ${page.statuses.length} posts`));
+    return page.statuses;
     
   } catch (error) {
     console.error(chalk.red(`❌ Failed to fetch timeline from ${instance}:`));
@@ -42,56 +161,239 @@ async function fetchPublicTimeline(instance, limit = 5) {
   }
 }
 
+/**
+ * Walk a timeline backwards from the newest (or options.maxId) status
+ * Stops at the first status older than options.until, after options.maxItems statuses
+ * or when the instance has nothing older. Timelines are ordered by id, so a status that
+ * federated late can still show up just below the date boundary and end the walk.
+ * @param {string} instance - Instance domain or base URL
+ * @param {Object} options - Walk options
+ * @param {string} options.timeline - "public", "local" or "hashtag" (default: "public")
+ * @param {string} options.tag - Hashtag without "#" (hashtag timeline only)
+ * @param {string} options.maxId - Start below this status id (e.g., to resume)
+ * @param {Date|string} options.until - Stop at statuses created before this date
+ * @param {number} options.maxItems - Item budget
+ * @param {number} options.pageSize - Statuses per request (default: 40)
+ * @returns {AsyncGenerator<Object>} Mastodon statuses, newest first
+ */
+async function* iterateTimeline(instance, options = {}) {
+  const until = options.until ? new Date(options.until) : null;
+  const maxItems = options.maxItems || Infinity;
+  const pageSize = options.pageSize || MAX_PAGE_SIZE;
+  let maxId = options.maxId;
+  let yielded = 0;
+  
+  while (yielded < maxItems) {
+    const page = await fetchTimelinePage(instance, {
+      timeline: options.timeline,
+      tag: options.tag,
+      limit: Math.min(pageSize, maxItems - yielded),
+      maxId
+    });
+    
+    if (page.statuses.length === 0) {
+      return;
+    }
+    
+    for (const status of page.statuses) {
+      if (until && new Date(status.created_at) < until) {
+        return;
+      }
+      yield status;
+      yielded++;
+      if (yielded >= maxItems) {
+        return;
+      }
+    }
+    
+    // Servers without Link headers still page correctly by the oldest id seen
+    const nextMaxId = page.nextMaxId || page.statuses[page.statuses.length - 1].id;
+    if (nextMaxId === maxId) {
+      console.log(chalk.yellow(`⚠️ Timeline did not advance past ${maxId}, stopping`));
+      return;
+    }
+    maxId = nextMaxId;
+  }
+}
+
 /**
  * Parse and display ActivityPub Note information
+ * The post is converted to a Note and normalized, so the analysis reads the same
+ * fields as for any other ActivityPub object.
  * @param {Object} post - Mastodon post object
  * @param {number} index - Post index for display
  */
-function analyzePost(post, index) {
+async function analyzePost(post, index) {
+  const booster = post.reblog ? post.account : null;
+  post = post.reblog || post;
+  const note = await normalizeObject(convertToActivityPubNote(post));
+  
   console.log(chalk.yellow(`\n📝 Post #${index + 1}:`));
+  if (booster) {
+    console.log(chalk.cyan(`🔄 Boosted by: @${booster.acct}`));
+  }
   console.log(chalk.cyan(`ID: ${post.id}`));
-  console.log(chalk.cyan(`Author: @${post.account.username}@${new URL(post.account.url).hostname}`));
-  console.log(chalk.cyan(`Created: ${new Date(post.created_at).toLocaleString()}`));
+  console.log(chalk.cyan(`Author: @${post.account.username}@${new URL(note.attributedTo).hostname}`));
+  console.log(chalk.cyan(`Created: ${new Date(note.published).toLocaleString()}`));
   console.log(chalk.cyan(`Visibility: ${post.visibility}`));
   console.log(chalk.cyan(`Language: ${post.language || 'unknown'}`));
   
-  // Content (strip HTML for readability)
-  const content = post.content.replace(/<[^>]*>/g, '').trim();
+  // Content as plain text, links and hashtags included
+  const content = htmlToText(note.content);
   const preview = content.length > 100 ? content.substring(0, 100) + '...' : content;
   console.log(chalk.white(`Content: ${preview}`));
   
   // Engagement metrics
-  console.log(chalk.green(`💬 Replies: ${post.replies_count} | 🔄 Boosts: ${post.reblogs_count} | ⭐ Favorites: ${post.favourites_count}`));
+  console.log(chalk.green(`💬 Replies: ${note.replies.totalItems} | 🔄 Boosts: ${note.shares.totalItems} | ⭐ Favorites: ${note.likes.totalItems}`));
+  
+  // Addressing
+  console.log(chalk.magenta(`📬 To: ${note.to.join(', ') || 'nobody'} | CC: ${note.cc.join(', ') || 'nobody'}`));
   
   // Media attachments
-  if (post.media_attachments.length > 0) {
-    console.log(chalk.magenta(`📎 Attachments: ${post.media_attachments.length}`));
-    post.media_attachments.forEach((attachment, i) => {
-      console.log(chalk.gray(`  ${i + 1}. ${attachment.type}: ${attachment.url}`));
+  if (note.attachment.length > 0) {
+    console.log(chalk.magenta(`📎 Attachments: ${note.attachment.length}`));
+    note.attachment.forEach((attachment, i) => {
+      console.log(chalk.gray(`  ${i + 1}. ${attachment.mediaType}: ${attachment.url}`));
     });
   }
   
   // ActivityPub specific fields
-  console.log(chalk.blue(`🔗 ActivityPub URL: ${post.url}`));
-  console.log(chalk.blue(`🌐 ActivityPub URI: ${post.uri}`));
+  console.log(chalk.blue(`🔗 ActivityPub URL: ${note.url}`));
+  console.log(chalk.blue(`🌐 ActivityPub URI: ${note.id}`));
+}
+
+/**
+ * Guess a file's media type from its URL
+ * The Mastodon API only says "image", "video", ... so the extension is the best hint.
+ * @param {string} url - File URL
+ * @param {string} fallback - Media type when the extension is unknown
+ * @returns {string} Media type (e.g., "image/png")
+ */
+function mediaTypeFromUrl(url, fallback = 'application/octet-stream') {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url || '');
+  return (match && MEDIA_TYPES[match[1].toLowerCase()]) || fallback;
+}
+
+/**
+ * Collect the accounts a set of statuses already describes (authors and boosted authors)
+ * @param {Array<Object>} statuses - Mastodon statuses
+ * @returns {Array<Object>} Mastodon accounts
+ */
+function knownAccounts(statuses = []) {
+  return statuses.flatMap(status => [status.account, status.reblog && status.reblog.account]).filter(Boolean);
+}
+
+/**
+ * Get the actor URI of a mentioned account
+ * The API only gives the mention's profile page (url), which is not an actor. The URI comes
+ * from options.mentionUris (see resolveMentionUris) or an account seen in options.statuses;
+ * the profile URL is only the last resort.
+ * @param {Object} mention - Mastodon mention
+ * @param {Object} options - Same options as convertToActivityPubNote
+ * @returns {string} Actor URI
+ */
+function mentionActorId(mention, options = {}) {
+  const account = knownAccounts(options.statuses).find(known => known.uri && known.url === mention.url);
+  return (options.mentionUris && options.mentionUris[mention.url]) || (account && account.uri) || mention.url;
+}
+
+/**
+ * Resolve the actor URIs of all mentioned accounts via WebFinger
+ * Mastodon answers WebFinger for profile URLs, so the mention's url is the resource.
+ * @param {Array<Object>} statuses - Mastodon statuses
+ * @returns {Promise<Object>} Profile URL → actor URI, for convertToActivityPubNote's options.mentionUris
+ */
+async function resolveMentionUris(statuses) {
+  const mentionUris = {};
+  const profiles = new Set(statuses.flatMap(status => (status.reblog || status).mentions || []).map(mention => mention.url));
+  
+  for (const profile of profiles) {
+    try {
+      const actorId = selectActorLink(await discoverActor(profile));
+      if (actorId) {
+        mentionUris[profile] = actorId;
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not resolve ${profile}: ${error.message}`));
+    }
+  }
+  
+  return mentionUris;
+}
+
+/**
+ * Get the Mastodon id for a status URI
+ * @param {string} uri - Status URI
+ * @param {Array<Object>} statuses - Known statuses to look the URI up in
+ * @returns {string|null} Status id
+ */
+function statusIdFor(uri, statuses = []) {
+  const known = statuses.find(status => status.uri === uri);
+  if (known) {
+    return known.id;
+  }
+  const match = /\/(\d+)(?:\/activity)?$/.exec(uri || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the URI of the status a post replies to
+ * The API only gives the parent's id on the instance the post was fetched from. A parent in
+ * options.statuses has its URI; otherwise the URI is built on options.instance: statuses of
+ * its own accounts live at /users/<username>/statuses/<id> there, for remote accounts the
+ * instance's status URL is the best reference we have.
+ * @param {Object} post - Mastodon post object
+ * @param {Object} options - Same options as convertToActivityPubNote
+ * @returns {string|null} Parent URI (null when the post is no reply or the instance is unknown)
+ */
+function parentStatusUri(post, options = {}) {
+  if (!post.in_reply_to_id) {
+    return null;
+  }
+
+  const parent = (options.statuses || []).find(status => status.id === post.in_reply_to_id);
+  if (parent) {
+    return parent.uri;
+  }
+  if (!options.instance) {
+    return null;
+  }
+
+  // The replied-to account is usually the author (threads) or one of the mentions
+  const baseUrl = instanceBaseUrl(options.instance);
+  const account = [post.account, ...(post.mentions || []), ...knownAccounts(options.statuses)]
+    .find(known => known.id === post.in_reply_to_account_id);
+  if (account && !account.acct.includes('@')) {
+    return `${baseUrl}/users/${account.username}/statuses/${post.in_reply_to_id}`;
+  }
+  return `${baseUrl}/api/v1/statuses/${post.in_reply_to_id}`;
 }
 
 /**
  * Convert Mastodon API response to ActivityPub Note format
+ * Statuses with a poll become a Question. The API only gives the id of the status
+ * replied to, so inReplyTo comes from parentStatusUri.
  * @param {Object} post - Mastodon post object
- * @returns {Object} ActivityPub Note object
+ * @param {Object} options - Conversion options
+ * @param {Array<Object>} options.statuses - Other statuses (e.g., the rest of the timeline)
+ * @param {Object} options.mentionUris - Profile URL → actor URI of mentioned accounts (see resolveMentionUris)
+ * @param {string} options.instance - Instance the post was fetched from, for replies to statuses not in options.statuses
+ * @returns {Object} ActivityPub Note or Question object
  */
-function convertToActivityPubNote(post) {
-  return {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Note',
+function convertToActivityPubNote(post, options = {}) {
+  const actorId = post.account.uri || post.account.url;
+  const mentions = (post.mentions || []).map(mention => ({ ...mention, actorId: mentionActorId(mention, options) }));
+  const parentUri = parentStatusUri(post, options);
+  
+  const note = {
+    '@context': NOTE_CONTEXT,
+    type: post.poll ? 'Question' : 'Note',
     id: post.uri,
     published: post.created_at,
-    attributedTo: post.account.url,
+    attributedTo: actorId,
     content: post.content,
-    to: post.visibility === 'public' ? ['https://www.w3.org/ns/activitystreams#Public'] : [],
-    cc: post.visibility === 'unlisted' ? ['https://www.w3.org/ns/activitystreams#Public'] : [],
-    url: post.url,
+    ...addressingForVisibility(post.visibility, `${actorId}/followers`, mentions.map(mention => mention.actorId)),
+    sensitive: Boolean(post.sensitive),
     replies: {
       type: 'Collection',
       totalItems: post.replies_count
@@ -104,14 +406,267 @@ function convertToActivityPubNote(post) {
       type: 'Collection',
       totalItems: post.reblogs_count
     },
-    attachment: post.media_attachments.map(media => ({
-      type: 'Document',
-      mediaType: media.type === 'image' ? 'image/*' : 'unknown',
-      url: media.url
-    }))
+    tag: [
+      ...mentions.map(mention => ({ type: 'Mention', href: mention.actorId, name: `@${mention.acct}` })),
+      ...(post.tags || []).map(tag => ({ type: 'Hashtag', href: tag.url, name: `#${tag.name}` })),
+      ...(post.emojis || []).map(emoji => ({
+        type: 'Emoji',
+        name: `:${emoji.shortcode}:`,
+        icon: { type: 'Image', mediaType: mediaTypeFromUrl(emoji.url, 'image/png'), url: emoji.url }
+      }))
+    ],
+    attachment: post.media_attachments.map(media => {
+      const url = media.remote_url || media.url;
+      const original = (media.meta && media.meta.original) || {};
+      const focus = media.meta && media.meta.focus;
+      return {
+        type: 'Document',
+        mediaType: mediaTypeFromUrl(url, MEDIA_TYPE_FALLBACKS[media.type]),
+        url,
+        ...(media.description ? { name: media.description } : {}),
+        ...(media.blurhash ? { blurhash: media.blurhash } : {}),
+        ...(original.width ? { width: original.width, height: original.height } : {}),
+        ...(focus ? { focalPoint: [focus.x, focus.y] } : {})
+      };
+    })
+  };
+  
+  if (post.url) {
+    note.url = post.url;
+  }
+  if (post.edited_at) {
+    note.updated = post.edited_at;
+  }
+  if (post.spoiler_text) {
+    note.summary = post.spoiler_text;
+  }
+  if (post.language) {
+    note.contentMap = { [post.language]: post.content };
+  }
+  if (parentUri) {
+    note.inReplyTo = parentUri;
+  }
+  
+  if (post.poll) {
+    note[post.poll.multiple ? 'anyOf' : 'oneOf'] = post.poll.options.map(option => ({
+      type: 'Note',
+      name: option.title,
+      replies: { type: 'Collection', totalItems: option.votes_count }
+    }));
+    note.endTime = post.poll.expires_at;
+    note.votersCount = post.poll.voters_count;
+    if (post.poll.expired) {
+      note.closed = post.poll.expires_at;
+    }
+  }
+  
+  return note;
+}
+
+/**
+ * Convert any Mastodon status: reblogs become Announce, everything else a Note/Question
+ * @param {Object} post - Mastodon post object
+ * @param {Object} options - Same options as convertToActivityPubNote
+ * @returns {Object} ActivityPub object or activity
+ */
+function convertToActivityPub(post, options = {}) {
+  if (!post.reblog) {
+    return convertToActivityPubNote(post, options);
+  }
+  
+  const actorId = post.account.uri || post.account.url;
+  const original = post.reblog.account ? [post.reblog.account.uri || post.reblog.account.url] : [];
+  
+  return {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Announce',
+    id: post.uri,
+    actor: actorId,
+    published: post.created_at,
+    ...addressingForVisibility(post.visibility, `${actorId}/followers`, original),
+    object: post.reblog.uri
+  };
+}
+
+/**
+ * Convert an ActivityPub Note, Question or Announce back into Mastodon-status-shaped JSON
+ * Fields AS2 does not carry (account details, media ids, ...) are null or taken from options.
+ * @param {Object} object - ActivityPub object, e.g. from convertToActivityPub
+ * @param {Object} options - Conversion options
+ * @param {Array<Object>} options.statuses - Known statuses to resolve ids, replies, reblogs and mentioned accounts
+ * @param {Object} options.account - Mastodon account of the author
+ * @returns {Object} Mastodon status
+ */
+function convertToMastodonStatus(object, options = {}) {
+  const statuses = options.statuses || [];
+  const actorId = object.attributedTo || object.actor;
+  const tags = [].concat(object.tag || []);
+  const languages = object.contentMap ? Object.keys(object.contentMap) : [];
+  const parentUri = object.inReplyTo && (object.inReplyTo.id || object.inReplyTo);
+  const parent = parentUri && statuses.find(status => status.uri === parentUri);
+  const url = object.url && (object.url.href || object.url);
+  const accounts = knownAccounts(statuses);
+  
+  const status = {
+    id: statusIdFor(object.id, statuses),
+    created_at: object.published,
+    in_reply_to_id: parentUri ? statusIdFor(parentUri, statuses) : null,
+    in_reply_to_account_id: parent ? parent.account.id : null,
+    sensitive: Boolean(object.sensitive),
+    spoiler_text: object.summary || '',
+    visibility: visibilityFromAddressing(object),
+    language: languages[0] || null,
+    uri: object.id,
+    url: url || null,
+    replies_count: object.replies ? object.replies.totalItems || 0 : 0,
+    reblogs_count: object.shares ? object.shares.totalItems || 0 : 0,
+    favourites_count: object.likes ? object.likes.totalItems || 0 : 0,
+    edited_at: object.updated || null,
+    // Remote HTML, cleaned up like Mastodon does before showing it
+    content: sanitizeHtml(object.content || (languages[0] ? object.contentMap[languages[0]] : '')),
+    reblog: null,
+    account: options.account || {
+      id: null,
+      username: actorId.split('/').pop(),
+      acct: `${actorId.split('/').pop()}@${new URL(actorId).host}`,
+      url: actorId,
+      uri: actorId
+    },
+    media_attachments: [].concat(object.attachment || []).map(attachment => ({
+      id: null,
+      type: ['image', 'video', 'audio'].find(type => (attachment.mediaType || '').startsWith(`${type}/`)) || 'unknown',
+      url: attachment.url,
+      preview_url: null,
+      remote_url: null,
+      meta: {
+        ...(attachment.width ? { original: { width: attachment.width, height: attachment.height } } : {}),
+        ...(attachment.focalPoint ? { focus: { x: attachment.focalPoint[0], y: attachment.focalPoint[1] } } : {})
+      },
+      description: attachment.name || null,
+      blurhash: attachment.blurhash || null
+    })),
+    mentions: tags.filter(tag => tag.type === 'Mention').map(tag => {
+      const acct = tag.name.replace(/^@/, '');
+      // The API wants the profile page; href is the actor URI
+      const account = accounts.find(known => known.uri === tag.href);
+      return { id: account ? account.id : null, username: acct.split('@')[0], url: account ? account.url : tag.href, acct };
+    }),
+    tags: tags.filter(tag => tag.type === 'Hashtag').map(tag => ({ name: tag.name.replace(/^#/, ''), url: tag.href })),
+    // An Emoji without an image is of no use to a client
+    emojis: tags.filter(tag => tag.type === 'Emoji' && tag.icon && tag.icon.url).map(tag => ({
+      shortcode: tag.name.replace(/:/g, ''),
+      url: tag.icon.url,
+      static_url: tag.icon.url
+    })),
+    card: null,
+    poll: null
+  };
+  
+  if (object.type === 'Announce') {
+    const rebloggedUri = object.object.id || object.object;
+    status.content = '';
+    status.reblog = statuses.find(known => known.uri === rebloggedUri) ||
+      { id: statusIdFor(rebloggedUri, statuses), uri: rebloggedUri, url: null };
+  }
+  
+  if (object.type === 'Question') {
+    const choices = [].concat(object.oneOf || object.anyOf || []);
+    const pollOptions = choices.map(choice => ({
+      title: choice.name,
+      votes_count: choice.replies ? choice.replies.totalItems || 0 : 0
+    }));
+    status.poll = {
+      id: null,
+      expires_at: object.endTime || null,
+      expired: Boolean(object.closed) || (object.endTime ? Date.parse(object.endTime) <= Date.now() : false),
+      multiple: Boolean(object.anyOf),
+      votes_count: pollOptions.reduce((sum, option) => sum + option.votes_count, 0),
+      voters_count: object.votersCount ?? null,
+      options: pollOptions,
+      emojis: []
+    };
+  }
+  
+  return status;
+}
+
+/**
+ * Reduce a status to the fields the conversion promises to keep
+ * @param {Object} status - Mastodon status
+ * @returns {Object} Comparable view
+ */
+function roundTripView(status) {
+  return {
+    uri: status.uri,
+    url: status.url,
+    account: status.account.uri || status.account.url,
+    created_at: status.created_at,
+    edited_at: status.edited_at,
+    in_reply_to_id: status.in_reply_to_id,
+    visibility: status.visibility,
+    sensitive: status.sensitive,
+    spoiler_text: status.spoiler_text,
+    language: status.language,
+    content: status.content,
+    counts: [status.replies_count, status.reblogs_count, status.favourites_count],
+    reblog: status.reblog ? status.reblog.uri : null,
+    // gifv is an mp4 in AS2, so it comes back as video
+    media: status.media_attachments.map(media => ({
+      type: media.type === 'gifv' ? 'video' : media.type,
+      url: media.remote_url || media.url,
+      description: media.description || null,
+      blurhash: media.blurhash || null,
+      size: media.meta && media.meta.original ? [media.meta.original.width, media.meta.original.height] : null,
+      focus: media.meta && media.meta.focus ? [media.meta.focus.x, media.meta.focus.y] : null
+    })),
+    mentions: status.mentions.map(mention => [mention.acct, mention.url]),
+    tags: status.tags.map(tag => [tag.name, tag.url]),
+    emojis: status.emojis.map(emoji => [emoji.shortcode, emoji.url]),
+    poll: status.poll ? {
+      expires_at: status.poll.expires_at,
+      expired: status.poll.expired,
+      multiple: status.poll.multiple,
+      voters_count: status.poll.voters_count,
+      options: status.poll.options.map(option => [option.title, option.votes_count])
+    } : null
   };
 }
 
+/**
+ * Convert the fixture statuses to ActivityPub and back and report every lost field
+ * @param {string} fixturesFile - JSON file with an array of Mastodon statuses
+ * @returns {boolean} Whether every status survived the round trip
+ */
+function runRoundTripCheck(fixturesFile = FIXTURES_FILE) {
+  console.log(chalk.magenta('\n🔁 Round trip: Mastodon status → ActivityPub → Mastodon status'));
+  
+  const statuses = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+  let allPassed = true;
+  
+  statuses.forEach(status => {
+    const activityPub = convertToActivityPub(status, { statuses });
+    const back = convertToMastodonStatus(activityPub, { statuses });
+    const expected = roundTripView(status);
+    const actual = roundTripView(back);
+    const lost = Object.keys(expected).filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]));
+    const { errors } = validateObject(activityPub);
+    
+    if (lost.length === 0 && errors.length === 0) {
+      console.log(chalk.green(`✅ ${status.visibility} ${activityPub.type} ${status.id}`));
+      return;
+    }
+    
+    allPassed = false;
+    console.log(chalk.red(`❌ ${status.visibility} ${activityPub.type} ${status.id}`));
+    lost.forEach(key => {
+      console.log(chalk.gray(`   ${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`));
+    });
+    errors.forEach(({ path, message }) => console.log(chalk.gray(`   ${path}: ${message}`)));
+  });
+  
+  return allPassed;
+}
+
 /**
  * Run public timeline analysis
  */
@@ -128,14 +683,15 @@ async function runTimelineAnalysis() {
       
       console.log(chalk.yellow(`\n📊 Analyzing posts from ${instance}:`));
       
-      posts.forEach((post, index) => {
-        analyzePost(post, index);
-      });
+      for (const [index, post] of posts.entries()) {
+        await analyzePost(post, index);
+      }
       
       // Show ActivityPub conversion example
       if (posts.length > 0) {
         console.log(chalk.magenta('\n🔄 Example ActivityPub Note conversion:'));
-        const activityPubNote = convertToActivityPubNote(posts[0]);
+        const mentionUris = await resolveMentionUris(posts.slice(0, 1));
+        const activityPubNote = convertToActivityPub(posts[0], { statuses: posts, mentionUris, instance });
         console.log(JSON.stringify(activityPubNote, null, 2));
       }
       
@@ -145,6 +701,12 @@ async function runTimelineAnalysis() {
       console.log(chalk.red(`Skipping ${instance} due to error\n`));
     }
   }
+  
+  // Works offline: checks the converter against the recorded fixtures
+  console.log(chalk.blue('='.repeat(60)));
+  if (!runRoundTripCheck()) {
+    process.exitCode = 1;
+  }
 }
 
 // Educational information
@@ -164,4 +726,16 @@ if (require.main === module) {
   runTimelineAnalysis().catch(console.error);
 }
 
-module.exports = { fetchPublicTimeline, analyzePost, convertToActivityPubNote };
\ No newline at end of file
+module.exports = {
+  instanceBaseUrl,
+  parseLinkHeader,
+  fetchTimelinePage,
+  fetchPublicTimeline,
+  iterateTimeline,
+  analyzePost,
+  resolveMentionUris,
+  convertToActivityPubNote,
+  convertToActivityPub,
+  convertToMastodonStatus,
+  runRoundTripCheck
+};
\ No newline at end of file
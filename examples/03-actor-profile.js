@@ -5,28 +5,29 @@
  * Actors represent users, bots, or services in the ActivityPub network.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const chalk = require('chalk');
 const { discoverActor } = require('./01-webfinger-discovery');
+const { fetchCollectionDocument, referenceUrl, collectItems } = require('./14-collection-paginator');
+const { normalizeObject } = require('./15-jsonld-normalization');
+const { htmlToText } = require('./19-html-content');
+const { fetchResource } = require('./26-http-client');
 
 /**
  * Fetch ActivityPub Actor object
+ * Redirects to another origin are refused: a server may only answer for its own actors.
  * @param {string} actorUrl - Direct URL to the ActivityPub actor
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.cache - Use the HTTP cache (default: true; false to see a rotated key)
  * @returns {Promise<Object>} ActivityPub Actor object
  */
-async function fetchActor(actorUrl) {
+async function fetchActor(actorUrl, options = {}) {
   console.log(chalk.blue(`🎭 Fetching ActivityPub actor: ${actorUrl}`));
   
   try {
-    const response = await axios.get(actorUrl, {
-      headers: {
-        'Accept': 'application/activity+json, application/ld+json',
-        'User-Agent': 'ActivityPub-Learning-Setup/1.0'
-      },
-      timeout: 10000
-    });
+    const response = await fetchResource(actorUrl, { accept: 'activity', sameOrigin: true, cache: options.cache });
 
-    console.log(chalk.green('✅ Successfully fetched actor data'));
+    console.log(chalk.green(`✅ Successfully fetched actor data${response.fromCache ? ' (cached)' : ''}`));
     return response.data;
     
   } catch (error) {
@@ -36,17 +37,224 @@ async function fetchActor(actorUrl) {
   }
 }
 
+/**
+ * Describe a PEM public key
+ * @param {string} publicKeyPem - SPKI public key in PEM format
+ * @returns {{type: string, size: number|null, fingerprint: string}} Key type, size in bits and SHA-256 fingerprint
+ */
+function describePublicKey(publicKeyPem) {
+  const key = crypto.createPublicKey(publicKeyPem);
+  const details = key.asymmetricKeyDetails || {};
+  const der = key.export({ type: 'spki', format: 'der' });
+  
+  const sizes = { ed25519: 256, ed448: 456 };
+  const size = details.modulusLength || sizes[key.asymmetricKeyType] || null;
+  
+  return {
+    type: key.asymmetricKeyType.toUpperCase() + (details.namedCurve ? ` (${details.namedCurve})` : ''),
+    size,
+    // Same notation as OpenSSH: base64 SHA-256 of the DER-encoded key, without padding
+    fingerprint: `SHA256:${crypto.createHash('sha256').update(der).digest('base64').replace(/=+$/, '')}`
+  };
+}
+
+/**
+ * Parse the actor id; origin and handle checks need an absolute URL
+ * @param {Object} actor - Normalized actor
+ * @returns {{url: URL|null, problem: string|null}} Parsed id, or why it cannot be used
+ */
+function parseActorId(actor) {
+  if (!actor.id) {
+    return { url: null, problem: 'The actor has no id' };
+  }
+  try {
+    return { url: new URL(actor.id), problem: null };
+  } catch (error) {
+    return { url: null, problem: `The actor id ${actor.id} is not an absolute URL` };
+  }
+}
+
+/**
+ * Check the actor's public keys: parseable, owned by the actor and hosted on its origin
+ * @param {Object} actor - Normalized actor
+ * @returns {Array<{ok: boolean, message: string, key: Object}>} One result per check
+ */
+function checkActorKeys(actor) {
+  const results = [];
+  const { url: actorUrl, problem } = parseActorId(actor);
+  const origin = actorUrl && actorUrl.origin;
+  const publicKeys = [].concat(actor.publicKey || []);
+  
+  if (problem) {
+    results.push({ ok: false, message: `${problem}: its keys cannot be tied to an origin` });
+  }
+  
+  publicKeys.forEach(publicKey => {
+    const check = (ok, message, key) => results.push({ ok, message, key });
+  
+    try {
+      const key = describePublicKey(publicKey.publicKeyPem);
+      check(key.type !== 'RSA' || key.size >= 2048, `${publicKey.id}: ${key.type}${key.size ? ` ${key.size} bits` : ''}, ${key.fingerprint}`, key);
+    } catch (error) {
+      check(false, `${publicKey.id}: publicKeyPem cannot be parsed (${error.message})`);
+    }
+  
+    check(publicKey.owner === actor.id, publicKey.owner === actor.id
+      ? 'publicKey.owner is the actor id'
+      : `publicKey.owner is ${publicKey.owner}, not the actor id ${actor.id}`);
+  
+    if (!origin) {
+      return;
+    }
+    let keyOrigin = null;
+    try {
+      keyOrigin = new URL(publicKey.id).origin;
+    } catch (error) {
+      // Reported below as a foreign origin
+    }
+    check(keyOrigin === origin, keyOrigin === origin
+      ? `Key id is on the actor's origin (${origin})`
+      : `Key id ${publicKey.id} is not on the actor's origin ${origin}`);
+  });
+  
+  if (publicKeys.length === 0) {
+    results.push({ ok: false, message: 'No publicKey: signatures from this actor cannot be verified' });
+  }
+  
+  return results;
+}
+
+/**
+ * List notable actor flags
+ * @param {Object} actor - Normalized actor
+ * @returns {Array<string>} Human-readable flags
+ */
+function actorFlags(actor) {
+  const flags = [];
+  if (actor.suspended === true) {
+    flags.push('⛔ Suspended by its server');
+  }
+  if (actor.memorial === true) {
+    flags.push('🕯️ Memorial account');
+  }
+  if (['Service', 'Application'].includes(actor.type)) {
+    flags.push(`🤖 Bot (${actor.type})`);
+  }
+  if (actor.type === 'Group') {
+    flags.push('👥 Group');
+  }
+  if (actor.movedTo) {
+    flags.push(`🚚 Moved to ${referenceUrl(actor.movedTo)}`);
+  }
+  return flags;
+}
+
+/**
+ * Check account migrations in both directions
+ * A move is only genuine when the new account lists the old one in alsoKnownAs.
+ * @param {Object} actor - Normalized actor
+ * @param {Function} fetchDocument - Actor fetcher (default: fetchActor)
+ * @returns {Promise<Array<{ok: boolean, message: string}>>} One result per check
+ */
+async function checkActorMigration(actor, fetchDocument = fetchActor) {
+  const results = [];
+  const aliases = [].concat(actor.alsoKnownAs || []).map(referenceUrl);
+  const movedTo = referenceUrl(actor.movedTo);
+  
+  if (movedTo) {
+    try {
+      const target = await normalizeObject(await fetchDocument(movedTo));
+      const targetAliases = [].concat(target.alsoKnownAs || []).map(referenceUrl);
+      results.push(targetAliases.includes(actor.id)
+        ? { ok: true, message: `Moved to ${movedTo}, which confirms it in alsoKnownAs` }
+        : { ok: false, message: `Claims to have moved to ${movedTo}, but that account does not list it in alsoKnownAs` });
+    } catch (error) {
+      results.push({ ok: false, message: `Moved to ${movedTo}, which cannot be fetched (${error.message})` });
+    }
+  }
+  
+  for (const alias of aliases) {
+    try {
+      const other = await normalizeObject(await fetchDocument(alias));
+      results.push(referenceUrl(other.movedTo) === actor.id
+        ? { ok: true, message: `${alias} has moved here` }
+        : { ok: true, message: `${alias} is an alias, but has not moved here (yet)` });
+    } catch (error) {
+      results.push({ ok: false, message: `Alias ${alias} cannot be fetched (${error.message})` });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Check that WebFinger and the actor agree on who this is
+ * preferredUsername@domain must resolve to the actor, and so must the subject WebFinger returns.
+ * @param {Object} actor - Normalized actor
+ * @param {Function} discover - WebFinger lookup (default: discoverActor)
+ * @returns {Promise<Array<{ok: boolean, message: string}>>} One result per check
+ */
+async function checkWebFingerRoundTrip(actor, discover = discoverActor) {
+  if (!actor.preferredUsername) {
+    return [{ ok: false, message: 'No preferredUsername, so there is no handle to look up' }];
+  }
+  const { url: actorUrl, problem } = parseActorId(actor);
+  if (problem) {
+    return [{ ok: false, message: `${problem}, so there is no domain to look the handle up on` }];
+  }
+  
+  const results = [];
+  const handle = `${actor.preferredUsername}@${actorUrl.host}`;
+  
+  try {
+    const discovery = await discover(handle);
+    results.push(discovery.actorUrl === actor.id
+      ? { ok: true, message: `${handle} resolves to the actor` }
+      : { ok: false, message: `${handle} resolves to ${discovery.actorUrl}, not ${actor.id}` });
+  
+    // The subject is the canonical handle, possibly on another domain (e.g. @user@example.com)
+    const subject = String(discovery.subject || '').replace(/^acct:/, '');
+    if (subject && subject !== handle) {
+      const canonical = await discover(subject);
+      results.push(canonical.actorUrl === actor.id
+        ? { ok: true, message: `Subject ${subject} resolves to the actor` }
+        : { ok: false, message: `Subject ${subject} resolves to ${canonical.actorUrl}, not ${actor.id}` });
+    }
+  } catch (error) {
+    results.push({ ok: false, message: `WebFinger lookup for ${handle} failed (${error.message})` });
+  }
+  
+  return results;
+}
+
+/**
+ * Print check results as ✅/❌ lines
+ * @param {Array<{ok: boolean, message: string}>} results - Check results
+ */
+function printChecks(results) {
+  results.forEach(({ ok, message }) => {
+    console.log(ok ? chalk.green(`✅ ${message}`) : chalk.red(`❌ ${message}`));
+  });
+}
+
 /**
  * Analyze and display ActivityPub Actor information
- * @param {Object} actor - ActivityPub Actor object
+ * @param {Object} document - ActivityPub Actor object as fetched
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.checkIdentity - Fetch migration targets and check WebFinger (default: true)
+ * @param {Function} options.fetchDocument - Actor fetcher for migration checks (default: fetchActor)
+ * @param {Function} options.discover - WebFinger lookup for the round trip (default: discoverActor)
+ * @returns {Promise<Object>} Normalized actor
  */
-function analyzeActor(actor) {
+async function analyzeActor(document, options = {}) {
+  const actor = await normalizeObject(document);
+  
   console.log(chalk.yellow('\n🔍 ActivityPub Actor Analysis:'));
   console.log(chalk.cyan(`Type: ${actor.type}`));
   console.log(chalk.cyan(`ID: ${actor.id}`));
   console.log(chalk.cyan(`Name: ${actor.name || 'Not specified'}`));
   console.log(chalk.cyan(`Preferred Username: ${actor.preferredUsername}`));
-  console.log(chalk.cyan(`Summary: ${actor.summary ? actor.summary.replace(/<[^>]*>/g, '').substring(0, 100) + '...' : 'No bio'}`));
+  console.log(chalk.cyan(`Summary: ${actor.summary ? htmlToText(actor.summary).substring(0, 100) + '...' : 'No bio'}`));
   
   // URLs and endpoints
   console.log(chalk.blue('\n🔗 URLs and Endpoints:'));
@@ -69,11 +277,23 @@ function analyzeActor(actor) {
   }
   
   // Public key information (for verification)
-  if (actor.publicKey) {
-    console.log(chalk.green('\n🔐 Public Key Information:'));
-    console.log(chalk.white(`Key ID: ${actor.publicKey.id}`));
-    console.log(chalk.white(`Owner: ${actor.publicKey.owner}`));
-    console.log(chalk.gray(`Key: ${actor.publicKey.publicKeyPem.substring(0, 50)}...`));
+  console.log(chalk.green('\n🔐 Public Key Information:'));
+  printChecks(checkActorKeys(actor));
+  
+  // Suspended, memorial, bot or moved accounts
+  const flags = actorFlags(actor);
+  if (flags.length > 0) {
+    console.log(chalk.yellow('\n🚩 Account Status:'));
+    flags.forEach(flag => console.log(chalk.white(flag)));
+  }
+  
+  // Identity: migrations and WebFinger must agree with the actor document
+  if (options.checkIdentity !== false) {
+    console.log(chalk.green('\n🪪 Identity Checks:'));
+    printChecks([
+      ...await checkActorMigration(actor, options.fetchDocument),
+      ...await checkWebFingerRoundTrip(actor, options.discover)
+    ]);
   }
   
   // Icon and images
@@ -104,16 +324,19 @@ function analyzeActor(actor) {
     console.log(chalk.white('Profile Fields:'));
     actor.attachment.forEach((field, index) => {
       const name = field.name || `Field ${index + 1}`;
-      const value = field.value ? field.value.replace(/<[^>]*>/g, '') : 'No value';
+      const value = field.value ? htmlToText(field.value) : 'No value';
       console.log(chalk.gray(`  ${name}: ${value}`));
     });
   }
+  
+  return actor;
 }
 
 /**
  * Fetch actor's outbox to see their recent activities
  * @param {string} outboxUrl - URL to the actor's outbox
  * @param {number} limit - Number of activities to fetch
+ * @returns {Promise<Array|undefined>} Fetched activities
  */
 async function fetchActorOutbox(outboxUrl, limit = 5) {
   if (!outboxUrl) {
@@ -124,50 +347,31 @@ async function fetchActorOutbox(outboxUrl, limit = 5) {
   console.log(chalk.blue(`📤 Fetching actor's outbox: ${outboxUrl}`));
   
   try {
-    const response = await axios.get(outboxUrl, {
-      headers: {
-        'Accept': 'application/activity+json, application/ld+json',
-        'User-Agent': 'ActivityPub-Learning-Setup/1.0'
-      },
-      timeout: 10000
-    });
-    
-    const outbox = response.data;
-    console.log(chalk.green(`✅ Outbox fetched - Total items: ${outbox.totalItems || 'unknown'}`));
+    const outbox = await fetchCollectionDocument(outboxUrl);
+    console.log(chalk.green(`✅ Outbox fetched - Total items: ${outbox.totalItems ?? 'unknown'}`));
     
     if (outbox.first) {
-      console.log(chalk.blue(`📄 First page: ${outbox.first}`));
-      
-      // Fetch first page of activities
-      try {
-        const firstPageResponse = await axios.get(outbox.first, {
-          headers: {
-            'Accept': 'application/activity+json, application/ld+json',
-            'User-Agent': 'ActivityPub-Learning-Setup/1.0'
-          },
-          timeout: 10000
-        });
-        
-        const activities = firstPageResponse.data.orderedItems || firstPageResponse.data.items || [];
-        console.log(chalk.yellow(`\n🎯 Recent Activities (showing ${Math.min(limit, activities.length)}):`));
-        
-        activities.slice(0, limit).forEach((activity, index) => {
-          console.log(chalk.cyan(`\n${index + 1}. Activity Type: ${activity.type}`));
-          console.log(chalk.white(`   Published: ${activity.published}`));
-          if (activity.object && activity.object.type) {
-            console.log(chalk.white(`   Object Type: ${activity.object.type}`));
-            if (activity.object.content) {
-              const content = activity.object.content.replace(/<[^>]*>/g, '').substring(0, 80);
-              console.log(chalk.gray(`   Content: ${content}...`));
-            }
-          }
-        });
-        
-      } catch (error) {
-        console.log(chalk.red('❌ Could not fetch outbox activities'));
-      }
+      console.log(chalk.blue(`📄 First page: ${referenceUrl(outbox.first)}`));
     }
     
+    // Walks first/next pages and fetches activities that are only linked
+    const activities = await collectItems(outbox, { limit, dereference: true, maxPages: 3 });
+    console.log(chalk.yellow(`\n🎯 Recent Activities (showing ${activities.length}):`));
+    
+    activities.forEach((activity, index) => {
+      console.log(chalk.cyan(`\n${index + 1}. Activity Type: ${activity.type}`));
+      console.log(chalk.white(`   Published: ${activity.published}`));
+      if (activity.object && activity.object.type) {
+        console.log(chalk.white(`   Object Type: ${activity.object.type}`));
+        if (activity.object.content) {
+          const content = htmlToText(activity.object.content).substring(0, 80);
+          console.log(chalk.gray(`   Content: ${content}...`));
+        }
+      }
+    });
+    
+    return activities;
+    
   } catch (error) {
     console.error(chalk.red(`❌ Failed to fetch outbox: ${error.message}`));
   }
@@ -194,7 +398,7 @@ async function analyzeActorComplete(handle) {
     const actor = await fetchActor(discovery.actorUrl);
     
     // Step 3: Analyze actor
-    analyzeActor(actor);
+    await analyzeActor(actor);
     
     // Step 4: Fetch recent activities
     await fetchActorOutbox(actor.outbox, 3);
@@ -218,6 +422,79 @@ async function runActorTests() {
     await analyzeActorComplete(account);
     console.log('\n' + '='.repeat(80) + '\n');
   }
+  
+  await runIdentityChecksDemo();
+}
+
+/**
+ * Run the identity checks on local sample actors: a genuine migration, a forged key and a relative id
+ */
+async function runIdentityChecksDemo() {
+  console.log(chalk.magenta('🪪 Identity checks on sample actors (offline)'));
+  
+  /**
+   * Build a sample actor with a fresh key
+   * @param {string} id - Actor id
+   * @param {Object} properties - Extra actor properties
+   * @param {Object} key - Key overrides (id, owner, modulusLength)
+   * @returns {Object} Actor document
+   */
+  function sampleActor(id, properties, key = {}) {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: key.modulusLength || 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    return {
+      '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+      id,
+      type: 'Person',
+      inbox: `${id}/inbox`,
+      publicKey: { id: key.id || `${id}#main-key`, owner: key.owner || id, publicKeyPem: publicKey },
+      ...properties
+    };
+  }
+  
+  const documents = {};
+  const handles = {};
+  [
+    sampleActor('https://old.example/users/prof', {
+      preferredUsername: 'prof',
+      movedTo: 'https://uni.example/users/dr_smith'
+    }),
+    sampleActor('https://uni.example/users/dr_smith', {
+      preferredUsername: 'dr_smith',
+      alsoKnownAs: ['https://old.example/users/prof']
+    }),
+    sampleActor('https://uni.example/users/announcements', {
+      type: 'Service',
+      preferredUsername: 'announcements',
+      movedTo: 'https://uni.example/users/dr_smith'
+    }, { id: 'https://keys.example/announcements#key', owner: 'https://uni.example/users/dr_smith', modulusLength: 1024 }),
+    // Broken servers sometimes send ids relative to their own origin
+    sampleActor('/users/ghost', { preferredUsername: 'ghost' })
+  ].forEach(actor => {
+    documents[actor.id] = actor;
+    const { url } = parseActorId(actor);
+    if (url) {
+      handles[`${actor.preferredUsername}@${url.host}`] = actor.id;
+    }
+  });
+  
+  const options = {
+    fetchDocument: async url => {
+      if (!documents[url]) {
+        throw new Error('404 Not Found');
+      }
+      return documents[url];
+    },
+    discover: async handle => ({ subject: `acct:${handle}`, actorUrl: handles[handle] })
+  };
+  
+  for (const actor of Object.values(documents)) {
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    await analyzeActor(actor, options);
+  }
 }
 
 // Educational information
@@ -228,6 +505,7 @@ function printActorInfo() {
   console.log(chalk.white('- Actors have unique IDs and can send/receive activities'));
   console.log(chalk.white('- They have inboxes (receive) and outboxes (send) for activities'));
   console.log(chalk.white('- Public keys enable cryptographic verification'));
+  console.log(chalk.white('- A key must be owned by the actor; a move needs alsoKnownAs on the new account'));
   console.log(chalk.white('- Followers/Following collections manage social relationships\n'));
 }
 
@@ -237,4 +515,13 @@ if (require.main === module) {
   runActorTests().catch(console.error);
 }
 
-module.exports = { fetchActor, analyzeActor, fetchActorOutbox, analyzeActorComplete };
\ No newline at end of file
+module.exports = {
+  fetchActor,
+  analyzeActor,
+  fetchActorOutbox,
+  analyzeActorComplete,
+  describePublicKey,
+  checkActorKeys,
+  checkActorMigration,
+  checkWebFingerRoundTrip
+};
\ No newline at end of file
@@ -6,159 +6,20 @@
  */
 
 const chalk = require('chalk');
-
-/**
- * Example ActivityPub objects for learning purposes
- */
-const ActivityPubExamples = {
-  
-  // Basic Note object (like a tweet/toot)
-  note: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Note',
-    id: 'https://mastodon.social/users/professor/statuses/123456',
-    published: '2024-01-15T10:30:00Z',
-    attributedTo: 'https://mastodon.social/users/professor',
-    content: '<p>📹 New video uploaded: Introduction to ActivityPub! Check it out on our learning platform.</p>',
-    to: ['https://www.w3.org/ns/activitystreams#Public'],
-    cc: ['https://mastodon.social/users/professor/followers'],
-    url: 'https://mastodon.social/@professor/123456',
-    tag: [
-      {
-        type: 'Hashtag',
-        href: 'https://mastodon.social/tags/activitypub',
-        name: '#activitypub'
-      },
-      {
-        type: 'Hashtag', 
-        href: 'https://mastodon.social/tags/learning',
-        name: '#learning'
-      }
-    ]
-  },
-  
-  // Create activity (when someone posts)
-  create: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Create',
-    id: 'https://mastodon.social/users/professor/statuses/123456/activity',
-    actor: 'https://mastodon.social/users/professor',
-    published: '2024-01-15T10:30:00Z',
-    to: ['https://www.w3.org/ns/activitystreams#Public'],
-    cc: ['https://mastodon.social/users/professor/followers'],
-    object: {
-      type: 'Note',
-      id: 'https://mastodon.social/users/professor/statuses/123456',
-      published: '2024-01-15T10:30:00Z',
-      attributedTo: 'https://mastodon.social/users/professor',
-      content: '<p>📹 New video uploaded: Introduction to ActivityPub!</p>',
-      to: ['https://www.w3.org/ns/activitystreams#Public'],
-      cc: ['https://mastodon.social/users/professor/followers']
-    }
-  },
-  
-  // Follow activity
-  follow: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Follow',
-    id: 'https://mastodon.social/users/student/follows/456',
-    actor: 'https://mastodon.social/users/student',
-    object: 'https://mastodon.social/users/professor',
-    published: '2024-01-15T11:00:00Z'
-  },
-  
-  // Accept activity (accepting a follow request)
-  accept: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Accept',
-    id: 'https://mastodon.social/users/professor/accepts/789',
-    actor: 'https://mastodon.social/users/professor',
-    object: {
-      type: 'Follow',
-      id: 'https://mastodon.social/users/student/follows/456',
-      actor: 'https://mastodon.social/users/student',
-      object: 'https://mastodon.social/users/professor'
-    },
-    published: '2024-01-15T11:05:00Z'
-  },
-  
-  // Like activity (favoriting a post)
-  like: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Like',
-    id: 'https://mastodon.social/users/student/likes/101112',
-    actor: 'https://mastodon.social/users/student',
-    object: 'https://mastodon.social/users/professor/statuses/123456',
-    published: '2024-01-15T12:00:00Z'
-  },
-  
-  // Announce activity (boosting/retweeting)
-  announce: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Announce',
-    id: 'https://mastodon.social/users/student/announces/131415',
-    actor: 'https://mastodon.social/users/student',
-    object: 'https://mastodon.social/users/professor/statuses/123456',
-    published: '2024-01-15T12:30:00Z',
-    to: ['https://www.w3.org/ns/activitystreams#Public'],
-    cc: ['https://mastodon.social/users/student/followers']
-  },
-  
-  // Delete activity
-  delete: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'Delete',
-    id: 'https://mastodon.social/users/professor/deletes/161718',
-    actor: 'https://mastodon.social/users/professor',
-    object: 'https://mastodon.social/users/professor/statuses/123456',
-    published: '2024-01-15T15:00:00Z'
-  },
-  
-  // Actor object (user profile)
-  actor: {
-    '@context': [
-      'https://www.w3.org/ns/activitystreams',
-      'https://w3id.org/security/v1'
-    ],
-    type: 'Person',
-    id: 'https://mastodon.social/users/professor',
-    preferredUsername: 'professor',
-    name: 'Dr. ActivityPub',
-    summary: '<p>Teaching distributed social networks and federated protocols. 🎓 #ActivityPub #Education</p>',
-    url: 'https://mastodon.social/@professor',
-    inbox: 'https://mastodon.social/users/professor/inbox',
-    outbox: 'https://mastodon.social/users/professor/outbox',
-    followers: 'https://mastodon.social/users/professor/followers',
-    following: 'https://mastodon.social/users/professor/following',
-    publicKey: {
-      id: 'https://mastodon.social/users/professor#main-key',
-      owner: 'https://mastodon.social/users/professor',
-      publicKeyPem: '-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA...\n-----END PUBLIC KEY-----'
-    },
-    icon: {
-      type: 'Image',
-      mediaType: 'image/png',
-      url: 'https://mastodon.social/system/accounts/avatars/professor.png'
-    }
-  },
-  
-  // Collection object (for followers, following, etc.)
-  collection: {
-    '@context': 'https://www.w3.org/ns/activitystreams',
-    type: 'OrderedCollection',
-    id: 'https://mastodon.social/users/professor/followers',
-    totalItems: 1337,
-    first: 'https://mastodon.social/users/professor/followers?page=1',
-    last: 'https://mastodon.social/users/professor/followers?page=45'
-  }
-};
+const { normalizeObject } = require('./15-jsonld-normalization');
+const { validateObject, printDiagnostics } = require('./16-as2-validator');
+const { htmlToText, htmlToMarkdown } = require('./19-html-content');
+const { ActivityPubExamples } = require('./fixtures/activitypub-objects');
 
 /**
  * Analyze the structure of an ActivityPub object
- * @param {Object} obj - ActivityPub object to analyze
+ * @param {Object} document - ActivityPub object to analyze
  * @param {string} title - Title for the analysis
+ * @returns {Promise<Object>} Normalized object
  */
-function analyzeObject(obj, title) {
+async function analyzeObject(document, title) {
+  const obj = await normalizeObject(document);
+  
   console.log(chalk.yellow(`\n🔍 ${title}:`));
   console.log(chalk.blue('='.repeat(50)));
   
@@ -184,7 +45,7 @@ function analyzeObject(obj, title) {
   }
   
   if (obj.content) {
-    const content = obj.content.replace(/<[^>]*>/g, '');
+    const content = htmlToMarkdown(obj.content);
     console.log(chalk.white(`Content: ${content}`));
   }
   
@@ -207,7 +68,7 @@ function analyzeObject(obj, title) {
   }
   
   if (obj.summary) {
-    const summary = obj.summary.replace(/<[^>]*>/g, '');
+    const summary = htmlToText(obj.summary);
     console.log(chalk.white(`Bio: ${summary}`));
   }
   
@@ -220,8 +81,14 @@ function analyzeObject(obj, title) {
     console.log(chalk.gray(`Context: ${Array.isArray(obj['@context']) ? obj['@context'].join(', ') : obj['@context']}`));
   }
   
-  console.log(chalk.gray('\nFull JSON:'));
+  // AS2 / ActivityPub rules
+  console.log(chalk.blue('\n🧪 Validation:'));
+  printDiagnostics(validateObject(obj));
+  
+  console.log(chalk.gray('\nFull JSON (normalized):'));
   console.log(JSON.stringify(obj, null, 2));
+  
+  return obj;
 }
 
 /**
@@ -297,14 +164,14 @@ function simulateUniversityWorkflow() {
 /**
  * Run all object demonstrations
  */
-function runObjectDemonstrations() {
+async function runObjectDemonstrations() {
   console.log(chalk.magenta('🚀 ActivityPub Objects Learning Module\n'));
   
   // Analyze each example object
-  Object.entries(ActivityPubExamples).forEach(([key, obj]) => {
+  for (const [key, obj] of Object.entries(ActivityPubExamples)) {
     const title = key.charAt(0).toUpperCase() + key.slice(1) + ' Object';
-    analyzeObject(obj, title);
-  });
+    await analyzeObject(obj, title);
+  }
   
   console.log('\n' + '='.repeat(80));
   demonstrateObjectRelationships();
@@ -327,7 +194,7 @@ function printObjectInfo() {
 // Run if this file is executed directly
 if (require.main === module) {
   printObjectInfo();
-  runObjectDemonstrations();
+  runObjectDemonstrations().catch(console.error);
 }
 
 module.exports = { ActivityPubExamples, analyzeObject, demonstrateObjectRelationships, simulateUniversityWorkflow };
\ No newline at end of file
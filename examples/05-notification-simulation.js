@@ -5,8 +5,10 @@
  * This demonstrates how to integrate learning platforms with ActivityPub/Mastodon.
  */
 
-const axios = require('axios');
 const chalk = require('chalk');
+const { loadOrCreateKeyPair, deliverActivity, startStandInInbox } = require('./06-http-signatures');
+const { renderNoteTemplate } = require('./20-note-templates');
+const { courseObjectId } = require('./lib/course-ids');
 
 /**
  * Simulate a learning platform detecting a new video upload
@@ -27,7 +29,12 @@ function simulateVideoUpload(videoData) {
       description: videoData.description,
       duration: videoData.duration,
       url: videoData.url,
-      thumbnail: videoData.thumbnail
+      thumbnail: videoData.thumbnail,
+      // Optional details used by Video objects (undefined ones are left out of the JSON)
+      thumbnailWidth: videoData.thumbnailWidth,
+      thumbnailHeight: videoData.thumbnailHeight,
+      renditions: videoData.renditions,
+      sensitive: videoData.sensitive
     },
     enrolledStudents: videoData.enrolledStudents || []
   };
@@ -41,33 +48,40 @@ function simulateVideoUpload(videoData) {
 
 /**
  * Convert video upload to ActivityPub Note
+ * The content comes from the template for the event type in the course language.
  * @param {Object} webhookPayload - Video upload webhook data
+ * @param {Object} options - Addressing and template options
+ * @param {string} options.actorId - Actor the Note is attributed to (default: professor on mastodon.social)
+ * @param {string} options.baseUrl - Base URL for the Note id (default: learning platform)
+ * @param {string} options.locale - Template locale (default: course.language, else "en")
+ * @param {number} options.characterLimit - Character budget of the receiving instance (default: 500)
+ * @param {boolean} options.quiet - Skip the step-by-step output (for callers that convert many events)
  * @returns {Object} ActivityPub Note object
  */
-function createActivityPubNote(webhookPayload) {
-  console.log(chalk.blue('\n🔄 Converting to ActivityPub Note...'));
+function createActivityPubNote(webhookPayload, options = {}) {
+  if (!options.quiet) {
+    console.log(chalk.blue('\n🔄 Converting to ActivityPub Note...'));
+  }
   
-  const { video, course, professor } = webhookPayload;
+  const { video, professor } = webhookPayload;
+  const actorId = options.actorId || `https://mastodon.social/users/${professor.mastodonHandle}`;
+  const baseUrl = options.baseUrl || 'https://learning-platform.uni.edu';
   
-  // Create hashtags from course name
-  const courseHashtag = course.name.replace(/\s+/g, '').replace(/[^a-zA-Z0-9]/g, '');
+  const rendered = renderNoteTemplate(webhookPayload.event || 'video.uploaded', webhookPayload, {
+    locale: options.locale,
+    characterLimit: options.characterLimit
+  });
   
   const note = {
     '@context': 'https://www.w3.org/ns/activitystreams',
     type: 'Note',
-    id: `https://learning-platform.uni.edu/videos/${video.id}/activitypub`,
+    id: courseObjectId('video', video.id, baseUrl),
     published: webhookPayload.timestamp,
-    attributedTo: `https://mastodon.social/users/${professor.mastodonHandle}`,
-    content: `<p>🎬 <strong>New Video Available!</strong></p>
-              <p>📚 <strong>Course:</strong> ${course.name}</p>
-              <p>🎯 <strong>Title:</strong> ${video.title}</p>
-              <p>📝 <strong>Description:</strong> ${video.description}</p>
-              <p>⏱️ <strong>Duration:</strong> ${video.duration}</p>
-              <p>🔗 <strong>Watch now:</strong> <a href="${video.url}">${video.url}</a></p>
-              <p><a href="${video.thumbnail}">📸 Video Thumbnail</a></p>
-              <p>#${courseHashtag} #UniversityLearning #NewContent</p>`,
+    attributedTo: actorId,
+    content: rendered.content,
+    contentMap: { [rendered.language]: rendered.content },
     to: ['https://www.w3.org/ns/activitystreams#Public'],
-    cc: [`https://mastodon.social/users/${professor.mastodonHandle}/followers`],
+    cc: [`${actorId}/followers`],
     url: video.url,
     attachment: [
       {
@@ -77,28 +91,18 @@ function createActivityPubNote(webhookPayload) {
         name: `Thumbnail for ${video.title}`
       }
     ],
-    tag: [
-      {
-        type: 'Hashtag',
-        href: `https://mastodon.social/tags/${courseHashtag.toLowerCase()}`,
-        name: `#${courseHashtag}`
-      },
-      {
-        type: 'Hashtag',
-        href: 'https://mastodon.social/tags/universitylearning',
-        name: '#UniversityLearning'
-      },
-      {
-        type: 'Hashtag',
-        href: 'https://mastodon.social/tags/newcontent',
-        name: '#NewContent'
-      }
-    ]
+    tag: rendered.hashtags.map(hashtag => ({
+      type: 'Hashtag',
+      href: `https://mastodon.social/tags/${encodeURIComponent(hashtag.toLowerCase())}`,
+      name: `#${hashtag}`
+    }))
   };
   
-  console.log(chalk.green('✅ ActivityPub Note created!'));
-  console.log(chalk.yellow('📋 Note content:'));
-  console.log(JSON.stringify(note, null, 2));
+  if (!options.quiet) {
+    console.log(chalk.green('✅ ActivityPub Note created!'));
+    console.log(chalk.yellow('📋 Note content:'));
+    console.log(JSON.stringify(note, null, 2));
+  }
   
   return note;
 }
@@ -107,10 +111,14 @@ function createActivityPubNote(webhookPayload) {
  * Create ActivityPub Create activity wrapping the Note
  * @param {Object} note - ActivityPub Note object
  * @param {string} professorId - Professor's ActivityPub actor ID
+ * @param {Object} options - Output options
+ * @param {boolean} options.quiet - Skip the step-by-step output
  * @returns {Object} ActivityPub Create activity
  */
-function createActivityPubActivity(note, professorId) {
-  console.log(chalk.blue('\n🎯 Creating ActivityPub Create activity...'));
+function createActivityPubActivity(note, professorId, options = {}) {
+  if (!options.quiet) {
+    console.log(chalk.blue('\n🎯 Creating ActivityPub Create activity...'));
+  }
   
   const createActivity = {
     '@context': 'https://www.w3.org/ns/activitystreams',
@@ -123,50 +131,55 @@ function createActivityPubActivity(note, professorId) {
     object: note
   };
   
-  console.log(chalk.green('✅ Create activity generated!'));
-  console.log(chalk.yellow('📋 Activity:'));
-  console.log(JSON.stringify(createActivity, null, 2));
+  if (!options.quiet) {
+    console.log(chalk.green('✅ Create activity generated!'));
+    console.log(chalk.yellow('📋 Activity:'));
+    console.log(JSON.stringify(createActivity, null, 2));
+  }
   
   return createActivity;
 }
 
 /**
- * Simulate sending the activity to Mastodon (educational purposes)
- * Note: This doesn't actually send to a real Mastodon instance
+ * Deliver the activity to an inbox as a signed HTTP request
+ * Without DELIVERY_INBOX_URL or options.inboxUrl the professor's inbox on the target instance is used
  * @param {Object} activity - ActivityPub Create activity
  * @param {string} mastodonInstance - Target Mastodon instance
+ * @param {Object} options - Delivery options
+ * @param {string} options.inboxUrl - Inbox to POST to (e.g., a local stand-in inbox)
+ * @returns {Promise<Object>} Response status and data
  */
-async function simulateMastodonDelivery(activity, mastodonInstance) {
-  console.log(chalk.blue(`\n📤 Simulating delivery to ${mastodonInstance}...`));
-  
-  // In a real implementation, this would:
-  // 1. Sign the HTTP request with the professor's private key
-  // 2. POST to the professor's Mastodon inbox
-  // 3. Mastodon would then distribute to followers
-  
-  const deliveryData = {
-    method: 'POST',
-    url: `https://${mastodonInstance}/users/${activity.actor.split('/').pop()}/inbox`,
-    headers: {
-      'Content-Type': 'application/activity+json',
-      'Date': new Date().toUTCString(),
-      'Host': mastodonInstance,
-      'Signature': 'keyId="...",headers="...",signature="..."' // Simplified
-    },
-    body: activity
-  };
-  
-  console.log(chalk.yellow('📋 Delivery simulation:'));
-  console.log(chalk.white(`Target: ${deliveryData.url}`));
-  console.log(chalk.white(`Method: ${deliveryData.method}`));
-  console.log(chalk.white(`Content-Type: ${deliveryData.headers['Content-Type']}`));
-  console.log(chalk.gray('📝 Note: In production, this requires proper HTTP signatures'));
+async function simulateMastodonDelivery(activity, mastodonInstance, options = {}) {
+  const username = activity.actor.split('/').pop();
+  const inboxUrl = options.inboxUrl || process.env.DELIVERY_INBOX_URL ||
+    `https://${mastodonInstance}/users/${username}/inbox`;
+
+  console.log(chalk.blue(`\n📤 Delivering to ${inboxUrl}...`));
   
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  // The request is signed with the professor's private key so the receiver
+  // can verify it against the publicKey published in the actor document
+  const { privateKeyPem } = loadOrCreateKeyPair(username);
   
-  console.log(chalk.green('✅ Delivery simulation complete!'));
-  console.log(chalk.cyan('📢 Students would now see the notification in their Mastodon feeds'));
+  try {
+    const result = await deliverActivity(activity, inboxUrl, {
+      keyId: `${activity.actor}#main-key`,
+      privateKeyPem
+    });
+    
+    console.log(chalk.green(`✅ Delivery accepted with status ${result.status}!`));
+    console.log(chalk.cyan('📢 Students would now see the notification in their Mastodon feeds'));
+    return result;
+    
+  } catch (error) {
+    console.error(chalk.red(`❌ Delivery to ${inboxUrl} failed:`));
+    console.error(chalk.red(error.message));
+    
+    if (error.response) {
+      console.error(chalk.red(`Status: ${error.response.status}`));
+    }
+    
+    throw error;
+  }
 }
 
 /**
@@ -213,7 +226,8 @@ async function runCompleteWorkflow() {
     thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg',
     course: {
       id: 'CS-480',
-      name: 'Distributed Systems'
+      name: 'Distributed Systems',
+      language: 'en'
     },
     professor: {
       id: 'prof-smith',
@@ -232,8 +246,19 @@ async function runCompleteWorkflow() {
   const professorActorId = `https://mastodon.social/users/${videoData.professor.mastodonHandle}`;
   const createActivity = createActivityPubActivity(note, professorActorId);
   
-  // Step 4: Simulate delivery to Mastodon
-  await simulateMastodonDelivery(createActivity, 'mastodon.social');
+  // Step 4: Deliver to Mastodon (or a local stand-in inbox when none is configured)
+  const standIn = process.env.DELIVERY_INBOX_URL ? null : await startStandInInbox();
+  try {
+    await simulateMastodonDelivery(createActivity, 'mastodon.social', {
+      inboxUrl: standIn ? standIn.url : undefined
+    });
+  } catch (error) {
+    console.log(chalk.red('Continuing without delivery\n'));
+  } finally {
+    if (standIn) {
+      standIn.server.close();
+    }
+  }
   
   // Step 5: Simulate student reactions
   simulateStudentReactions(note);
@@ -243,7 +268,7 @@ async function runCompleteWorkflow() {
   console.log(chalk.white('1. Learning platform detected new video upload'));
   console.log(chalk.white('2. System converted video metadata to ActivityPub Note'));
   console.log(chalk.white('3. Note was wrapped in a Create activity'));
-  console.log(chalk.white('4. Activity was "sent" to professor\'s Mastodon instance'));
+  console.log(chalk.white('4. Activity was signed and POSTed to professor\'s Mastodon inbox'));
   console.log(chalk.white('5. Mastodon would distribute to all student followers'));
   console.log(chalk.white('6. Students receive real-time notifications about new content'));
   
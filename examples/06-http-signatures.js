@@ -0,0 +1,292 @@
+/**
+ * ActivityPub Learning Setup - HTTP Signatures
+ *
+ * Demonstrates how outgoing ActivityPub requests are signed (draft-cavage HTTP Signatures).
+ * Mastodon and most other servers reject inbox deliveries that are not signed by the actor's key.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { assertValidActivity } = require('./16-as2-validator');
+const { USER_AGENT } = require('./lib/config');
+
+// Configuration
+const KEYS_DIR = process.env.ACTIVITYPUB_KEYS_DIR || path.join(__dirname, '..', 'data', 'keys');
+const SIGNED_HEADERS = ['(request-target)', 'host', 'date', 'digest'];
+
+/**
+ * Load the RSA keypair for an actor, generating and storing a new one on first use
+ * @param {string} name - Key name, usually the actor's username (e.g., "dr_smith")
+ * @param {Object} options - Options
+ * @param {string} options.keysDir - Directory holding the PEM files (default: data/keys)
+ * @returns {{publicKeyPem: string, privateKeyPem: string}} PEM encoded keypair
+ */
+function loadOrCreateKeyPair(name, options = {}) {
+  const keysDir = options.keysDir || KEYS_DIR;
+  const privateKeyPath = path.join(keysDir, `${name}.private.pem`);
+  const publicKeyPath = path.join(keysDir, `${name}.public.pem`);
+
+  if (fs.existsSync(privateKeyPath) && fs.existsSync(publicKeyPath)) {
+    return {
+      publicKeyPem: fs.readFileSync(publicKeyPath, 'utf8'),
+      privateKeyPem: fs.readFileSync(privateKeyPath, 'utf8')
+    };
+  }
+
+  console.log(chalk.blue(`🔑 Generating new RSA keypair for: ${name}`));
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  fs.mkdirSync(keysDir, { recursive: true });
+  fs.writeFileSync(privateKeyPath, privateKey, { mode: 0o600 });
+  fs.writeFileSync(publicKeyPath, publicKey);
+
+  console.log(chalk.green(`✅ Keypair stored in ${keysDir}`));
+  return { publicKeyPem: publicKey, privateKeyPem: privateKey };
+}
+
+/**
+ * Compute the Digest header value for a request body
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Digest header value (e.g., "SHA-256=...")
+ */
+function createDigest(body) {
+  const hash = crypto.createHash('sha256').update(body).digest('base64');
+  return `SHA-256=${hash}`;
+}
+
+/**
+ * Build the string that gets signed from the listed header names
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Path including query string (e.g., "/users/alice/inbox")
+ * @param {Object} headers - Request headers (any casing)
+ * @param {Array<string>} headerNames - Header names in signing order
+ * @returns {string} Signing string
+ */
+function buildSigningString(method, requestPath, headers, headerNames) {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return headerNames.map(name => {
+    if (name === '(request-target)') {
+      return `(request-target): ${method.toLowerCase()} ${requestPath}`;
+    }
+    if (lowerCased[name] === undefined) {
+      throw new Error(`Cannot sign missing header: ${name}`);
+    }
+    return `${name}: ${lowerCased[name]}`;
+  }).join('\n');
+}
+
+/**
+ * Sign an HTTP request and return the headers to send with it
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method (e.g., "POST")
+ * @param {string} request.url - Absolute target URL
+ * @param {string} request.body - Raw request body (omit for GET)
+ * @param {Object} request.headers - Additional headers to send
+ * @param {string} request.keyId - Key ID published in the actor's publicKey.id
+ * @param {string} request.privateKeyPem - PEM encoded private key
+ * @param {Array<string>} request.headerNames - Headers to sign (default: request-target, host, date, digest)
+ * @returns {Object} Headers including Date, Digest, Host and Signature
+ */
+function signRequest({ method, url, body, headers = {}, keyId, privateKeyPem, headerNames }) {
+  const target = new URL(url);
+  const signedHeaders = {
+    ...headers,
+    Host: target.host,
+    Date: new Date().toUTCString()
+  };
+
+  if (body !== undefined) {
+    signedHeaders.Digest = createDigest(body);
+  }
+
+  const names = headerNames || (body !== undefined ? SIGNED_HEADERS : SIGNED_HEADERS.filter(name => name !== 'digest'));
+  const signingString = buildSigningString(method, target.pathname + target.search, signedHeaders, names);
+  const signature = crypto.sign('sha256', Buffer.from(signingString), privateKeyPem).toString('base64');
+
+  signedHeaders.Signature = [
+    `keyId="${keyId}"`,
+    'algorithm="rsa-sha256"',
+    `headers="${names.join(' ')}"`,
+    `signature="${signature}"`
+  ].join(',');
+
+  return signedHeaders;
+}
+
+/**
+ * Parse a draft-cavage Signature header
+ * @param {string} header - Signature header value
+ * @returns {Object} Parsed fields (keyId, algorithm, headers, signature)
+ */
+function parseSignatureHeader(header) {
+  const fields = {};
+  const pattern = /(\w+)="([^"]*)"/g;
+  let match;
+
+  while ((match = pattern.exec(header)) !== null) {
+    fields[match[1]] = match[2];
+  }
+
+  if (!fields.keyId || !fields.signature) {
+    throw new Error('Signature header must contain keyId and signature');
+  }
+
+  return {
+    keyId: fields.keyId,
+    algorithm: fields.algorithm || 'rsa-sha256',
+    headers: (fields.headers || 'date').toLowerCase().split(/\s+/),
+    signature: fields.signature
+  };
+}
+
+/**
+ * POST an activity to an inbox as a signed request
+ * Activities that break AS2 rules are refused before anything is sent.
+ * @param {Object} activity - ActivityPub activity to deliver
+ * @param {string} inboxUrl - Target inbox URL
+ * @param {Object} signer - Signing credentials
+ * @param {string} signer.keyId - Key ID of the sending actor
+ * @param {string} signer.privateKeyPem - PEM encoded private key of the sending actor
+ * @returns {Promise<Object>} Response status and data
+ */
+async function deliverActivity(activity, inboxUrl, { keyId, privateKeyPem }) {
+  assertValidActivity(activity);
+
+  const body = JSON.stringify(activity);
+  const headers = signRequest({
+    method: 'POST',
+    url: inboxUrl,
+    body,
+    headers: {
+      'Content-Type': 'application/activity+json',
+      'User-Agent': USER_AGENT
+    },
+    keyId,
+    privateKeyPem
+  });
+
+  console.log(chalk.gray(`📡 POST ${inboxUrl}`));
+  console.log(chalk.gray(`   Signature: ${headers.Signature.substring(0, 100)}...`));
+
+  const response = await axios.post(inboxUrl, body, {
+    headers,
+    timeout: 10000
+  });
+
+  return { status: response.status, data: response.data };
+}
+
+/**
+ * Start a local stand-in inbox that accepts and logs every delivery
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @returns {Promise<{server: http.Server, url: string, received: Array}>} Running inbox
+ */
+function startStandInInbox(port = 0) {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      received.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      console.log(chalk.magenta(`📥 Stand-in inbox received ${req.method} ${req.url}`));
+      console.log(chalk.gray(`   Signature: ${req.headers.signature || 'missing'}`));
+      console.log(chalk.gray(`   Digest: ${req.headers.digest || 'missing'}`));
+
+      res.writeHead(202);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, 'localhost', () => {
+      const url = `http://localhost:${server.address().port}/inbox`;
+      resolve({ server, url, received });
+    });
+  });
+}
+
+/**
+ * Sign and deliver an example activity to a local stand-in inbox
+ */
+async function runSignatureDemo() {
+  console.log(chalk.magenta('🚀 Starting HTTP Signature Demo\n'));
+
+  const actorId = 'https://mastodon.social/users/dr_smith';
+  const { privateKeyPem, publicKeyPem } = loadOrCreateKeyPair('dr_smith');
+  console.log(chalk.gray(`Public key: ${publicKeyPem.substring(0, 60)}...`));
+
+  const activity = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Create',
+    id: `${actorId}/statuses/1/activity`,
+    actor: actorId,
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    object: {
+      type: 'Note',
+      id: `${actorId}/statuses/1`,
+      attributedTo: actorId,
+      content: '<p>Signed hello from the learning platform!</p>',
+      to: ['https://www.w3.org/ns/activitystreams#Public']
+    }
+  };
+
+  const inbox = await startStandInInbox();
+
+  try {
+    console.log(chalk.blue('='.repeat(50)));
+    const result = await deliverActivity(activity, inbox.url, { keyId: `${actorId}#main-key`, privateKeyPem });
+    console.log(chalk.green(`✅ Delivered with status ${result.status}`));
+
+    const delivery = inbox.received[0];
+    console.log(chalk.yellow('\n📋 Signing string the receiver has to rebuild:'));
+    console.log(chalk.white(buildSigningString('POST', delivery.path, delivery.headers, SIGNED_HEADERS)));
+  } catch (error) {
+    console.error(chalk.red(`❌ Delivery failed: ${error.message}`));
+  } finally {
+    inbox.server.close();
+  }
+}
+
+// Educational information
+function printSignatureInfo() {
+  console.log(chalk.cyan('📚 HTTP Signatures in ActivityPub:'));
+  console.log(chalk.white('Servers prove who sent a request by signing selected HTTP headers.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Each actor publishes an RSA public key (publicKey.publicKeyPem)'));
+  console.log(chalk.white('- The Digest header binds the request body to the signature'));
+  console.log(chalk.white('- The signature covers (request-target), host, date and digest'));
+  console.log(chalk.white('- Receivers fetch the keyId and verify before accepting activities\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printSignatureInfo();
+  runSignatureDemo().catch(console.error);
+}
+
+module.exports = {
+  loadOrCreateKeyPair,
+  createDigest,
+  buildSigningString,
+  signRequest,
+  parseSignatureHeader,
+  deliverActivity,
+  startStandInInbox
+};
\ No newline at end of file
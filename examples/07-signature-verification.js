@@ -0,0 +1,329 @@
+/**
+ * ActivityPub Learning Setup - Signature Verification
+ *
+ * Demonstrates how a receiving server checks incoming ActivityPub requests:
+ * Signature header, Digest, Date window and the signer's published public key.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const chalk = require('chalk');
+const { fetchActor } = require('./03-actor-profile');
+const { loadOrCreateKeyPair, createDigest, buildSigningString, signRequest, parseSignatureHeader } = require('./06-http-signatures');
+
+// Configuration
+const DEFAULT_DATE_TOLERANCE_MS = 5 * 60 * 1000; // Allowed clock skew in either direction
+const REQUIRED_HEADERS = ['(request-target)', 'host', 'date'];
+
+// Public keys by keyId, so every request doesn't refetch the actor
+const publicKeyCache = new Map();
+
+/**
+ * Check a Digest header against the raw body
+ * @param {string} digestHeader - Digest header value (e.g., "SHA-256=...")
+ * @param {string|Buffer} body - Raw request body
+ * @returns {boolean} Whether the SHA-256 digest matches
+ */
+function verifyDigest(digestHeader, body) {
+  const expected = createDigest(body).substring('SHA-256='.length);
+
+  return digestHeader.split(',').some(entry => {
+    const separator = entry.indexOf('=');
+    const algorithm = entry.substring(0, separator).trim().toUpperCase();
+    return algorithm === 'SHA-256' && entry.substring(separator + 1).trim() === expected;
+  });
+}
+
+/**
+ * List the keys an actor document publishes
+ * @param {Object} document - Actor document
+ * @returns {Array<Object>} Key objects (references as { id })
+ */
+function listedKeys(document) {
+  return [].concat(document.publicKey || []).map(key => (typeof key === 'string' ? { id: key } : key));
+}
+
+/**
+ * Fetch the PEM public key for a keyId via the signer's actor document
+ * The key must be listed under exactly this keyId, and its owner's own actor document must list
+ * it too: otherwise anyone could host a key that claims to belong to someone else.
+ * @param {string} keyId - Key ID from the Signature header
+ * @param {Function} fetchDocument - Fetcher for ActivityPub documents, called as (url, fetchOptions)
+ * @param {Object} fetchOptions - Passed to the fetcher (e.g. { cache: false } to bypass the HTTP cache)
+ * @returns {Promise<{publicKeyPem: string, owner: string}>} Public key and its verified owner
+ */
+async function fetchPublicKey(keyId, fetchDocument, fetchOptions = {}) {
+  const documentUrl = keyId.split('#')[0];
+  const document = await fetchDocument(documentUrl, fetchOptions);
+
+  // Most servers return the actor; some return the key object itself
+  const keys = document.publicKey ? listedKeys(document) : [document];
+  const key = keys.find(candidate => candidate.id === keyId);
+
+  if (!key) {
+    throw new Error(`${documentUrl} does not publish the key ${keyId}`);
+  }
+  if (!key.publicKeyPem) {
+    throw new Error(`No publicKeyPem found for ${keyId}`);
+  }
+
+  const owner = key.owner || (document.publicKey ? document.id : null);
+  if (!owner) {
+    throw new Error(`Key ${keyId} has no owner`);
+  }
+
+  // Only the document we fetched from documentUrl speaks for documentUrl; its id is just a claim
+  const ownerDocument = owner === documentUrl ? document : await fetchDocument(owner, fetchOptions);
+  if (ownerDocument.id !== owner || !listedKeys(ownerDocument).some(candidate => candidate.id === keyId)) {
+    throw new Error(`Owner ${owner} does not list the key ${keyId}`);
+  }
+
+  return {
+    publicKeyPem: key.publicKeyPem,
+    owner
+  };
+}
+
+/**
+ * Verify an incoming signed request
+ * @param {Object} request - Incoming request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {Object} request.headers - Request headers
+ * @param {string|Buffer} request.body - Raw request body
+ * @param {Object} options - Verification options
+ * @param {number} options.toleranceMs - Allowed clock skew for the Date header (default: 5 minutes)
+ * @param {Function} options.fetchActor - Fetcher for the signer's actor, called as (url, { cache }) (default: fetchActor)
+ * @returns {Promise<Object>} Verdict with verified flag, reason, keyId and actor
+ */
+async function verifyRequest(request, options = {}) {
+  const toleranceMs = options.toleranceMs || DEFAULT_DATE_TOLERANCE_MS;
+  const fetchDocument = options.fetchActor || fetchActor;
+  const headers = Object.fromEntries(
+    Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const reject = (reason, keyId) => ({ verified: false, reason, keyId: keyId || null, actor: null });
+
+  if (!headers.signature) {
+    return reject('Missing Signature header');
+  }
+
+  let signature;
+  try {
+    signature = parseSignatureHeader(headers.signature);
+  } catch (error) {
+    return reject(`Malformed Signature header: ${error.message}`);
+  }
+
+  if (signature.algorithm !== 'rsa-sha256' && signature.algorithm !== 'hs2019') {
+    return reject(`Unsupported algorithm: ${signature.algorithm}`, signature.keyId);
+  }
+
+  const hasBody = request.body !== undefined && request.body.length > 0;
+  const required = hasBody ? [...REQUIRED_HEADERS, 'digest'] : REQUIRED_HEADERS;
+  const unsigned = required.filter(name => !signature.headers.includes(name));
+  if (unsigned.length > 0) {
+    return reject(`Signature does not cover: ${unsigned.join(', ')}`, signature.keyId);
+  }
+
+  if (hasBody) {
+    if (!headers.digest) {
+      return reject('Missing Digest header', signature.keyId);
+    }
+    if (!verifyDigest(headers.digest, request.body)) {
+      return reject('Digest does not match body', signature.keyId);
+    }
+  }
+
+  const date = Date.parse(headers.date);
+  if (Number.isNaN(date)) {
+    return reject('Missing or invalid Date header', signature.keyId);
+  }
+  if (Math.abs(Date.now() - date) > toleranceMs) {
+    return reject(`Date is outside the ${toleranceMs / 1000}s tolerance window`, signature.keyId);
+  }
+
+  let signingString;
+  try {
+    signingString = buildSigningString(request.method, request.path, headers, signature.headers);
+  } catch (error) {
+    return reject(error.message, signature.keyId);
+  }
+
+  // A key we cannot use (e.g., a malformed PEM) is a different failure than a signature that does not match
+  const check = key => {
+    try {
+      const valid = crypto.verify(
+        'sha256',
+        Buffer.from(signingString),
+        key.publicKeyPem,
+        Buffer.from(signature.signature, 'base64')
+      );
+      return { valid };
+    } catch (error) {
+      return { valid: false, error: `Could not verify signature with ${signature.keyId}: ${error.message}` };
+    }
+  };
+  const loadKey = async fetchOptions => {
+    try {
+      const key = await fetchPublicKey(signature.keyId, fetchDocument, fetchOptions);
+      publicKeyCache.set(signature.keyId, key);
+      return { key };
+    } catch (error) {
+      return { error: `Could not fetch public key: ${error.message}` };
+    }
+  };
+
+  let key = publicKeyCache.get(signature.keyId);
+  const fromCache = Boolean(key);
+
+  if (!key) {
+    const loaded = await loadKey();
+    if (loaded.error) {
+      return reject(loaded.error, signature.keyId);
+    }
+    key = loaded.key;
+  }
+
+  let result = check(key);
+  if (result.valid) {
+    return { verified: true, reason: 'Signature valid', keyId: signature.keyId, actor: key.owner };
+  }
+
+  if (!fromCache) {
+    return reject(result.error || 'Signature does not match public key', signature.keyId);
+  }
+
+  // The actor may have rotated its key since we cached it: refetch once, past the HTTP cache
+  // (Mastodon sends max-age on actor documents, so a cached copy would still hold the old key)
+  publicKeyCache.delete(signature.keyId);
+  const reloaded = await loadKey({ cache: false });
+  if (reloaded.error) {
+    return reject(reloaded.error, signature.keyId);
+  }
+  key = reloaded.key;
+
+  result = check(key);
+  if (result.valid) {
+    return { verified: true, reason: 'Signature valid (key refreshed)', keyId: signature.keyId, actor: key.owner };
+  }
+
+  return reject(result.error || 'Signature does not match public key (after refetch)', signature.keyId);
+}
+
+/**
+ * Print a verification verdict
+ * @param {string} label - Scenario label
+ * @param {Object} verdict - Result of verifyRequest
+ */
+function printVerdict(label, verdict) {
+  const color = verdict.verified ? chalk.green : chalk.red;
+  console.log(color(`${verdict.verified ? '✅' : '❌'} ${label}: ${verdict.reason}`));
+}
+
+/**
+ * Verify signed requests against an actor served from a local server
+ */
+async function runVerificationDemo() {
+  console.log(chalk.magenta('🚀 Starting Signature Verification Demo\n'));
+
+  let { publicKeyPem, privateKeyPem } = loadOrCreateKeyPair('dr_smith');
+  // Mallory publishes her own key but claims it belongs to dr_smith
+  const mallory = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  // Local actor documents so the verifier has real keyIds to fetch
+  const server = http.createServer((req, res) => {
+    const actorId = `http://localhost:${server.address().port}/users/dr_smith`;
+    res.writeHead(200, { 'Content-Type': 'application/activity+json' });
+
+    if (req.url === '/users/mallory') {
+      const malloryId = `http://localhost:${server.address().port}/users/mallory`;
+      return res.end(JSON.stringify({
+        '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+        type: 'Person',
+        id: malloryId,
+        inbox: `${malloryId}/inbox`,
+        publicKey: { id: `${malloryId}#main-key`, owner: actorId, publicKeyPem: mallory.publicKey }
+      }));
+    }
+
+    res.end(JSON.stringify({
+      '@context': ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'],
+      type: 'Person',
+      id: actorId,
+      preferredUsername: 'dr_smith',
+      inbox: `${actorId}/inbox`,
+      publicKey: { id: `${actorId}#main-key`, owner: actorId, publicKeyPem }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+
+  const actorId = `http://localhost:${server.address().port}/users/dr_smith`;
+  const inboxUrl = 'https://learning-platform.uni.edu/inbox';
+  const body = JSON.stringify({ type: 'Follow', actor: actorId, object: 'https://learning-platform.uni.edu/actor' });
+  // Headers are always signed over the original body; sentBody simulates what arrives
+  const sign = sentBody => ({
+    method: 'POST',
+    path: '/inbox',
+    body: sentBody,
+    headers: signRequest({ method: 'POST', url: inboxUrl, body, keyId: `${actorId}#main-key`, privateKeyPem })
+  });
+
+  try {
+    console.log(chalk.blue('='.repeat(50)));
+    printVerdict('Valid request', await verifyRequest(sign(body)));
+    printVerdict('Tampered body', await verifyRequest(sign(body.replace('Follow', 'Block'))));
+
+    const stale = sign(body);
+    stale.headers.Date = new Date(Date.now() - 60 * 60 * 1000).toUTCString();
+    printVerdict('Stale date', await verifyRequest(stale));
+
+    const forged = {
+      method: 'POST',
+      path: '/inbox',
+      body,
+      headers: signRequest({ method: 'POST', url: inboxUrl, body, keyId: actorId.replace('dr_smith', 'mallory#main-key'), privateKeyPem: mallory.privateKey })
+    };
+    printVerdict('Key claiming another owner', await verifyRequest(forged));
+
+    // Rotate the key: the cached key no longer matches, so the verifier refetches
+    const rotated = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    publicKeyPem = rotated.publicKey;
+    privateKeyPem = rotated.privateKey;
+    printVerdict('After key rotation', await verifyRequest(sign(body)));
+
+    console.log(chalk.yellow('\n📋 Signing string checked by the receiver:'));
+    const request = sign(body);
+    console.log(chalk.white(buildSigningString(request.method, request.path, request.headers, parseSignatureHeader(request.headers.Signature).headers)));
+  } finally {
+    server.close();
+  }
+}
+
+// Educational information
+function printVerificationInfo() {
+  console.log(chalk.cyan('📚 Verifying HTTP Signatures:'));
+  console.log(chalk.white('Inboxes must check who sent an activity before processing it.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- The keyId points to the signer\'s actor and its publicKeyPem'));
+  console.log(chalk.white('- The key\'s owner must list the key in its own actor document'));
+  console.log(chalk.white('- The Digest header proves the body was not modified'));
+  console.log(chalk.white('- The Date header limits replay of captured requests'));
+  console.log(chalk.white('- Cached keys are refetched once when an actor rotates its key\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printVerificationInfo();
+  runVerificationDemo().catch(console.error);
+}
+
+module.exports = { verifyDigest, fetchPublicKey, verifyRequest, publicKeyCache };
\ No newline at end of file
@@ -0,0 +1,449 @@
+/**
+ * ActivityPub Learning Setup - Actor Server
+ *
+ * Publishes the professor/platform actor over HTTP: WebFinger, actor document and outbox.
+ * Other servers (and our own analysis scripts) can discover and read it like any Mastodon account.
+ * The instance actor at /actor holds the key for signed GETs to servers in secure mode.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const chalk = require('chalk');
+const { analyzeActorComplete } = require('./03-actor-profile');
+const { createActivityPubNote, createActivityPubActivity } = require('./05-notification-simulation');
+const { loadOrCreateKeyPair } = require('./06-http-signatures');
+const { PUBLIC_COLLECTION } = require('./15-jsonld-normalization');
+const { INSTANCE_ACTOR_KEY_NAME } = require('./26-http-client');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+const PLATFORM_PORT = Number(process.env.PLATFORM_PORT || 8080);
+const PLATFORM_BASE_URL = process.env.PLATFORM_BASE_URL || `http://localhost:${PLATFORM_PORT}`;
+const PLATFORM_USERNAME = process.env.PLATFORM_USERNAME || 'dr_smith';
+const OUTBOX_PAGE_SIZE = 20;
+
+const ACTIVITY_JSON = 'application/activity+json; charset=utf-8';
+
+/**
+ * Read a JSON file, returning a fallback when it does not exist yet
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*} Parsed file content
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Data to store
+ * @param {Object} options - Write options
+ * @param {number} options.mode - File permissions (e.g., 0o600 for secrets)
+ */
+function writeJsonFile(filePath, data, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: options.mode });
+  if (options.mode !== undefined) {
+    // The mode only applies to new files; a leftover temp file keeps its old permissions
+    fs.chmodSync(tempPath, options.mode);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ * @param {string} contentType - Content-Type header (default: application/activity+json)
+ */
+function sendJson(res, status, data, contentType = ACTIVITY_JSON) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Build the actor document for the platform account
+ * @param {Object} options - Actor options
+ * @param {string} options.baseUrl - Public base URL of the server
+ * @param {string} options.username - Preferred username
+ * @param {string} options.name - Display name
+ * @param {string} options.summary - Profile bio (HTML)
+ * @returns {Object} ActivityPub Person object
+ */
+function createPlatformActor({ baseUrl, username, name, summary }) {
+  const actorId = `${baseUrl}/users/${username}`;
+  const { publicKeyPem } = loadOrCreateKeyPair(username);
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/activitystreams',
+      'https://w3id.org/security/v1'
+    ],
+    type: 'Person',
+    id: actorId,
+    preferredUsername: username,
+    name: name || 'Dr. ActivityPub',
+    summary: summary || '<p>Course announcements from the university learning platform. 🎓</p>',
+    url: `${baseUrl}/@${username}`,
+    inbox: `${actorId}/inbox`,
+    outbox: `${actorId}/outbox`,
+    followers: `${actorId}/followers`,
+    following: `${actorId}/following`,
+    manuallyApprovesFollowers: false,
+    discoverable: true,
+    publicKey: {
+      id: `${actorId}#main-key`,
+      owner: actorId,
+      publicKeyPem
+    }
+  };
+}
+
+/**
+ * Build the instance actor: the server itself, as Mastodon publishes it
+ * Remote servers fetch its key to verify our signed GETs, so it is served without a signature.
+ * @param {string} baseUrl - Public base URL of the server
+ * @returns {Object} ActivityPub Application object
+ */
+function createInstanceActor(baseUrl) {
+  const actorId = `${baseUrl}/actor`;
+  const { publicKeyPem } = loadOrCreateKeyPair(INSTANCE_ACTOR_KEY_NAME);
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/activitystreams',
+      'https://w3id.org/security/v1'
+    ],
+    type: 'Application',
+    id: actorId,
+    preferredUsername: new URL(baseUrl).host,
+    url: `${baseUrl}/about`,
+    inbox: `${actorId}/inbox`,
+    outbox: `${actorId}/outbox`,
+    manuallyApprovesFollowers: true,
+    publicKey: {
+      id: `${actorId}#main-key`,
+      owner: actorId,
+      publicKeyPem
+    }
+  };
+}
+
+/**
+ * Check whether anyone may see an activity or object (public or unlisted)
+ * @param {Object} item - Activity or object with to/cc
+ * @returns {boolean} Whether the Public collection is addressed
+ */
+function isPubliclyVisible(item) {
+  return [].concat(item.to || [], item.cc || []).includes(PUBLIC_COLLECTION);
+}
+
+/**
+ * Create a file-backed outbox holding the actor's activities (newest first)
+ * @param {string} filePath - Path to the outbox JSON file
+ * @returns {Object} Outbox store with add, list, count, findActivity and findObject
+ */
+function createOutboxStore(filePath) {
+  let activities = readJsonFile(filePath, []);
+
+  const store = {
+    add(activity) {
+      activities = [activity, ...activities.filter(existing => existing.id !== activity.id)];
+      writeJsonFile(filePath, activities);
+    },
+    list() {
+      return activities;
+    },
+    count() {
+      return activities.length;
+    },
+    /**
+     * Find the newest activity about an object
+     * @param {string} objectId - Object id
+     * @returns {Object|null} Create, Update or Delete activity, or null if never published
+     */
+    findActivity(objectId) {
+      return activities.find(existing => existing.object && typeof existing.object === 'object' && existing.object.id === objectId) || null;
+    },
+    /**
+     * Find the current state of an object: the one embedded in the newest activity about it
+     * @param {string} objectId - Object id
+     * @returns {Object|null} Object, a Tombstone once deleted, or null if never published
+     */
+    findObject(objectId) {
+      const activity = store.findActivity(objectId);
+      return activity ? activity.object : null;
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Render an OrderedCollection (without page) or one of its OrderedCollectionPages
+ * @param {string} collectionId - Collection URL
+ * @param {Array} items - All items, in order
+ * @param {number|null} page - 1-based page number, or null for the collection itself
+ * @param {number} pageSize - Items per page
+ * @returns {Object} OrderedCollection or OrderedCollectionPage
+ */
+function renderOrderedCollection(collectionId, items, page, pageSize = OUTBOX_PAGE_SIZE) {
+  const lastPage = Math.max(1, Math.ceil(items.length / pageSize));
+
+  if (!page) {
+    return {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      type: 'OrderedCollection',
+      id: collectionId,
+      totalItems: items.length,
+      first: `${collectionId}?page=1`,
+      last: `${collectionId}?page=${lastPage}`
+    };
+  }
+
+  const collectionPage = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'OrderedCollectionPage',
+    id: `${collectionId}?page=${page}`,
+    partOf: collectionId,
+    totalItems: items.length,
+    orderedItems: items.slice((page - 1) * pageSize, page * pageSize)
+  };
+
+  if (page < lastPage) {
+    collectionPage.next = `${collectionId}?page=${page + 1}`;
+  }
+  if (page > 1) {
+    collectionPage.prev = `${collectionId}?page=${page - 1}`;
+  }
+
+  return collectionPage;
+}
+
+/**
+ * Create the platform server publishing the actor, WebFinger and outbox
+ * @param {Object} options - Server options
+ * @param {string} options.baseUrl - Public base URL (default: PLATFORM_BASE_URL)
+ * @param {string} options.username - Actor username (default: PLATFORM_USERNAME)
+ * @param {string} options.dataDir - Directory for persisted state (default: data/)
+ * @returns {Object} Platform with actor, outbox, route(), publish(), listen() and close()
+ */
+function createPlatformServer(options = {}) {
+  const baseUrl = options.baseUrl || PLATFORM_BASE_URL;
+  const username = options.username || PLATFORM_USERNAME;
+  const dataDir = options.dataDir || DATA_DIR;
+  const domain = new URL(baseUrl).host;
+
+  const actor = createPlatformActor({ baseUrl, username, name: options.name, summary: options.summary });
+  const instanceActor = createInstanceActor(baseUrl);
+  const outbox = createOutboxStore(path.join(dataDir, `${username}-outbox.json`));
+  const routes = [];
+
+  const platform = {
+    baseUrl,
+    domain,
+    username,
+    dataDir,
+    actor,
+    instanceActor,
+    outbox,
+
+    /**
+     * Register a request handler
+     * @param {string} method - HTTP method
+     * @param {RegExp} pattern - Pattern matched against the path (without query)
+     * @param {Function} handler - (req, res, { match, url, body }) => void
+     */
+    route(method, pattern, handler) {
+      routes.push({ method, pattern, handler });
+    },
+
+    /**
+     * Add an activity (e.g., from createActivityPubActivity) to the outbox
+     * @param {Object} activity - ActivityPub activity
+     */
+    publish(activity) {
+      outbox.add(activity);
+      console.log(chalk.green(`📤 Published ${activity.type} to outbox: ${activity.id}`));
+    },
+
+    listen(port = new URL(baseUrl).port || PLATFORM_PORT) {
+      return new Promise(resolve => server.listen(port, resolve));
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  platform.route('GET', /^\/\.well-known\/webfinger$/, (req, res, { url }) => {
+    const resource = url.searchParams.get('resource');
+    const accepted = [`acct:${username}@${domain}`, actor.id, actor.url];
+
+    // Like Mastodon, the instance actor is domain@domain
+    if ([`acct:${domain}@${domain}`, instanceActor.id].includes(resource)) {
+      return sendJson(res, 200, {
+        subject: `acct:${domain}@${domain}`,
+        aliases: [instanceActor.id],
+        links: [{ rel: 'self', type: 'application/activity+json', href: instanceActor.id }]
+      }, 'application/jrd+json; charset=utf-8');
+    }
+
+    if (!accepted.includes(resource)) {
+      return sendJson(res, 404, { error: `Unknown resource: ${resource}` }, 'application/json');
+    }
+
+    sendJson(res, 200, {
+      subject: `acct:${username}@${domain}`,
+      aliases: [actor.id, actor.url],
+      links: [
+        { rel: 'self', type: 'application/activity+json', href: actor.id },
+        { rel: 'http://webfinger.net/rel/profile-page', type: 'text/html', href: actor.url }
+      ]
+    }, 'application/jrd+json; charset=utf-8');
+  });
+
+  platform.route('GET', /^\/actor$/, (req, res) => {
+    sendJson(res, 200, instanceActor);
+  });
+
+  platform.route('GET', /^\/users\/([^/]+)$/, (req, res, { match }) => {
+    if (match[1] !== username) {
+      return sendJson(res, 404, { error: 'Actor not found' }, 'application/json');
+    }
+    sendJson(res, 200, actor);
+  });
+
+  platform.route('GET', /^\/users\/([^/]+)\/outbox$/, (req, res, { match, url }) => {
+    if (match[1] !== username) {
+      return sendJson(res, 404, { error: 'Actor not found' }, 'application/json');
+    }
+    const page = Number(url.searchParams.get('page')) || null;
+    // Followers-only and direct activities are delivered, never listed
+    sendJson(res, 200, renderOrderedCollection(actor.outbox, outbox.list().filter(isPubliclyVisible), page));
+  });
+
+  // Published objects (e.g. /videos/<id>/activitypub) are served at their ids; deleted ones are gone.
+  // Requests are not authenticated, so objects that were not public do not exist here.
+  platform.route('GET', /^\/[^/]+\/[^/]+\/activitypub$/, (req, res, { url }) => {
+    const activity = outbox.findActivity(`${baseUrl}${url.pathname}`);
+    if (!activity || !isPubliclyVisible(activity)) {
+      return sendJson(res, 404, { error: 'Object not found' }, 'application/json');
+    }
+    const object = activity.object;
+    const document = { '@context': 'https://www.w3.org/ns/activitystreams', ...object };
+    sendJson(res, object.type === 'Tombstone' ? 410 : 200, document);
+  });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      console.log(chalk.gray(`🌐 ${req.method} ${req.url}`));
+
+      for (const { method, pattern, handler } of routes) {
+        const match = url.pathname.match(pattern);
+        if (req.method === method && match) {
+          try {
+            await handler(req, res, { match, url, body });
+          } catch (error) {
+            console.error(chalk.red(`❌ Handler for ${req.method} ${url.pathname} failed: ${error.message}`));
+            if (!res.headersSent) {
+              sendJson(res, 500, { error: 'Internal server error' }, 'application/json');
+            }
+          }
+          return;
+        }
+      }
+
+      sendJson(res, 404, { error: 'Not found' }, 'application/json');
+    });
+  });
+
+  platform.server = server;
+  return platform;
+}
+
+/**
+ * Publish an example video announcement and analyze our own actor end to end
+ */
+async function runActorServerDemo() {
+  console.log(chalk.magenta('🚀 Starting Platform Actor Server\n'));
+
+  const platform = createPlatformServer();
+  await platform.listen();
+  console.log(chalk.green(`✅ Serving ${platform.actor.id}`));
+  console.log(chalk.cyan(`🔍 WebFinger handle: ${platform.username}@${platform.domain}`));
+  console.log(chalk.cyan(`🏛️ Instance actor for signed GETs: ${platform.instanceActor.id}\n`));
+
+  const webhookPayload = {
+    event: 'video.uploaded',
+    timestamp: new Date().toISOString(),
+    course: { id: 'CS-480', name: 'Distributed Systems' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: platform.username },
+    video: {
+      id: 'activitypub-intro-2024',
+      title: 'Introduction to ActivityPub Protocol',
+      description: 'Learn the basics of decentralized social networking with ActivityPub',
+      duration: '15:42',
+      url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro',
+      thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg'
+    },
+    enrolledStudents: []
+  };
+
+  const note = createActivityPubNote(webhookPayload, { actorId: platform.actor.id, baseUrl: platform.baseUrl });
+  platform.publish(createActivityPubActivity(note, platform.actor.id));
+
+  console.log(chalk.blue('\n' + '='.repeat(80) + '\n'));
+  await analyzeActorComplete(`${platform.username}@${platform.domain}`);
+
+  if (process.argv.includes('--serve')) {
+    console.log(chalk.cyan(`\n🌐 Server keeps running on ${platform.baseUrl} (Ctrl+C to stop)`));
+    return;
+  }
+
+  await platform.close();
+}
+
+// Educational information
+function printActorServerInfo() {
+  console.log(chalk.cyan('📚 Publishing an ActivityPub Actor:'));
+  console.log(chalk.white('To federate, the platform must be discoverable like any other account.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- /.well-known/webfinger maps the handle to the actor URL'));
+  console.log(chalk.white('- The actor document publishes inbox, outbox and the public key'));
+  console.log(chalk.white('- The outbox is an OrderedCollection split into pages'));
+  console.log(chalk.white('- The instance actor (/actor) signs GETs to servers in secure mode'));
+  console.log(chalk.white('- Start with --serve to keep the server running\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printActorServerInfo();
+  runActorServerDemo().catch(console.error);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+  sendJson,
+  createPlatformActor,
+  createInstanceActor,
+  isPubliclyVisible,
+  createOutboxStore,
+  renderOrderedCollection,
+  createPlatformServer
+};
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * ActivityPub Learning Setup - Inbox and Followers
+ *
+ * Adds an inbox to the platform actor: signed Follow requests are accepted (or queued for
+ * manual approval), Undo{Follow} removes followers, and followers are stored on disk.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const path = require('path');
+const chalk = require('chalk');
+const { fetchActor } = require('./03-actor-profile');
+const { loadOrCreateKeyPair, deliverActivity } = require('./06-http-signatures');
+const { verifyRequest } = require('./07-signature-verification');
+const { readJsonFile, writeJsonFile, sendJson, renderOrderedCollection, createPlatformServer } = require('./08-actor-server');
+
+// Configuration
+const MANUALLY_APPROVES_FOLLOWERS = process.env.MANUALLY_APPROVES_FOLLOWERS === 'true';
+const FOLLOWERS_PAGE_SIZE = 20;
+
+/**
+ * Create a file-backed store for followers and pending follow requests
+ * @param {string} filePath - Path to the followers JSON file
+ * @returns {Object} Follower store
+ */
+function createFollowerStore(filePath) {
+  const state = readJsonFile(filePath, { followers: [], pending: [], follows: {} });
+  // Follow activity id per follower, so an Undo can be matched to it
+  state.follows = state.follows || {};
+  const save = () => writeJsonFile(filePath, state);
+
+  return {
+    list() {
+      return state.followers;
+    },
+    has(actorId) {
+      return state.followers.includes(actorId);
+    },
+    add(actorId, followId) {
+      if (!state.followers.includes(actorId)) {
+        state.followers.push(actorId);
+      }
+      if (followId) {
+        state.follows[actorId] = followId;
+      }
+      save();
+    },
+    remove(actorId) {
+      state.followers = state.followers.filter(follower => follower !== actorId);
+      state.pending = state.pending.filter(request => request.actor !== actorId);
+      delete state.follows[actorId];
+      save();
+    },
+    hasFollow(actorId, followId) {
+      return state.follows[actorId] === followId ||
+        state.pending.some(request => request.id === followId && request.actor === actorId);
+    },
+    listPending() {
+      return state.pending;
+    },
+    addPending(follow) {
+      if (!state.pending.some(request => request.id === follow.id)) {
+        state.pending.push({ id: follow.id, actor: follow.actor, follow, receivedAt: new Date().toISOString() });
+        save();
+      }
+    },
+    takePending(followId) {
+      const request = state.pending.find(pending => pending.id === followId);
+      state.pending = state.pending.filter(pending => pending.id !== followId);
+      save();
+      return request;
+    }
+  };
+}
+
+/**
+ * Attach an inbox and followers collection to a platform server
+ * @param {Object} platform - Platform from createPlatformServer
+ * @param {Object} options - Inbox options
+ * @param {boolean} options.manuallyApprovesFollowers - Queue Follow requests instead of accepting them
+ * @param {Object} options.verifyOptions - Options passed to verifyRequest
+ * @param {Function} options.onActivity - Called with (activity, verdict) for every verified activity
+ * @returns {Object} Inbox with followers store, approveFollow() and rejectFollow()
+ */
+function attachInbox(platform, options = {}) {
+  const { actor } = platform;
+  const manual = options.manuallyApprovesFollowers !== undefined
+    ? options.manuallyApprovesFollowers
+    : MANUALLY_APPROVES_FOLLOWERS;
+  const followers = createFollowerStore(path.join(platform.dataDir, `${platform.username}-followers.json`));
+  const { privateKeyPem } = loadOrCreateKeyPair(platform.username);
+
+  actor.manuallyApprovesFollowers = manual;
+
+  /**
+   * Send Accept or Reject for a Follow to the follower's inbox
+   * @param {string} type - "Accept" or "Reject"
+   * @param {Object} follow - The original Follow activity
+   */
+  async function respondToFollow(type, follow) {
+    const response = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      type,
+      id: `${actor.id}#${type.toLowerCase()}s/${crypto.randomUUID()}`,
+      actor: actor.id,
+      object: follow,
+      published: new Date().toISOString()
+    };
+
+    const follower = await fetchActor(follow.actor);
+    await deliverActivity(response, follower.inbox, { keyId: actor.publicKey.id, privateKeyPem });
+    console.log(chalk.green(`✅ Sent ${type} for follow from ${follow.actor}`));
+  }
+
+  /**
+   * Handle a verified activity posted to the inbox
+   * @param {Object} activity - ActivityPub activity
+   * @returns {Promise<void>}
+   */
+  async function handleActivity(activity) {
+    if (activity.type === 'Follow') {
+      const target = typeof activity.object === 'string' ? activity.object : activity.object.id;
+      if (target !== actor.id) {
+        console.log(chalk.yellow(`⚠️ Ignoring Follow for unknown actor: ${target}`));
+        return;
+      }
+
+      if (manual) {
+        followers.addPending(activity);
+        console.log(chalk.yellow(`⏳ Follow request from ${activity.actor} is waiting for approval`));
+        return;
+      }
+
+      followers.add(activity.actor, activity.id);
+      console.log(chalk.green(`👥 New follower: ${activity.actor}`));
+      await respondToFollow('Accept', activity);
+      return;
+    }
+
+    if (activity.type === 'Undo') {
+      const undone = activity.object;
+
+      // Whether the Follow is only referenced by id or embedded, it must be the Follow we stored
+      const undoesFollow = typeof undone === 'string'
+        ? followers.hasFollow(activity.actor, undone)
+        : Boolean(undone) && undone.type === 'Follow' &&
+          (undone.object && (undone.object.id || undone.object)) === actor.id &&
+          followers.hasFollow(activity.actor, undone.id);
+      if (undoesFollow) {
+        followers.remove(activity.actor);
+        console.log(chalk.yellow(`👋 ${activity.actor} unfollowed`));
+      }
+      return;
+    }
+
+    console.log(chalk.gray(`📥 Received ${activity.type} from ${activity.actor}`));
+  }
+
+  platform.route('POST', /^\/users\/([^/]+)\/inbox$/, async (req, res, { match, body }) => {
+    if (match[1] !== platform.username) {
+      return sendJson(res, 404, { error: 'Actor not found' }, 'application/json');
+    }
+
+    const verdict = await verifyRequest({
+      method: req.method,
+      path: req.url,
+      headers: req.headers,
+      body
+    }, options.verifyOptions);
+
+    if (!verdict.verified) {
+      console.log(chalk.red(`❌ Rejected inbox delivery: ${verdict.reason}`));
+      return sendJson(res, 401, { error: verdict.reason }, 'application/json');
+    }
+
+    let activity;
+    try {
+      activity = JSON.parse(body);
+    } catch (error) {
+      return sendJson(res, 400, { error: 'Body is not valid JSON' }, 'application/json');
+    }
+
+    if (activity.actor !== verdict.actor) {
+      return sendJson(res, 401, { error: 'Signer does not match activity actor' }, 'application/json');
+    }
+
+    res.writeHead(202);
+    res.end();
+
+    try {
+      await handleActivity(activity);
+      if (options.onActivity) {
+        options.onActivity(activity, verdict);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Processing ${activity.type} failed: ${error.message}`));
+    }
+  });
+
+  platform.route('GET', /^\/users\/([^/]+)\/followers$/, (req, res, { match, url }) => {
+    if (match[1] !== platform.username) {
+      return sendJson(res, 404, { error: 'Actor not found' }, 'application/json');
+    }
+    const page = Number(url.searchParams.get('page')) || null;
+    sendJson(res, 200, renderOrderedCollection(actor.followers, followers.list(), page, FOLLOWERS_PAGE_SIZE));
+  });
+
+  return {
+    followers,
+
+    /**
+     * Approve a pending follow request and send Accept
+     * @param {string} followId - Id of the pending Follow activity
+     */
+    async approveFollow(followId) {
+      const request = followers.takePending(followId);
+      if (!request) {
+        throw new Error(`No pending follow request: ${followId}`);
+      }
+      followers.add(request.actor, request.id);
+      await respondToFollow('Accept', request.follow);
+    },
+
+    /**
+     * Reject a pending follow request and send Reject
+     * @param {string} followId - Id of the pending Follow activity
+     */
+    async rejectFollow(followId) {
+      const request = followers.takePending(followId);
+      if (!request) {
+        throw new Error(`No pending follow request: ${followId}`);
+      }
+      await respondToFollow('Reject', request.follow);
+    }
+  };
+}
+
+/**
+ * Wait until the given callback list receives an activity of a type
+ * @param {Array} received - Activities collected by onActivity
+ * @param {string} type - Activity type to wait for
+ * @returns {Promise<Object>} The received activity
+ */
+async function waitForActivity(received, type) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const activity = received.find(candidate => candidate.type === type);
+    if (activity) {
+      return activity;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${type}`);
+}
+
+/**
+ * Let a local student actor follow and unfollow the professor
+ */
+async function runInboxDemo() {
+  console.log(chalk.magenta('🚀 Starting Inbox and Followers Demo\n'));
+
+  const professor = createPlatformServer();
+  const professorInbox = attachInbox(professor, { manuallyApprovesFollowers: process.argv.includes('--manual') });
+
+  const student = createPlatformServer({ baseUrl: 'http://localhost:8081', username: 'alice_cs', name: 'Alice' });
+  const studentReceived = [];
+  attachInbox(student, { onActivity: activity => studentReceived.push(activity) });
+
+  await professor.listen();
+  await student.listen();
+
+  const { privateKeyPem } = loadOrCreateKeyPair(student.username);
+  const signer = { keyId: student.actor.publicKey.id, privateKeyPem };
+
+  try {
+    console.log(chalk.blue('='.repeat(60)));
+    const follow = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      type: 'Follow',
+      id: `${student.actor.id}#follows/${crypto.randomUUID()}`,
+      actor: student.actor.id,
+      object: professor.actor.id
+    };
+    await deliverActivity(follow, professor.actor.inbox, signer);
+
+    if (professor.actor.manuallyApprovesFollowers) {
+      console.log(chalk.yellow(`\n📋 Pending requests: ${professorInbox.followers.listPending().length}`));
+      await professorInbox.approveFollow(follow.id);
+    }
+
+    const accept = await waitForActivity(studentReceived, 'Accept');
+    console.log(chalk.green(`✅ Alice received ${accept.type} for ${accept.object.id}`));
+
+    const collection = await fetchActor(professor.actor.followers);
+    const firstPage = await fetchActor(collection.first);
+    console.log(chalk.cyan(`👥 Followers: ${collection.totalItems} → ${firstPage.orderedItems.join(', ')}`));
+
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    await deliverActivity({
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      type: 'Undo',
+      id: `${follow.id}/undo`,
+      actor: student.actor.id,
+      object: follow
+    }, professor.actor.inbox, signer);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    console.log(chalk.cyan(`👥 Followers after Undo: ${professorInbox.followers.list().length}`));
+  } finally {
+    await professor.close();
+    await student.close();
+  }
+}
+
+// Educational information
+function printInboxInfo() {
+  console.log(chalk.cyan('📚 Inboxes and Followers:'));
+  console.log(chalk.white('Followers are built from Follow activities delivered to the inbox.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Every inbox POST must carry a valid HTTP signature'));
+  console.log(chalk.white('- Follow is answered with Accept (or queued when manuallyApprovesFollowers)'));
+  console.log(chalk.white('- Undo{Follow} removes the follower again'));
+  console.log(chalk.white('- The followers collection is paged like the outbox\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printInboxInfo();
+  runInboxDemo().catch(console.error);
+}
+
+module.exports = { createFollowerStore, attachInbox };
\ No newline at end of file
@@ -0,0 +1,457 @@
+/**
+ * ActivityPub Learning Setup - Delivery Queue
+ *
+ * Delivers activities to every follower's inbox through a persistent queue.
+ * Followers on the same server share one POST via their sharedInbox, failed
+ * deliveries are retried with exponential backoff, and dead domains are given up.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const chalk = require('chalk');
+const { fetchActor } = require('./03-actor-profile');
+const { loadOrCreateKeyPair, deliverActivity } = require('./06-http-signatures');
+const { readJsonFile, writeJsonFile } = require('./08-actor-server');
+const { assertValidActivity } = require('./16-as2-validator');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+const BASE_RETRY_DELAY_MS = Number(process.env.DELIVERY_BASE_DELAY_MS || 30 * 1000);
+const MAX_RETRY_DELAY_MS = Number(process.env.DELIVERY_MAX_DELAY_MS || 6 * 60 * 60 * 1000);
+const GIVE_UP_AFTER_MS = Number(process.env.DELIVERY_GIVE_UP_AFTER_MS || 7 * 24 * 60 * 60 * 1000);
+
+/**
+ * Compute the delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @param {number} maxDelayMs - Upper bound for the delay
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempts, baseDelayMs, maxDelayMs) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  // Jitter spreads retries so a recovering server isn't hit by every job at once
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Get the domain failures of a URL are counted against
+ * @param {string} url - Inbox or actor URL
+ * @returns {string} Host, or the value itself when it is not a URL
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Resolve follower actor ids to the inboxes that need one POST each
+ * @param {Array<string>} followerIds - Follower actor ids
+ * @param {Function} fetchDocument - Fetcher for actor documents
+ * @param {boolean} useSharedInbox - Prefer endpoints.sharedInbox (default: true; direct messages go to personal inboxes)
+ * @returns {Promise<{inboxes: Array<string>, unresolved: Array<Object>}>} Unique inboxes and failures
+ */
+async function resolveInboxes(followerIds, fetchDocument = fetchActor, useSharedInbox = true) {
+  const inboxes = new Set();
+  const unresolved = [];
+
+  for (const followerId of followerIds) {
+    try {
+      const follower = await fetchDocument(followerId);
+      const inbox = (useSharedInbox && follower.endpoints && follower.endpoints.sharedInbox) || follower.inbox;
+      if (!inbox) {
+        throw new Error('Actor has no inbox');
+      }
+      inboxes.add(inbox);
+    } catch (error) {
+      unresolved.push({ actor: followerId, error: error.message });
+    }
+  }
+
+  return { inboxes: [...inboxes], unresolved };
+}
+
+/**
+ * Create a persistent delivery queue
+ * @param {Object} options - Queue options
+ * @param {Object} options.signer - { keyId, privateKeyPem } of the sending actor
+ * @param {string} options.filePath - Path to the queue JSON file (default: data/delivery-queue.json)
+ * @param {number} options.baseDelayMs - First retry delay
+ * @param {number} options.maxDelayMs - Maximum retry delay
+ * @param {number} options.giveUpAfterMs - Give up on a domain failing for this long
+ * @param {Function} options.fetchActor - Fetcher for follower actors (default: fetchActor)
+ * @param {Function} options.deliver - Delivery function (default: deliverActivity)
+ * @param {Function} options.now - Clock returning the current time in ms (default: Date.now)
+ * @returns {Object} Delivery queue
+ */
+function createDeliveryQueue(options) {
+  const filePath = options.filePath || path.join(DATA_DIR, 'delivery-queue.json');
+  const baseDelayMs = options.baseDelayMs || BASE_RETRY_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || MAX_RETRY_DELAY_MS;
+  const giveUpAfterMs = options.giveUpAfterMs || GIVE_UP_AFTER_MS;
+  const deliver = options.deliver || deliverActivity;
+  const clock = options.now || Date.now;
+
+  const state = readJsonFile(filePath, { jobs: [], domains: {} });
+  const save = () => writeJsonFile(filePath, state);
+  let processing = false;
+  let timer = null;
+
+  /**
+   * Record a failed attempt and decide between retry and giving up
+   * @param {Object} job - Failed job
+   * @param {Error} error - Delivery error
+   */
+  function recordFailure(job, error) {
+    // Not processDue's start time: a slow run would schedule its later retries in the past
+    const now = clock();
+    const domainState = state.domains[job.domain] || { firstFailureAt: new Date(now).toISOString(), failures: 0 };
+    domainState.failures++;
+    domainState.lastFailureAt = new Date(now).toISOString();
+    state.domains[job.domain] = domainState;
+
+    job.attempts++;
+    job.lastError = error.message;
+
+    if (now - Date.parse(domainState.firstFailureAt) >= giveUpAfterMs) {
+      // Give up on every pending job for the domain, not just this one
+      state.jobs
+        .filter(other => other.domain === job.domain && other.status === 'pending')
+        .forEach(other => {
+          other.status = 'failed';
+          other.lastError = `Gave up on ${job.domain} after failing since ${domainState.firstFailureAt}: ${job.lastError}`;
+        });
+      console.log(chalk.red(`💀 Giving up on ${job.domain}`));
+      return;
+    }
+
+    const delay = computeBackoff(job.attempts, baseDelayMs, maxDelayMs);
+    job.nextAttemptAt = new Date(now + delay).toISOString();
+    console.log(chalk.yellow(`🔁 ${job.inbox || job.actor} failed (${job.lastError}), retry in ${Math.round(delay / 1000)}s`));
+  }
+
+  /**
+   * Resolve the inbox of a job whose recipient could not be resolved when it was queued
+   * @param {Object} job - Job with actor but no inbox
+   * @returns {Promise<string|null>} Inbox, or null when another job of the activity already covers it (the job is superseded)
+   * @throws {Error} When the actor still cannot be resolved
+   */
+  async function resolveJobInbox(job) {
+    const { inboxes, unresolved } = await resolveInboxes([job.actor], options.fetchActor, job.sharedInbox);
+    if (inboxes.length === 0) {
+      throw new Error(unresolved[0].error);
+    }
+
+    const [inbox] = inboxes;
+    job.inbox = inbox;
+    job.domain = new URL(inbox).host;
+
+    // Kept, not removed: whoever queued the job can still look it up
+    if (state.jobs.some(other => other !== job && other.activityId === job.activityId && other.inbox === inbox && other.status !== 'superseded')) {
+      job.status = 'superseded';
+      job.lastError = null;
+      console.log(chalk.gray(`📭 ${job.actor} resolved to ${inbox}, which already gets ${job.activityId}`));
+      return null;
+    }
+
+    return inbox;
+  }
+
+  const queue = {
+    /**
+     * Queue an activity for every follower, one job per (shared) inbox
+     * Followers whose actor cannot be fetched yet get a job without an inbox; it is
+     * resolved again on every attempt and retried and given up like a failed delivery.
+     * With enqueueOptions.activityFor every server can get its own representation (e.g. a
+     * Video for PeerTube, a Note for Mastodon); jobs of unresolved followers get the one for
+     * their actor's domain.
+     * @param {Object} activity - ActivityPub activity
+     * @param {Array<string>} followerIds - Follower actor ids
+     * @param {Object} enqueueOptions - Enqueue options
+     * @param {boolean} enqueueOptions.sharedInbox - false to POST to each personal inbox
+     * @param {Function} enqueueOptions.activityFor - async (domain) => activity that domain gets (default: the same activity for all)
+     * @returns {Promise<{jobs: Array<Object>, unresolved: Array<Object>}>} Created jobs and followers that could not be resolved yet
+     */
+    async enqueue(activity, followerIds, enqueueOptions = {}) {
+      // Reject invalid activities up front; failing later would be retried and blamed on the receiving domains
+      assertValidActivity(activity);
+
+      const sharedInbox = enqueueOptions.sharedInbox !== false;
+      const { inboxes, unresolved } = await resolveInboxes(followerIds, options.fetchActor, sharedInbox);
+      const now = new Date(clock()).toISOString();
+      const newJob = fields => ({
+        id: crypto.randomUUID(),
+        activityId: activity.id,
+        activity,
+        status: 'pending',
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        deliveredAt: null,
+        lastError: null,
+        ...fields
+      });
+
+      const jobs = [
+        ...inboxes.map(inbox => newJob({ inbox, domain: new URL(inbox).host })),
+        ...unresolved.map(({ actor, error }) => newJob({
+          inbox: null,
+          actor,
+          sharedInbox,
+          domain: domainOf(actor),
+          lastError: error
+        }))
+      ];
+
+      if (enqueueOptions.activityFor) {
+        const variants = new Map();
+        for (const job of jobs) {
+          if (!variants.has(job.domain)) {
+            const variant = await enqueueOptions.activityFor(job.domain);
+            assertValidActivity(variant);
+            variants.set(job.domain, variant);
+          }
+          job.activity = variants.get(job.domain);
+        }
+      }
+
+      state.jobs.push(...jobs);
+      save();
+
+      console.log(chalk.blue(`📬 Queued ${activity.type} for ${followerIds.length} recipients → ${jobs.length} inboxes`));
+      unresolved.forEach(({ actor, error }) => {
+        console.log(chalk.yellow(`⚠️ Could not resolve ${actor}: ${error} (will retry)`));
+      });
+
+      return { jobs, unresolved };
+    },
+
+    /**
+     * Attempt every pending job whose retry time has come
+     * @param {number} now - Current time in ms (default: options.now())
+     * @returns {Promise<number>} Number of jobs attempted
+     */
+    async processDue(now = clock()) {
+      if (processing) {
+        return 0;
+      }
+      processing = true;
+
+      try {
+        const due = state.jobs.filter(job => job.status === 'pending' && Date.parse(job.nextAttemptAt) <= now);
+
+        for (const job of due) {
+          // An earlier job in this run may have given up on the domain
+          if (job.status !== 'pending') {
+            continue;
+          }
+
+          try {
+            const inbox = job.inbox || await resolveJobInbox(job);
+            if (inbox) {
+              await deliver(job.activity, inbox, options.signer);
+              job.status = 'delivered';
+              job.deliveredAt = new Date(clock()).toISOString();
+              job.lastError = null;
+              delete state.domains[job.domain];
+              console.log(chalk.green(`✅ Delivered ${job.activityId} to ${inbox}`));
+            }
+          } catch (error) {
+            recordFailure(job, error);
+          }
+          save();
+        }
+
+        return due.length;
+      } finally {
+        processing = false;
+      }
+    },
+
+    /**
+     * Look up a job by id
+     * @param {string} jobId - Job id
+     * @returns {Object|undefined} Job with status, attempts and lastError
+     */
+    getJob(jobId) {
+      return state.jobs.find(job => job.id === jobId);
+    },
+
+    /**
+     * List jobs, optionally filtered
+     * @param {Object} filter - { status, activityId }
+     * @returns {Array<Object>} Matching jobs
+     */
+    listJobs(filter = {}) {
+      return state.jobs.filter(job =>
+        (!filter.status || job.status === filter.status) &&
+        (!filter.activityId || job.activityId === filter.activityId)
+      );
+    },
+
+    /**
+     * Count jobs per status
+     * @returns {{pending: number, delivered: number, failed: number, superseded: number}} Counts
+     */
+    stats() {
+      return state.jobs.reduce((counts, job) => {
+        counts[job.status]++;
+        return counts;
+      }, { pending: 0, delivered: 0, failed: 0, superseded: 0 });
+    },
+
+    /**
+     * Process due jobs periodically
+     * @param {number} intervalMs - Polling interval
+     */
+    start(intervalMs = 5000) {
+      timer = setInterval(() => {
+        queue.processDue().catch(error => console.error(chalk.red(`❌ Queue run failed: ${error.message}`)));
+      }, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return queue;
+}
+
+/**
+ * Publish an activity to the platform outbox and queue it for all followers
+ * @param {Object} platform - Platform from createPlatformServer
+ * @param {Object} followers - Follower store from attachInbox
+ * @param {Object} queue - Delivery queue
+ * @param {Object} activity - ActivityPub activity (e.g., from createActivityPubActivity)
+ * @returns {Promise<{jobs: Array<Object>, unresolved: Array<Object>}>} Queued jobs
+ */
+async function publishToFollowers(platform, followers, queue, activity) {
+  platform.publish(activity);
+  return queue.enqueue(activity, followers.list());
+}
+
+/**
+ * Start a fake remote server with several actors behind one sharedInbox
+ * @param {Function} respond - Returns the HTTP status for the n-th inbox POST
+ * @returns {Promise<Object>} Server, actor ids and received POST count
+ */
+function startFakeRemoteServer(respond) {
+  const remote = { posts: 0 };
+
+  const server = http.createServer((req, res) => {
+    const origin = `http://localhost:${server.address().port}`;
+    const match = req.url.match(/^\/users\/([^/]+)$/);
+
+    if (req.method === 'GET' && match) {
+      res.writeHead(200, { 'Content-Type': 'application/activity+json' });
+      return res.end(JSON.stringify({
+        type: 'Person',
+        id: `${origin}/users/${match[1]}`,
+        inbox: `${origin}/users/${match[1]}/inbox`,
+        endpoints: { sharedInbox: `${origin}/inbox` }
+      }));
+    }
+
+    req.resume();
+    req.on('end', () => {
+      remote.posts++;
+      res.writeHead(respond(remote.posts));
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => {
+    const origin = `http://localhost:${server.address().port}`;
+    remote.server = server;
+    remote.actor = name => `${origin}/users/${name}`;
+    resolve(remote);
+  }));
+}
+
+/**
+ * Fan a Create out to followers on a healthy, a flaky and a dead server
+ */
+async function runDeliveryQueueDemo() {
+  console.log(chalk.magenta('🚀 Starting Delivery Queue Demo\n'));
+
+  const healthy = await startFakeRemoteServer(() => 202);
+  const flaky = await startFakeRemoteServer(post => (post < 3 ? 503 : 202));
+  const dead = await startFakeRemoteServer(() => 500);
+
+  const actorId = 'http://localhost:8080/users/dr_smith';
+  const { privateKeyPem } = loadOrCreateKeyPair('dr_smith');
+  const filePath = path.join(DATA_DIR, 'delivery-queue-demo.json');
+  fs.rmSync(filePath, { force: true });
+
+  const queue = createDeliveryQueue({
+    filePath,
+    signer: { keyId: `${actorId}#main-key`, privateKeyPem },
+    baseDelayMs: 100,
+    maxDelayMs: 400,
+    giveUpAfterMs: 1500
+  });
+
+  const activity = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Create',
+    id: `${actorId}/videos/activitypub-intro-2024/activity`,
+    actor: actorId,
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    object: { type: 'Note', id: `${actorId}/videos/activitypub-intro-2024`, attributedTo: actorId, content: '<p>New video!</p>', to: ['https://www.w3.org/ns/activitystreams#Public'] }
+  };
+
+  try {
+    const { jobs } = await queue.enqueue(activity, [
+      healthy.actor('alice_cs'),
+      healthy.actor('bob_student'),
+      flaky.actor('carol_learns'),
+      dead.actor('dave'),
+      'http://localhost:1/users/unreachable'
+    ]);
+
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    const deadline = Date.now() + 5000;
+    while (queue.stats().pending > 0 && Date.now() < deadline) {
+      await queue.processDue();
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    console.log(chalk.yellow('\n📊 Job status:'));
+    jobs.forEach(({ id }) => {
+      const job = queue.getJob(id);
+      const color = { delivered: chalk.green, superseded: chalk.gray }[job.status] || chalk.red;
+      console.log(color(`  ${job.status.padEnd(9)} ${job.inbox || job.actor} (attempts: ${job.attempts}${job.lastError ? `, last error: ${job.lastError}` : ''})`));
+    });
+    console.log(chalk.cyan(`\n📬 Healthy server received ${healthy.posts} POST for 2 followers (sharedInbox)`));
+    console.log(chalk.cyan(`📊 Totals: ${JSON.stringify(queue.stats())}`));
+  } finally {
+    [healthy, flaky, dead].forEach(remote => remote.server.close());
+  }
+}
+
+// Educational information
+function printDeliveryQueueInfo() {
+  console.log(chalk.cyan('📚 Delivering to Followers:'));
+  console.log(chalk.white('A published activity has to be POSTed to every follower\'s server.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- endpoints.sharedInbox lets one POST reach all followers on a server'));
+  console.log(chalk.white('- Failed deliveries are retried with exponential backoff and jitter'));
+  console.log(chalk.white('- Servers that stay down are given up after a configurable horizon'));
+  console.log(chalk.white('- Job state is stored on disk and survives restarts\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printDeliveryQueueInfo();
+  runDeliveryQueueDemo().catch(console.error);
+}
+
+module.exports = { computeBackoff, resolveInboxes, createDeliveryQueue, publishToFollowers };
\ No newline at end of file
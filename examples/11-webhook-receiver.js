@@ -0,0 +1,486 @@
+/**
+ * ActivityPub Learning Setup - Webhook Receiver
+ *
+ * Receives learning platform events over HTTP instead of building them in-process.
+ * Requests are authenticated with an HMAC-SHA256 signature, validated, and valid
+ * events go straight into the object → activity → delivery pipeline.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { simulateVideoUpload } = require('./05-notification-simulation');
+const { loadOrCreateKeyPair } = require('./06-http-signatures');
+const { readJsonFile, writeJsonFile, sendJson, createPlatformServer } = require('./08-actor-server');
+const { attachInbox } = require('./09-inbox-followers');
+const { createDeliveryQueue } = require('./10-delivery-queue');
+const { COURSE_EVENTS, createCourseActivity, createActivityFor } = require('./21-course-events');
+const { resolveStudentRecipients, publishToAudience } = require('./23-course-audience');
+const { VISIBILITIES } = require('./lib/addressing');
+const { isUrlSafeId } = require('./lib/course-ids');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+// No default: a secret that is in the source code protects nothing
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+/**
+ * Compute the HMAC signature the learning platform sends along with a webhook
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Header value ("sha256=<hex>")
+ */
+function computeWebhookSignature(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check the HMAC signature and timestamp of an incoming webhook
+ * @param {Object} headers - Request headers (lower-cased, as in Node)
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {{valid: boolean, reason: string}} Verdict
+ */
+function verifyWebhookSignature(headers, body, secret = WEBHOOK_SECRET, toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+
+  if (!secret) {
+    return { valid: false, reason: 'No webhook secret configured' };
+  }
+
+  if (!signature || !headers[TIMESTAMP_HEADER]) {
+    return { valid: false, reason: `Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header` };
+  }
+
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp is missing or too old (possible replay)' };
+  }
+
+  const expected = Buffer.from(computeWebhookSignature(secret, timestamp, body));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature does not match' };
+  }
+
+  return { valid: true, reason: 'Signature valid' };
+}
+
+/**
+ * Remember signatures of accepted webhooks for as long as their timestamp is valid
+ * The timestamp only limits how long a captured request can be replayed; this stops
+ * replays within that window. Only accepted webhooks are recorded, so the platform can
+ * retry one that failed with the same signature. Like the delivery queue, the signatures
+ * are kept in a JSON file, so a restart does not open the window again.
+ * @param {number} toleranceSeconds - How long a signature stays valid
+ * @param {string} filePath - Path to the signatures JSON file (default: data/webhook-signatures.json)
+ * @returns {{isReplay: Function, record: Function}} Guard; isReplay(signature) says whether it was
+ *   accepted before, record(signature) remembers an accepted one
+ */
+function createReplayGuard(toleranceSeconds, filePath = path.join(DATA_DIR, 'webhook-signatures.json')) {
+  const state = readJsonFile(filePath, { signatures: {} });
+  const save = () => writeJsonFile(filePath, state);
+
+  const expire = now => {
+    Object.entries(state.signatures).forEach(([signature, expiresAt]) => {
+      if (expiresAt <= now) {
+        delete state.signatures[signature];
+      }
+    });
+  };
+
+  return {
+    isReplay(signature) {
+      expire(Date.now());
+      return Object.prototype.hasOwnProperty.call(state.signatures, signature);
+    },
+
+    record(signature) {
+      const now = Date.now();
+      expire(now);
+      // The timestamp may lie up to toleranceSeconds in the future as well
+      state.signatures[signature] = now + 2 * toleranceSeconds * 1000;
+      save();
+    }
+  };
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is an absolute URL
+ */
+function isAbsoluteUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a webhook payload against the fields its event type needs (see COURSE_EVENTS)
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {Array<{field: string, message: string}>} Field errors (empty when valid)
+ */
+function validateWebhookPayload(payload) {
+  const errors = [];
+  const requireString = (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push({ field, message: 'is required and must be a non-empty string' });
+      return false;
+    }
+    return true;
+  };
+  const requireId = (value, field) => {
+    if (requireString(value, field) && !isUrlSafeId(value)) {
+      errors.push({ field, message: 'may only contain letters, digits, "-", ".", "_" and "~"' });
+    }
+  };
+  const requireUrl = (value, field) => {
+    if (requireString(value, field) && !isAbsoluteUrl(value)) {
+      errors.push({ field, message: 'must be an absolute http(s) URL' });
+    }
+  };
+  const requireDate = (value, field) => {
+    if (requireString(value, field) && Number.isNaN(Date.parse(value))) {
+      errors.push({ field, message: 'must be an ISO-8601 date' });
+    }
+  };
+  const checks = { string: requireString, id: requireId, url: requireUrl, date: requireDate };
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: '', message: 'payload must be a JSON object' }];
+  }
+
+  requireDate(payload.timestamp, 'timestamp');
+
+  const course = payload.course || {};
+  requireString(course.name, 'course.name');
+  if (course.language !== undefined && !/^[a-z]{2,3}([-_][A-Za-z0-9]+)*$/.test(course.language)) {
+    errors.push({ field: 'course.language', message: 'must be a language code like "de" or "en-US"' });
+  }
+
+  const professor = payload.professor || {};
+  requireString(professor.mastodonHandle, 'professor.mastodonHandle');
+
+  const event = COURSE_EVENTS[payload.event];
+  if (!event) {
+    errors.push({ field: 'event', message: `must be one of ${Object.keys(COURSE_EVENTS).join(', ')}` });
+  } else {
+    const details = payload[event.section] || {};
+    Object.entries(event.fields).forEach(([name, type]) => {
+      const optional = type.endsWith('?');
+      if (optional && (details[name] === undefined || details[name] === null)) {
+        return;
+      }
+      checks[type.replace('?', '')](details[name], `${event.section}.${name}`);
+    });
+  }
+
+  if (payload.visibility !== undefined && !VISIBILITIES.includes(payload.visibility)) {
+    errors.push({ field: 'visibility', message: `must be one of ${VISIBILITIES.join(', ')}` });
+  }
+
+  if (payload.enrolledStudents !== undefined && !Array.isArray(payload.enrolledStudents)) {
+    errors.push({ field: 'enrolledStudents', message: 'must be an array' });
+  } else if (payload.visibility === 'direct' && !(payload.enrolledStudents || []).some(handle => typeof handle === 'string' && handle.trim() !== '')) {
+    errors.push({ field: 'enrolledStudents', message: 'must list at least one student handle for direct visibility' });
+  }
+
+  return errors;
+}
+
+/**
+ * Attach the webhook endpoint to a platform server
+ * @param {Object} platform - Platform from createPlatformServer
+ * @param {Object} pipeline - Delivery pipeline
+ * @param {Object} pipeline.followers - Follower store from attachInbox
+ * @param {Object} pipeline.queue - Delivery queue
+ * @param {Object} options - Receiver options
+ * @param {string} options.secret - Shared secret (default: WEBHOOK_SECRET)
+ * @param {number} options.toleranceSeconds - Maximum timestamp age
+ * @param {string} options.replayFilePath - Where signatures of accepted webhooks are kept
+ * @throws {Error} When no secret is configured
+ */
+function attachWebhookReceiver(platform, { followers, queue }, options = {}) {
+  const secret = options.secret || WEBHOOK_SECRET;
+  const toleranceSeconds = options.toleranceSeconds || WEBHOOK_TOLERANCE_SECONDS;
+  const replayGuard = createReplayGuard(toleranceSeconds, options.replayFilePath);
+  // Signatures of webhooks that are still being processed (a retry may arrive in the meantime)
+  const inProgress = new Set();
+
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET is not set: refusing to accept unauthenticated webhooks');
+  }
+
+  /**
+   * Parse, validate and publish a webhook whose signature was verified
+   * @param {http.ServerResponse} res - Response
+   * @param {string} body - Raw request body
+   * @param {string} signature - Signature header, recorded once the event is accepted
+   */
+  const receive = async (res, body, signature) => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      return sendJson(res, 400, { error: 'Body is not valid JSON' }, 'application/json');
+    }
+
+    const errors = validateWebhookPayload(payload);
+    if (errors.length > 0) {
+      console.log(chalk.red(`❌ Invalid webhook payload: ${errors.map(error => error.field).join(', ')}`));
+      return sendJson(res, 422, { error: 'Invalid payload', errors }, 'application/json');
+    }
+
+    // Direct announcements only reach the enrolled students we can find
+    const audience = payload.visibility === 'direct'
+      ? await resolveStudentRecipients(payload.enrolledStudents.filter(handle => typeof handle === 'string'))
+      : { recipients: undefined, unresolved: [] };
+
+    const activityOptions = {
+      actorId: platform.actor.id,
+      baseUrl: platform.baseUrl,
+      outbox: platform.outbox,
+      recipients: audience.recipients
+    };
+    let activity;
+    try {
+      activity = createCourseActivity(payload, activityOptions);
+    } catch (error) {
+      console.log(chalk.red(`❌ Rejected ${payload.event}: ${error.message}`));
+      return sendJson(res, 422, { error: error.message, unresolvedStudents: audience.unresolved }, 'application/json');
+    }
+    // With VIDEO_OBJECT_TYPE=auto each receiving server gets the video in the form it renders
+    const { jobs, unresolved } = await publishToAudience(platform, followers, queue, activity, {
+      activityFor: createActivityFor(payload, activity, activityOptions)
+    });
+    replayGuard.record(signature);
+
+    sendJson(res, 202, {
+      type: activity.type,
+      object: activity.object.id,
+      activity: activity.id,
+      deliveries: jobs.map(job => ({ id: job.id, inbox: job.inbox })),
+      unresolved,
+      unresolvedStudents: audience.unresolved
+    }, 'application/json');
+  };
+
+  platform.route('POST', /^\/webhooks\/learning-platform$/, async (req, res, { body }) => {
+    const verdict = verifyWebhookSignature(req.headers, body, secret, toleranceSeconds);
+    if (!verdict.valid) {
+      console.log(chalk.red(`❌ Rejected webhook: ${verdict.reason}`));
+      return sendJson(res, 401, { error: verdict.reason }, 'application/json');
+    }
+
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (replayGuard.isReplay(signature) || inProgress.has(signature)) {
+      console.log(chalk.red('❌ Rejected webhook: already received (replay)'));
+      return sendJson(res, 409, { error: 'Webhook was already received' }, 'application/json');
+    }
+
+    inProgress.add(signature);
+    try {
+      await receive(res, body, signature);
+    } finally {
+      inProgress.delete(signature);
+    }
+  });
+}
+
+/**
+ * Send a signed webhook the way the learning platform would
+ * @param {string} url - Webhook endpoint
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { secret, timestamp } overrides for demonstrating failures
+ * @returns {Promise<Object>} Response status and data
+ * @throws {Error} When no secret is configured
+ */
+async function sendWebhook(url, payload, options = {}) {
+  const secret = options.secret || WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET is not set');
+  }
+  const body = JSON.stringify(payload);
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+
+  const response = await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': computeWebhookSignature(secret, timestamp, body)
+    },
+    timeout: 10000,
+    validateStatus: () => true
+  });
+
+  return { status: response.status, data: response.data };
+}
+
+/**
+ * Post valid and invalid webhooks to a local platform and deliver to a follower
+ */
+async function runWebhookDemo() {
+  console.log(chalk.magenta('🚀 Starting Webhook Receiver Demo\n'));
+
+  // Without WEBHOOK_SECRET the demo makes up one for itself; it is not printed, since logs get shared
+  const secret = WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+  if (!WEBHOOK_SECRET) {
+    console.log(chalk.yellow('🔑 WEBHOOK_SECRET is not set; using an ephemeral secret for this run'));
+  }
+
+  // Start from an empty outbox: the demo deletes its video, and deleted ids are never reused
+  const dataDir = path.join(DATA_DIR, 'webhook-demo');
+  fs.rmSync(dataDir, { recursive: true, force: true });
+
+  const platform = createPlatformServer({ dataDir });
+  const { followers } = attachInbox(platform);
+  const { privateKeyPem } = loadOrCreateKeyPair(platform.username);
+  const queue = createDeliveryQueue({
+    filePath: path.join(dataDir, 'delivery-queue.json'),
+    signer: { keyId: platform.actor.publicKey.id, privateKeyPem }
+  });
+  attachWebhookReceiver(platform, { followers, queue }, { secret, replayFilePath: path.join(dataDir, 'webhook-signatures.json') });
+
+  // A local student follows the professor so the Create has somewhere to go
+  const student = createPlatformServer({ baseUrl: 'http://localhost:8081', username: 'alice_cs', name: 'Alice', dataDir });
+  attachInbox(student);
+  followers.add(student.actor.id);
+
+  await platform.listen();
+  await student.listen();
+  const webhookUrl = `${platform.baseUrl}/webhooks/learning-platform`;
+  const send = (body, overrides = {}) => sendWebhook(webhookUrl, body, { secret, ...overrides });
+
+  const payload = simulateVideoUpload({
+    id: 'activitypub-intro-2024',
+    title: 'Introduction to ActivityPub Protocol',
+    description: 'Learn the basics of decentralized social networking with ActivityPub',
+    duration: '15:42',
+    url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro',
+    thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg',
+    course: { id: 'CS-480', name: 'Distributed Systems' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: platform.username },
+    enrolledStudents: ['alice_cs@localhost:8081', 'bob_cs']
+  });
+
+  try {
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    const wrongSecret = await send(payload, { secret: 'guessed' });
+    console.log(chalk.yellow(`Wrong secret → ${wrongSecret.status} ${JSON.stringify(wrongSecret.data)}`));
+
+    const stale = await send(payload, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    console.log(chalk.yellow(`Stale timestamp → ${stale.status} ${JSON.stringify(stale.data)}`));
+
+    const incomplete = await send({ ...payload, video: { id: payload.video.id, url: 'not-a-url' } });
+    console.log(chalk.yellow(`Missing fields → ${incomplete.status}`));
+    incomplete.data.errors.forEach(error => console.log(chalk.gray(`   ${error.field}: ${error.message}`)));
+
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    const sentAt = Math.floor(Date.now() / 1000);
+    const accepted = await send(payload, { timestamp: sentAt });
+    console.log(chalk.green(`Valid webhook → ${accepted.status} ${JSON.stringify(accepted.data, null, 2)}`));
+
+    // The same request again, signature and all, as an attacker who captured it would send it
+    const replayed = await send(payload, { timestamp: sentAt });
+    console.log(chalk.yellow(`Replayed webhook → ${replayed.status} ${JSON.stringify(replayed.data)}`));
+
+    await queue.processDue();
+    queue.listJobs({ activityId: accepted.data.activity }).forEach(job => {
+      console.log(chalk.cyan(`📊 ${job.inbox}: ${job.status}`));
+    });
+
+    // Later events about the same video go through the same pipeline
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    const updated = await send({
+      ...payload,
+      event: 'video.updated',
+      timestamp: new Date().toISOString(),
+      video: { ...payload.video, title: 'Introduction to ActivityPub Protocol (with subtitles)' }
+    });
+    console.log(chalk.green(`video.updated → ${updated.status} ${updated.data.type} ${updated.data.activity}`));
+
+    const removed = await send({
+      ...payload,
+      event: 'video.removed',
+      timestamp: new Date().toISOString(),
+      video: { id: payload.video.id }
+    });
+    console.log(chalk.green(`video.removed → ${removed.status} ${removed.data.type} ${removed.data.activity}`));
+
+    const gone = await axios.get(removed.data.object, { validateStatus: () => true, timeout: 10000 });
+    console.log(chalk.yellow(`GET ${removed.data.object} → ${gone.status} ${gone.data.type}`));
+
+    const tooLate = await send({ ...payload, event: 'video.updated', timestamp: new Date().toISOString() });
+    console.log(chalk.yellow(`video.updated after removal → ${tooLate.status} ${tooLate.data.error}`));
+
+    // Exam rooms are for enrolled students only
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    const direct = await send({
+      ...payload,
+      event: 'assignment.published',
+      visibility: 'direct',
+      assignment: {
+        id: 'exam-rooms',
+        title: 'Exam room assignment',
+        url: 'https://learning-platform.uni.edu/courses/distributed-systems/exam-rooms',
+        dueAt: '2024-02-12T09:00:00+01:00'
+      }
+    });
+    console.log(chalk.green(`Direct assignment → ${direct.status} to ${direct.data.deliveries.map(delivery => delivery.inbox).join(', ')}`));
+    direct.data.unresolvedStudents.forEach(({ handle, error }) => console.log(chalk.yellow(`   not reached: ${handle} (${error})`)));
+
+    const outbox = await axios.get(`${platform.actor.outbox}?page=1`, { timeout: 10000 });
+    const listed = outbox.data.orderedItems.some(item => item.id === direct.data.activity);
+    console.log(chalk.yellow(`Direct activity listed in the public outbox: ${listed}`));
+
+    await queue.processDue();
+    [updated, removed, direct].forEach(({ data }) => queue.listJobs({ activityId: data.activity }).forEach(job => {
+      console.log(chalk.cyan(`📊 ${data.type} → ${job.inbox}: ${job.status}`));
+    }));
+  } finally {
+    followers.remove(student.actor.id);
+    await platform.close();
+    await student.close();
+  }
+}
+
+// Educational information
+function printWebhookInfo() {
+  console.log(chalk.cyan('📚 Receiving Learning Platform Webhooks:'));
+  console.log(chalk.white('The learning platform notifies us about course events over HTTP.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- An HMAC-SHA256 signature proves the request comes from the platform'));
+  console.log(chalk.white('- A timestamp inside the signature limits replays; signatures of accepted webhooks are refused'));
+  console.log(chalk.white('- There is no default secret: set WEBHOOK_SECRET'));
+  console.log(chalk.white('- Invalid payloads are rejected with a field-level error list'));
+  console.log(chalk.white('- Valid events become a Create, Update or Delete and queued deliveries\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printWebhookInfo();
+  runWebhookDemo().catch(console.error);
+}
+
+module.exports = {
+  computeWebhookSignature,
+  verifyWebhookSignature,
+  createReplayGuard,
+  validateWebhookPayload,
+  attachWebhookReceiver,
+  sendWebhook
+};
\ No newline at end of file
@@ -0,0 +1,437 @@
+/**
+ * ActivityPub Learning Setup - Mastodon Client API
+ *
+ * Alternative to federating ourselves: post the Note as a status on the professor's
+ * own Mastodon account through the client API, authorized with an OAuth token.
+ * Mastodon then federates the post to all followers.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const chalk = require('chalk');
+const { createActivityPubNote } = require('./05-notification-simulation');
+const { readJsonFile, writeJsonFile } = require('./08-actor-server');
+const { detectInstanceCapabilities } = require('./13-nodeinfo');
+const { htmlToText, textToHtml } = require('./19-html-content');
+const { visibilityFromAddressing } = require('./lib/addressing');
+const { DATA_DIR, USER_AGENT } = require('./lib/config');
+
+// Configuration
+const TOKENS_FILE = path.join(DATA_DIR, 'mastodon-tokens.json');
+const OOB_REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+const DEFAULT_SCOPES = 'read:accounts write:statuses';
+
+/**
+ * Build the POST /api/v1/statuses parameters for a Note
+ * @param {Object} note - ActivityPub Note from createActivityPubNote
+ * @param {Object} options - Overrides
+ * @param {string} options.visibility - public, unlisted, private or direct (default: from to/cc)
+ * @param {string} options.spoilerText - Content warning shown before the text
+ * @param {string} options.language - ISO 639-1 language code (default: from contentMap, else "en")
+ * @returns {Object} Status parameters
+ */
+function noteToStatusParams(note, options = {}) {
+  const languages = note.contentMap ? Object.keys(note.contentMap) : [];
+  const spoilerText = options.spoilerText || note.summary || '';
+
+  return {
+    // The statuses API takes plain text; links are written out so Mastodon links them again
+    status: htmlToText(note.content),
+    visibility: options.visibility || visibilityFromAddressing(note),
+    spoiler_text: spoilerText,
+    sensitive: Boolean(note.sensitive || spoilerText),
+    language: options.language || languages[0] || 'en'
+  };
+}
+
+/**
+ * Derive a stable Idempotency-Key so retried posts for one video don't duplicate
+ * @param {string} videoId - Learning platform video id
+ * @returns {string} Idempotency key
+ */
+function idempotencyKeyForVideo(videoId) {
+  return crypto.createHash('sha256').update(`learning-platform:video:${videoId}`).digest('hex');
+}
+
+/**
+ * Post a Note as a status on the professor's Mastodon account
+ * @param {string} instanceUrl - Base URL of the Mastodon instance (e.g., "https://mastodon.social")
+ * @param {string} accessToken - OAuth bearer token with write:statuses
+ * @param {Object} note - ActivityPub Note
+ * @param {Object} options - noteToStatusParams options plus videoId for the Idempotency-Key
+ * @returns {Promise<Object>} Created Mastodon status
+ */
+async function postNoteAsStatus(instanceUrl, accessToken, note, options = {}) {
+  const params = noteToStatusParams(note, options);
+  const idempotencyKey = idempotencyKeyForVideo(options.videoId || note.id);
+
+  console.log(chalk.blue(`📝 Posting status to ${instanceUrl} (${params.visibility}, ${params.language})`));
+
+  try {
+    const response = await axios.post(`${instanceUrl}/api/v1/statuses`, params, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Idempotency-Key': idempotencyKey,
+        'User-Agent': USER_AGENT
+      },
+      timeout: 10000
+    });
+
+    console.log(chalk.green(`✅ Status created: ${response.data.url || response.data.id}`));
+    return response.data;
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to post status to ${instanceUrl}:`));
+    console.error(chalk.red(error.message));
+
+    if (error.response) {
+      console.error(chalk.red(`Response: ${JSON.stringify(error.response.data)}`));
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Register an OAuth application on a Mastodon instance
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {Object} options - { clientName, redirectUri, scopes, website }
+ * @returns {Promise<Object>} App with client_id and client_secret
+ */
+async function registerApp(instanceUrl, options = {}) {
+  console.log(chalk.blue(`🧩 Registering OAuth app on ${instanceUrl}`));
+
+  const response = await axios.post(`${instanceUrl}/api/v1/apps`, {
+    client_name: options.clientName || 'ActivityPub Learning Setup',
+    redirect_uris: options.redirectUri || OOB_REDIRECT_URI,
+    scopes: options.scopes || DEFAULT_SCOPES,
+    website: options.website || 'https://learning-platform.uni.edu'
+  }, { timeout: 10000 });
+
+  console.log(chalk.green(`✅ App registered (client_id: ${response.data.client_id})`));
+  return response.data;
+}
+
+/**
+ * Build the URL the professor opens to authorize the app
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {Object} app - App from registerApp
+ * @param {Object} options - { redirectUri, scopes }
+ * @returns {string} Authorization URL
+ */
+function buildAuthorizeUrl(instanceUrl, app, options = {}) {
+  const url = new URL('/oauth/authorize', instanceUrl);
+  url.searchParams.set('client_id', app.client_id);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('redirect_uri', options.redirectUri || OOB_REDIRECT_URI);
+  url.searchParams.set('scope', options.scopes || DEFAULT_SCOPES);
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for an access token
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {Object} app - App from registerApp
+ * @param {string} code - Authorization code shown after approving the app
+ * @param {Object} options - { redirectUri, scopes }
+ * @returns {Promise<Object>} Token response with access_token
+ */
+async function exchangeCode(instanceUrl, app, code, options = {}) {
+  const response = await axios.post(`${instanceUrl}/oauth/token`, {
+    grant_type: 'authorization_code',
+    code,
+    client_id: app.client_id,
+    client_secret: app.client_secret,
+    redirect_uri: options.redirectUri || OOB_REDIRECT_URI,
+    scope: options.scopes || DEFAULT_SCOPES
+  }, { timeout: 10000 });
+
+  return response.data;
+}
+
+/**
+ * Store an access token for an instance
+ * The tokens file is readable by the owner only: a token can post as the user.
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {Object} token - Token response from exchangeCode
+ * @param {string} tokensFile - Tokens file (default: data/mastodon-tokens.json)
+ */
+function saveToken(instanceUrl, token, tokensFile = TOKENS_FILE) {
+  const tokens = readJsonFile(tokensFile, {});
+  tokens[new URL(instanceUrl).host] = { ...token, savedAt: new Date().toISOString() };
+  writeJsonFile(tokensFile, tokens, { mode: 0o600 });
+}
+
+/**
+ * Load the access token for an instance (MASTODON_ACCESS_TOKEN takes precedence)
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {string} tokensFile - Tokens file (default: data/mastodon-tokens.json)
+ * @returns {string|null} Access token
+ */
+function loadToken(instanceUrl, tokensFile = TOKENS_FILE) {
+  if (process.env.MASTODON_ACCESS_TOKEN) {
+    return process.env.MASTODON_ACCESS_TOKEN;
+  }
+  const token = readJsonFile(tokensFile, {})[new URL(instanceUrl).host];
+  return token ? token.access_token : null;
+}
+
+/**
+ * Ask a question on the command line
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Answer
+ */
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer.trim());
+  }));
+}
+
+/**
+ * Run the authorization-code flow: register app, open URL, paste code, store token
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @param {Object} options - { scopes, readCode, tokensFile } (readCode defaults to a command line prompt, tokensFile to data/mastodon-tokens.json)
+ * @returns {Promise<string>} Access token
+ */
+async function authorizeFromCommandLine(instanceUrl, options = {}) {
+  const app = await registerApp(instanceUrl, options);
+  const authorizeUrl = buildAuthorizeUrl(instanceUrl, app, options);
+
+  console.log(chalk.yellow('\n🔐 Open this URL, log in as the professor and approve the app:'));
+  console.log(chalk.white(authorizeUrl));
+
+  const readCode = options.readCode || (() => prompt('\nPaste the authorization code: '));
+  const code = await readCode(authorizeUrl);
+  const token = await exchangeCode(instanceUrl, app, code, options);
+
+  const tokensFile = options.tokensFile || TOKENS_FILE;
+  saveToken(instanceUrl, token, tokensFile);
+  console.log(chalk.green(`✅ Access token stored in ${tokensFile}`));
+  return token.access_token;
+}
+
+/**
+ * Check via NodeInfo that an instance implements the Mastodon client API
+ * Unknown software is allowed with a warning, known incompatible software is refused
+ * @param {string} instanceUrl - Base URL of the instance
+ * @returns {Promise<boolean>} Whether posting through the client API should be attempted
+ */
+async function checkClientApiSupport(instanceUrl) {
+  const { software, capabilities } = await detectInstanceCapabilities(new URL(instanceUrl).host);
+
+  if (software.name === 'unknown') {
+    console.log(chalk.yellow(`⚠️ Could not detect the software of ${instanceUrl}, trying the client API anyway`));
+    return true;
+  }
+
+  if (!capabilities.mastodonClientApi) {
+    console.error(chalk.red(`❌ ${instanceUrl} runs ${capabilities.label}, which has no Mastodon client API. Use federation instead.`));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Start a local mock of the Mastodon endpoints used here
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @returns {Promise<Object>} Mock with url, statuses and server
+ */
+function startMockMastodonApi(port = 0) {
+  const mock = { apps: [], codes: new Map(), tokens: new Set(), statuses: [], idempotency: new Map() };
+
+  const send = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, mock.url);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+      } catch (error) {
+        return send(res, 400, { error: 'Body is not valid JSON' });
+      }
+      const route = `${req.method} ${url.pathname}`;
+
+      if (route === 'POST /api/v1/apps') {
+        const app = { id: String(mock.apps.length + 1), name: body.client_name, client_id: crypto.randomUUID(), client_secret: crypto.randomUUID() };
+        mock.apps.push(app);
+        return send(res, 200, app);
+      }
+
+      if (route === 'GET /oauth/authorize') {
+        // A real instance shows a login page; the mock approves right away and shows the code
+        const code = crypto.randomUUID();
+        mock.codes.set(code, url.searchParams.get('client_id'));
+        return send(res, 200, { code });
+      }
+
+      if (route === 'POST /oauth/token') {
+        const app = mock.apps.find(candidate => candidate.client_id === body.client_id);
+        if (!app || app.client_secret !== body.client_secret || mock.codes.get(body.code) !== body.client_id) {
+          return send(res, 400, { error: 'invalid_grant' });
+        }
+        mock.codes.delete(body.code);
+        const accessToken = crypto.randomUUID();
+        mock.tokens.add(accessToken);
+        return send(res, 200, { access_token: accessToken, token_type: 'Bearer', scope: body.scope, created_at: Math.floor(Date.now() / 1000) });
+      }
+
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!mock.tokens.has(token)) {
+        return send(res, 401, { error: 'The access token is invalid' });
+      }
+
+      if (route === 'POST /api/v1/statuses') {
+        if (!body.status) {
+          return send(res, 422, { error: 'Validation failed: Text can\'t be blank' });
+        }
+        const key = req.headers['idempotency-key'];
+        if (key && mock.idempotency.has(key)) {
+          return send(res, 200, mock.idempotency.get(key));
+        }
+        const id = String(100000 + mock.statuses.length);
+        const status = {
+          id,
+          url: `${mock.url}/@dr_smith/${id}`,
+          created_at: new Date().toISOString(),
+          content: textToHtml(body.status),
+          visibility: body.visibility || 'public',
+          spoiler_text: body.spoiler_text || '',
+          sensitive: Boolean(body.sensitive),
+          language: body.language || null
+        };
+        mock.statuses.push(status);
+        if (key) {
+          mock.idempotency.set(key, status);
+        }
+        return send(res, 200, status);
+      }
+
+      send(res, 404, { error: 'Record not found' });
+    });
+  });
+
+  return new Promise(resolve => server.listen(port, 'localhost', () => {
+    mock.url = `http://localhost:${server.address().port}`;
+    mock.server = server;
+    resolve(mock);
+  }));
+}
+
+/**
+ * Build the example video Note used by the demo and the post command
+ * @returns {Object} ActivityPub Note
+ */
+function createExampleNote() {
+  return createActivityPubNote({
+    event: 'video.uploaded',
+    timestamp: new Date().toISOString(),
+    course: { id: 'CS-480', name: 'Distributed Systems' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' },
+    video: {
+      id: 'activitypub-intro-2024',
+      title: 'Introduction to ActivityPub Protocol',
+      description: 'Learn the basics of decentralized social networking with ActivityPub',
+      duration: '15:42',
+      url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro',
+      thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg'
+    },
+    enrolledStudents: []
+  });
+}
+
+/**
+ * Authorize and post twice against the local mock Mastodon API
+ */
+async function runClientApiDemo() {
+  console.log(chalk.magenta('🚀 Starting Mastodon Client API Demo\n'));
+
+  const mock = await startMockMastodonApi();
+  // Tokens of the mock must not end up next to the real ones
+  const tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-mock-tokens-'));
+
+  try {
+    // The mock returns the code as JSON; a real instance shows it in the browser
+    const accessToken = await authorizeFromCommandLine(mock.url, {
+      readCode: async authorizeUrl => (await axios.get(authorizeUrl)).data.code,
+      tokensFile: path.join(tokensDir, 'mastodon-tokens.json')
+    });
+
+    const note = createExampleNote();
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    console.log(chalk.yellow('📋 Status parameters:'));
+    console.log(JSON.stringify(noteToStatusParams(note, { language: 'en' }), null, 2));
+
+    const first = await postNoteAsStatus(mock.url, accessToken, note, { videoId: 'activitypub-intro-2024' });
+    const retry = await postNoteAsStatus(mock.url, accessToken, note, { videoId: 'activitypub-intro-2024' });
+
+    console.log(chalk.cyan(`\n🔁 Retry returned the same status: ${first.id === retry.id} (statuses on server: ${mock.statuses.length})`));
+  } finally {
+    mock.server.close();
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+  }
+}
+
+// Educational information
+function printClientApiInfo() {
+  console.log(chalk.cyan('📚 Posting through the Mastodon Client API:'));
+  console.log(chalk.white('Without an own federating server, the platform can post as the professor.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Apps are registered via /api/v1/apps and authorized with OAuth'));
+  console.log(chalk.white('- POST /api/v1/statuses takes visibility, spoiler_text and language'));
+  console.log(chalk.white('- An Idempotency-Key derived from the video id prevents duplicate posts'));
+  console.log(chalk.white('- Usage: authorize <instance-url> | post <instance-url>\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const [command, instanceUrl] = process.argv.slice(2);
+  printClientApiInfo();
+
+  if (command === 'authorize' && instanceUrl) {
+    checkClientApiSupport(instanceUrl)
+      .then(supported => supported && authorizeFromCommandLine(instanceUrl))
+      .catch(console.error);
+  } else if (command === 'post' && instanceUrl) {
+    const token = loadToken(instanceUrl);
+    if (!token) {
+      console.error(chalk.red(`❌ No token for ${instanceUrl}. Run "authorize ${instanceUrl}" first.`));
+    } else {
+      checkClientApiSupport(instanceUrl)
+        .then(supported => supported && postNoteAsStatus(instanceUrl, token, createExampleNote(), { videoId: 'activitypub-intro-2024' }))
+        .catch(console.error);
+    }
+  } else {
+    runClientApiDemo().catch(console.error);
+  }
+}
+
+module.exports = {
+  noteToStatusParams,
+  idempotencyKeyForVideo,
+  postNoteAsStatus,
+  registerApp,
+  buildAuthorizeUrl,
+  exchangeCode,
+  saveToken,
+  loadToken,
+  authorizeFromCommandLine,
+  checkClientApiSupport,
+  startMockMastodonApi
+};
\ No newline at end of file
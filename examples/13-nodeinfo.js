@@ -0,0 +1,237 @@
+/**
+ * ActivityPub Learning Setup - NodeInfo
+ *
+ * Detects which software a fediverse server runs (Mastodon, Pixelfed, PeerTube, Misskey, ...)
+ * via NodeInfo, so the toolkit can pick per-software behavior.
+ */
+
+const http = require('http');
+const chalk = require('chalk');
+const { schemeFor } = require('./01-webfinger-discovery');
+const { fetchResource } = require('./26-http-client');
+
+// Configuration
+const NODEINFO_SCHEMAS = [
+  'http://nodeinfo.diaspora.software/ns/schema/2.1',
+  'http://nodeinfo.diaspora.software/ns/schema/2.0'
+];
+
+/**
+ * What we can rely on per server software
+ * - rendersVideo: shows AS2 Video objects as videos (others need a Note fallback)
+ * - mastodonClientApi: implements /api/v1/statuses and the OAuth app flow
+ * - streamingApi: implements Mastodon's /api/v1/streaming
+ */
+const SOFTWARE_PROFILES = {
+  mastodon: { label: 'Mastodon', rendersVideo: false, mastodonClientApi: true, streamingApi: true },
+  hometown: { label: 'Hometown', rendersVideo: false, mastodonClientApi: true, streamingApi: true },
+  pixelfed: { label: 'Pixelfed', rendersVideo: false, mastodonClientApi: true, streamingApi: false },
+  peertube: { label: 'PeerTube', rendersVideo: true, mastodonClientApi: false, streamingApi: false },
+  pleroma: { label: 'Pleroma', rendersVideo: true, mastodonClientApi: true, streamingApi: true },
+  akkoma: { label: 'Akkoma', rendersVideo: true, mastodonClientApi: true, streamingApi: true },
+  gotosocial: { label: 'GoToSocial', rendersVideo: false, mastodonClientApi: true, streamingApi: true },
+  friendica: { label: 'Friendica', rendersVideo: false, mastodonClientApi: true, streamingApi: false },
+  misskey: { label: 'Misskey', rendersVideo: false, mastodonClientApi: false, streamingApi: false },
+  sharkey: { label: 'Sharkey', rendersVideo: false, mastodonClientApi: false, streamingApi: false },
+  lemmy: { label: 'Lemmy', rendersVideo: false, mastodonClientApi: false, streamingApi: false }
+};
+
+// Unknown software: assume only plain ActivityPub Notes work
+const UNKNOWN_PROFILE = { label: 'Unknown', rendersVideo: false, mastodonClientApi: false, streamingApi: false };
+
+// Capabilities by domain, so the toolkit can ask repeatedly
+const capabilityCache = new Map();
+
+/**
+ * Fetch and summarize the NodeInfo document of a server
+ * @param {string} domain - Server domain (e.g., "pixelfed.social")
+ * @returns {Promise<Object>} Software, protocols, registrations and usage
+ */
+async function fetchNodeInfo(domain) {
+  console.log(chalk.blue(`🛰️ Fetching NodeInfo for: ${domain}`));
+
+  try {
+    const discovery = await fetchResource(`${schemeFor(domain)}://${domain}/.well-known/nodeinfo`);
+    const links = discovery.data.links || [];
+    const link = NODEINFO_SCHEMAS
+      .map(schema => links.find(candidate => candidate.rel === schema))
+      .find(Boolean);
+
+    if (!link) {
+      throw new Error('No NodeInfo 2.0/2.1 link in /.well-known/nodeinfo');
+    }
+
+    const response = await fetchResource(link.href);
+    const nodeinfo = response.data;
+    const usage = nodeinfo.usage || {};
+
+    console.log(chalk.green(`✅ ${domain} runs ${nodeinfo.software.name} ${nodeinfo.software.version}`));
+
+    return {
+      domain,
+      schemaVersion: nodeinfo.version,
+      software: {
+        name: String(nodeinfo.software.name).toLowerCase(),
+        version: nodeinfo.software.version
+      },
+      protocols: nodeinfo.protocols || [],
+      openRegistrations: Boolean(nodeinfo.openRegistrations),
+      usage: {
+        users: {
+          total: usage.users ? usage.users.total : undefined,
+          activeMonth: usage.users ? usage.users.activeMonth : undefined,
+          activeHalfyear: usage.users ? usage.users.activeHalfyear : undefined
+        },
+        localPosts: usage.localPosts
+      },
+      metadata: nodeinfo.metadata || {}
+    };
+
+  } catch (error) {
+    console.error(chalk.red(`❌ NodeInfo lookup failed for ${domain}:`));
+    console.error(chalk.red(error.message));
+    throw error;
+  }
+}
+
+/**
+ * Look up the capability profile for a software name
+ * @param {string} softwareName - NodeInfo software.name
+ * @returns {Object} Capability profile
+ */
+function getSoftwareCapabilities(softwareName) {
+  return SOFTWARE_PROFILES[String(softwareName || '').toLowerCase()] || UNKNOWN_PROFILE;
+}
+
+/**
+ * Detect a server's software and capabilities (cached per domain)
+ * @param {string} domain - Server domain
+ * @returns {Promise<Object>} { domain, software, capabilities, nodeinfo }
+ */
+async function detectInstanceCapabilities(domain) {
+  if (capabilityCache.has(domain)) {
+    return capabilityCache.get(domain);
+  }
+
+  let nodeinfo = null;
+  try {
+    nodeinfo = await fetchNodeInfo(domain);
+  } catch (error) {
+    // Fall through to the unknown profile; plain ActivityPub is still worth trying
+  }
+
+  const result = {
+    domain,
+    software: nodeinfo ? nodeinfo.software : { name: 'unknown', version: null },
+    capabilities: getSoftwareCapabilities(nodeinfo && nodeinfo.software.name),
+    nodeinfo
+  };
+
+  capabilityCache.set(domain, result);
+  return result;
+}
+
+/**
+ * Print a NodeInfo summary
+ * @param {Object} nodeinfo - Result of fetchNodeInfo
+ */
+function analyzeNodeInfo(nodeinfo) {
+  const capabilities = getSoftwareCapabilities(nodeinfo.software.name);
+
+  console.log(chalk.yellow(`\n🖥️ ${nodeinfo.domain}:`));
+  console.log(chalk.cyan(`Software: ${capabilities.label} (${nodeinfo.software.name} ${nodeinfo.software.version})`));
+  console.log(chalk.cyan(`NodeInfo schema: ${nodeinfo.schemaVersion}`));
+  console.log(chalk.cyan(`Protocols: ${nodeinfo.protocols.join(', ') || 'none listed'}`));
+  console.log(chalk.cyan(`Open registrations: ${nodeinfo.openRegistrations}`));
+  console.log(chalk.green(`👥 Users: ${nodeinfo.usage.users.total ?? '?'} | Active (month): ${nodeinfo.usage.users.activeMonth ?? '?'} | 📝 Local posts: ${nodeinfo.usage.localPosts ?? '?'}`));
+  console.log(chalk.magenta(`🎬 Renders Video objects: ${capabilities.rendersVideo} | 📱 Mastodon client API: ${capabilities.mastodonClientApi} | 📡 Streaming: ${capabilities.streamingApi}`));
+}
+
+/**
+ * Start a local server answering NodeInfo like the given software
+ * @param {string} softwareName - Software name to report
+ * @param {string} version - Software version to report
+ * @returns {Promise<http.Server>} Running server
+ */
+function startFakeNodeInfoServer(softwareName, version) {
+  const server = http.createServer((req, res) => {
+    const origin = `http://localhost:${server.address().port}`;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+
+    if (req.url === '/.well-known/nodeinfo') {
+      return res.end(JSON.stringify({
+        links: [{ rel: 'http://nodeinfo.diaspora.software/ns/schema/2.0', href: `${origin}/nodeinfo/2.0` }]
+      }));
+    }
+
+    res.end(JSON.stringify({
+      version: '2.0',
+      software: { name: softwareName, version },
+      protocols: ['activitypub'],
+      openRegistrations: false,
+      usage: { users: { total: 42, activeMonth: 17, activeHalfyear: 30 }, localPosts: 1234 },
+      metadata: { nodeName: `Local ${softwareName}` }
+    }));
+  });
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => resolve(server)));
+}
+
+/**
+ * Detect the software of public servers and two local stand-ins
+ */
+async function runNodeInfoTests() {
+  console.log(chalk.magenta('🚀 Starting NodeInfo Detection\n'));
+
+  const domains = ['mastodon.social', 'pixelfed.social', 'framatube.org', 'misskey.io'];
+
+  for (const domain of domains) {
+    try {
+      console.log(chalk.blue('='.repeat(50)));
+      analyzeNodeInfo(await fetchNodeInfo(domain));
+      console.log('\n');
+    } catch (error) {
+      console.log(chalk.red(`Skipping ${domain} due to error\n`));
+    }
+  }
+
+  console.log(chalk.blue('='.repeat(50)));
+  const peertube = await startFakeNodeInfoServer('peertube', '6.0.0');
+  const misskey = await startFakeNodeInfoServer('misskey', '2024.1.0');
+
+  try {
+    for (const server of [peertube, misskey]) {
+      const { domain, capabilities } = await detectInstanceCapabilities(`localhost:${server.address().port}`);
+      analyzeNodeInfo(capabilityCache.get(domain).nodeinfo);
+      console.log(chalk.gray(`→ Announce uploads as ${capabilities.rendersVideo ? 'Video' : 'Note'}, ${capabilities.mastodonClientApi ? 'client API available' : 'federation only'}`));
+    }
+  } finally {
+    peertube.close();
+    misskey.close();
+  }
+}
+
+// Educational information
+function printNodeInfoInfo() {
+  console.log(chalk.cyan('📚 NodeInfo:'));
+  console.log(chalk.white('NodeInfo tells us which software a fediverse server runs.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- /.well-known/nodeinfo links to the 2.0/2.1 NodeInfo document'));
+  console.log(chalk.white('- It lists software name/version, protocols, registrations and usage'));
+  console.log(chalk.white('- Not every server is Mastodon: PeerTube renders Videos, Misskey has its own API'));
+  console.log(chalk.white('- Software profiles decide which features we use per server\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printNodeInfoInfo();
+  runNodeInfoTests().catch(console.error);
+}
+
+module.exports = {
+  SOFTWARE_PROFILES,
+  fetchNodeInfo,
+  getSoftwareCapabilities,
+  detectInstanceCapabilities,
+  analyzeNodeInfo
+};
\ No newline at end of file
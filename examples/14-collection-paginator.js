@@ -0,0 +1,240 @@
+/**
+ * ActivityPub Learning Setup - Collection Paginator
+ *
+ * Walks any ActivityStreams collection (outbox, followers, following, replies, likes)
+ * page by page, whether it is a Collection or OrderedCollection, has embedded or linked
+ * pages, and holds full objects or just links.
+ */
+
+const http = require('http');
+const chalk = require('chalk');
+const { fetchResource } = require('./26-http-client');
+
+// Configuration
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Fetch an ActivityStreams document (collection, page or item)
+ * @param {string} url - Document URL
+ * @returns {Promise<Object>} Parsed document
+ */
+async function fetchCollectionDocument(url) {
+  const response = await fetchResource(url, { accept: 'activity' });
+  return response.data;
+}
+
+/**
+ * Get the URL of a reference that may be a string, a Link or an embedded object
+ * @param {string|Object} reference - Reference
+ * @returns {string|undefined} URL or id
+ */
+function referenceUrl(reference) {
+  if (!reference) {
+    return undefined;
+  }
+  if (typeof reference === 'string') {
+    return reference;
+  }
+  return reference.type === 'Link' ? reference.href : reference.id;
+}
+
+/**
+ * Check whether an item is only a link to the real object
+ * @param {string|Object} item - Collection item
+ * @returns {boolean} Whether it needs dereferencing
+ */
+function isLinkOnly(item) {
+  return typeof item === 'string' || (item && item.type === 'Link');
+}
+
+/**
+ * Iterate over the items of an ActivityStreams collection
+ * @param {string|Object} collectionOrUrl - Collection URL or already fetched collection
+ * @param {Object} options - Iteration options
+ * @param {boolean} options.reverse - Start at "last" and follow "prev" (default: false)
+ * @param {boolean} options.dereference - Fetch items that are only links (default: false)
+ * @param {number} options.limit - Stop after this many items
+ * @param {Date|string} options.since - Skip items published before this date
+ * @param {number} options.maxPages - Page budget (default: 10)
+ * @param {Function} options.fetch - Document fetcher (default: fetchCollectionDocument)
+ * @returns {AsyncGenerator<Object|string>} Collection items
+ */
+async function* iterateCollection(collectionOrUrl, options = {}) {
+  const fetchDocument = options.fetch || fetchCollectionDocument;
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const since = options.since ? new Date(options.since) : null;
+  const limit = options.limit || Infinity;
+  const seenPages = new Set();
+  let yielded = 0;
+  let pagesRead = 0;
+
+  const collection = typeof collectionOrUrl === 'string'
+    ? await fetchDocument(collectionOrUrl)
+    : collectionOrUrl;
+
+  // A page passed directly is walked from itself; a collection from first/last
+  const isPage = /Page$/.test(collection.type || '');
+  const start = isPage ? collection : (options.reverse ? collection.last : collection.first);
+
+  // Small collections may inline their items without any pages
+  let page = start || collection;
+
+  while (page && yielded < limit) {
+    if (typeof page === 'string' || page.type === 'Link') {
+      const url = referenceUrl(page);
+      if (seenPages.has(url)) {
+        console.log(chalk.yellow(`⚠️ Page loop detected at ${url}, stopping`));
+        return;
+      }
+      seenPages.add(url);
+      page = await fetchDocument(url);
+    } else if (page.id) {
+      if (seenPages.has(page.id)) {
+        console.log(chalk.yellow(`⚠️ Page loop detected at ${page.id}, stopping`));
+        return;
+      }
+      seenPages.add(page.id);
+    }
+
+    pagesRead++;
+    let items = [].concat(page.orderedItems || page.items || []);
+    if (options.reverse) {
+      items = items.reverse();
+    }
+
+    for (let item of items) {
+      if (options.dereference && isLinkOnly(item)) {
+        try {
+          item = await fetchDocument(referenceUrl(item));
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️ Could not dereference ${referenceUrl(item)}: ${error.message}`));
+          continue;
+        }
+      }
+
+      const published = item && (item.published || (item.object && item.object.published));
+      if (since && published && new Date(published) < since) {
+        continue;
+      }
+
+      yield item;
+      yielded++;
+      if (yielded >= limit) {
+        return;
+      }
+    }
+
+    if (page === collection && !start) {
+      return;
+    }
+
+    if (pagesRead >= maxPages) {
+      console.log(chalk.yellow(`⚠️ Page budget of ${maxPages} pages reached, stopping`));
+      return;
+    }
+
+    page = options.reverse ? page.prev : page.next;
+  }
+}
+
+/**
+ * Collect the items of a collection into an array
+ * @param {string|Object} collectionOrUrl - Collection URL or already fetched collection
+ * @param {Object} options - Same options as iterateCollection
+ * @returns {Promise<Array>} Items
+ */
+async function collectItems(collectionOrUrl, options = {}) {
+  const items = [];
+  for await (const item of iterateCollection(collectionOrUrl, options)) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Start a local server with deliberately awkward collections
+ * @returns {Promise<http.Server>} Running server
+ */
+function startExampleCollectionServer() {
+  const server = http.createServer((req, res) => {
+    const origin = `http://localhost:${server.address().port}`;
+    const note = n => ({ type: 'Note', id: `${origin}/notes/${n}`, published: `2024-01-${String(10 + n).padStart(2, '0')}T10:00:00Z`, content: `<p>Note ${n}</p>` });
+    const documents = {
+      // OrderedCollection with an embedded first page whose items are links
+      '/outbox': {
+        type: 'OrderedCollection',
+        id: `${origin}/outbox`,
+        totalItems: 6,
+        first: { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=1`, orderedItems: [`${origin}/notes/6`, `${origin}/notes/5`], next: `${origin}/outbox?page=2` },
+        last: `${origin}/outbox?page=3`
+      },
+      '/outbox?page=2': { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=2`, orderedItems: [note(4), note(3)], next: `${origin}/outbox?page=3`, prev: `${origin}/outbox?page=1` },
+      '/outbox?page=3': { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=3`, orderedItems: [note(2), note(1)], prev: `${origin}/outbox?page=2` },
+      '/outbox?page=1': { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=1`, orderedItems: [`${origin}/notes/6`, `${origin}/notes/5`], next: `${origin}/outbox?page=2` },
+      // Unordered Collection whose last page points back to the first one
+      '/likes': { type: 'Collection', id: `${origin}/likes`, totalItems: 3, first: `${origin}/likes?page=a` },
+      '/likes?page=a': { type: 'CollectionPage', id: `${origin}/likes?page=a`, items: [`${origin}/users/alice_cs`, `${origin}/users/bob_student`], next: `${origin}/likes?page=b` },
+      '/likes?page=b': { type: 'CollectionPage', id: `${origin}/likes?page=b`, items: [{ type: 'Link', href: `${origin}/users/carol_learns` }], next: `${origin}/likes?page=a` }
+    };
+    [5, 6].forEach(n => { documents[`/notes/${n}`] = note(n); });
+
+    const document = documents[req.url];
+    res.writeHead(document ? 200 : 404, { 'Content-Type': 'application/activity+json' });
+    res.end(JSON.stringify(document || { error: 'Not found' }));
+  });
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => resolve(server)));
+}
+
+/**
+ * Print collection items in a compact form
+ * @param {string} title - Section title
+ * @param {Array} items - Items from collectItems
+ */
+function printItems(title, items) {
+  console.log(chalk.yellow(`\n📄 ${title} (${items.length} items):`));
+  items.forEach((item, index) => {
+    const label = typeof item === 'string' ? item : `${item.type}: ${referenceUrl(item)}${item.published ? ` (${item.published})` : ''}`;
+    console.log(chalk.white(`  ${index + 1}. ${label}`));
+  });
+}
+
+/**
+ * Walk local example collections in every supported way
+ */
+async function runPaginatorDemo() {
+  console.log(chalk.magenta('🚀 Starting Collection Paginator Demo\n'));
+
+  const server = await startExampleCollectionServer();
+  const origin = `http://localhost:${server.address().port}`;
+
+  try {
+    printItems('Outbox, forward, links dereferenced', await collectItems(`${origin}/outbox`, { dereference: true }));
+    printItems('Outbox, reverse from "last"', await collectItems(`${origin}/outbox`, { reverse: true }));
+    printItems('Outbox, limit 3', await collectItems(`${origin}/outbox`, { dereference: true, limit: 3 }));
+    printItems('Outbox, since 2024-01-14', await collectItems(`${origin}/outbox`, { dereference: true, since: '2024-01-14' }));
+    printItems('Likes collection with a page loop', await collectItems(`${origin}/likes`));
+    printItems('Likes, budget of 1 page', await collectItems(`${origin}/likes`, { maxPages: 1 }));
+  } finally {
+    server.close();
+  }
+}
+
+// Educational information
+function printPaginatorInfo() {
+  console.log(chalk.cyan('📚 ActivityStreams Collections:'));
+  console.log(chalk.white('Outboxes, followers, replies and likes are all collections split into pages.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Collections link to pages via first/last, pages link on via next/prev'));
+  console.log(chalk.white('- Pages and items may be embedded objects or just links'));
+  console.log(chalk.white('- OrderedCollection uses orderedItems, Collection uses items'));
+  console.log(chalk.white('- Page budgets and loop detection protect against misbehaving servers\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printPaginatorInfo();
+  runPaginatorDemo().catch(console.error);
+}
+
+module.exports = { fetchCollectionDocument, referenceUrl, iterateCollection, collectItems };
\ No newline at end of file
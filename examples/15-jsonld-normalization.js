@@ -0,0 +1,198 @@
+/**
+ * ActivityPub Learning Setup - JSON-LD Normalization
+ *
+ * Brings incoming ActivityStreams documents into one predictable shape: compacted against
+ * our canonical context, with addressing, tags and attachments always as arrays.
+ * All contexts are bundled in examples/contexts, so normalizing never touches the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonld = require('jsonld');
+const chalk = require('chalk');
+
+// Configuration
+const CONTEXTS_DIR = path.join(__dirname, 'contexts');
+const ACTIVITYSTREAMS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+const SECURITY_CONTEXT = 'https://w3id.org/security/v1';
+const MASTODON_CONTEXT = 'http://joinmastodon.org/ns';
+const PUBLIC_COLLECTION = 'https://www.w3.org/ns/activitystreams#Public';
+
+// Context URLs (including common spelling variants) served from bundled files
+const BUNDLED_CONTEXTS = {
+  [ACTIVITYSTREAMS_CONTEXT]: 'activitystreams.jsonld',
+  'http://www.w3.org/ns/activitystreams': 'activitystreams.jsonld',
+  'https://www.w3.org/ns/activitystreams.jsonld': 'activitystreams.jsonld',
+  [SECURITY_CONTEXT]: 'security-v1.jsonld',
+  'http://w3id.org/security/v1': 'security-v1.jsonld',
+  [MASTODON_CONTEXT]: 'mastodon-extensions.jsonld',
+  'https://joinmastodon.org/ns': 'mastodon-extensions.jsonld'
+};
+
+// Every normalized document is compacted against this context
+const CANONICAL_CONTEXT = [ACTIVITYSTREAMS_CONTEXT, SECURITY_CONTEXT, MASTODON_CONTEXT];
+
+// Properties that are always arrays after normalization
+const ARRAY_PROPERTIES = ['to', 'cc', 'bto', 'bcc', 'audience', 'tag', 'attachment'];
+const ADDRESSING_PROPERTIES = ['to', 'cc', 'bto', 'bcc', 'audience'];
+
+const loadedContexts = new Map();
+const warnedContexts = new Set();
+
+/**
+ * JSON-LD document loader that only serves bundled contexts
+ * Unknown contexts (e.g. Pleroma's litepub schema) resolve to an empty context instead
+ * of being downloaded; their terms then fall back to our canonical definitions.
+ * @param {string} url - Context URL
+ * @returns {Promise<Object>} Remote document as expected by jsonld.js
+ */
+async function documentLoader(url) {
+  const fileName = BUNDLED_CONTEXTS[url];
+
+  if (!fileName) {
+    if (!warnedContexts.has(url)) {
+      warnedContexts.add(url);
+      console.log(chalk.yellow(`⚠️ Context ${url} is not bundled, ignoring its term definitions`));
+    }
+    return { contextUrl: null, documentUrl: url, document: { '@context': {} } };
+  }
+
+  if (!loadedContexts.has(fileName)) {
+    loadedContexts.set(fileName, JSON.parse(fs.readFileSync(path.join(CONTEXTS_DIR, fileName), 'utf8')));
+  }
+
+  return { contextUrl: null, documentUrl: url, document: loadedContexts.get(fileName) };
+}
+
+/**
+ * Tidy a compacted value at every nesting level: force array properties into arrays,
+ * restore the full Public URI and unwrap language-tagged strings
+ * @param {*} node - Compacted JSON-LD value
+ * @returns {*} Tidied value
+ */
+function simplifyNode(node) {
+  if (Array.isArray(node)) {
+    return node.map(simplifyNode);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  if ('@value' in node) {
+    // A default @language (Pleroma sends "und") turns plain strings into value objects
+    return node['@value'];
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '@context') {
+      result[key] = value;
+      continue;
+    }
+
+    let normalized = simplifyNode(value);
+    if (ARRAY_PROPERTIES.includes(key) && !Array.isArray(normalized)) {
+      normalized = [normalized];
+    }
+    if (ADDRESSING_PROPERTIES.includes(key)) {
+      // Compaction shortens the Public collection to "as:Public"
+      normalized = normalized.map(address => (address === 'as:Public' || address === 'Public') ? PUBLIC_COLLECTION : address);
+    }
+    result[key] = normalized;
+  }
+  return result;
+}
+
+/**
+ * Normalize an ActivityStreams document
+ * Accepts string or array @context, prefixed terms ("as:sensitive", "toot:blurhash"),
+ * fully expanded IRIs and documents without any @context.
+ * @param {Object} document - Incoming ActivityStreams document
+ * @returns {Promise<Object>} Document compacted against CANONICAL_CONTEXT
+ */
+async function normalizeObject(document) {
+  try {
+    const compacted = await jsonld.compact(document, CANONICAL_CONTEXT, {
+      documentLoader,
+      // Terms and prefixes the document uses without defining them still resolve
+      expandContext: CANONICAL_CONTEXT
+    });
+    return simplifyNode(compacted);
+
+  } catch (error) {
+    console.error(chalk.red(`❌ JSON-LD normalization failed for ${(document && document.id) || 'document'}:`));
+    console.error(chalk.red(error.message));
+    throw error;
+  }
+}
+
+/**
+ * Normalize documents the way different servers actually send them
+ */
+async function runNormalizationDemo() {
+  console.log(chalk.magenta('🚀 Starting JSON-LD Normalization Demo\n'));
+
+  const examples = {
+    'Mastodon Note with prefixed terms and single values': {
+      '@context': [ACTIVITYSTREAMS_CONTEXT, { sensitive: 'as:sensitive', toot: 'http://joinmastodon.org/ns#' }],
+      id: 'https://mastodon.social/users/professor/statuses/123456',
+      type: 'Note',
+      attributedTo: 'https://mastodon.social/users/professor',
+      content: '<p>New lecture video is online! #ActivityPub</p>',
+      to: 'https://www.w3.org/ns/activitystreams#Public',
+      cc: 'https://mastodon.social/users/professor/followers',
+      'as:sensitive': false,
+      tag: { type: 'Hashtag', name: '#ActivityPub', href: 'https://mastodon.social/tags/activitypub' },
+      attachment: { type: 'Document', mediaType: 'image/png', url: 'https://mastodon.social/media/lecture.png', 'toot:blurhash': 'UBL_:rOpGG-oBUNG,qRj2so|=eE1w^n4S5NH' }
+    },
+    'Pleroma actor with an unknown extension context': {
+      '@context': [ACTIVITYSTREAMS_CONTEXT, 'https://pleroma.example/schemas/litepub-0.1.jsonld', { '@language': 'und' }],
+      id: 'https://pleroma.example/users/alice_cs',
+      type: 'Person',
+      preferredUsername: 'alice_cs',
+      inbox: 'https://pleroma.example/users/alice_cs/inbox',
+      manuallyApprovesFollowers: false,
+      publicKey: { id: 'https://pleroma.example/users/alice_cs#main-key', owner: 'https://pleroma.example/users/alice_cs', publicKeyPem: '-----BEGIN PUBLIC KEY-----...' }
+    },
+    'Fully expanded document without @context': {
+      '@id': 'https://learning-platform.uni.edu/videos/activitypub-intro/activitypub',
+      '@type': 'https://www.w3.org/ns/activitystreams#Note',
+      'https://www.w3.org/ns/activitystreams#content': 'Introduction to ActivityPub Protocol',
+      'https://www.w3.org/ns/activitystreams#to': { '@id': 'https://www.w3.org/ns/activitystreams#Public' }
+    }
+  };
+
+  for (const [title, document] of Object.entries(examples)) {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`📥 ${title}:`));
+    console.log(chalk.gray(JSON.stringify(document, null, 2)));
+
+    const normalized = await normalizeObject(document);
+    console.log(chalk.green('\n✅ Normalized:'));
+    console.log(JSON.stringify(normalized, null, 2));
+    console.log('\n');
+  }
+}
+
+// Educational information
+function printNormalizationInfo() {
+  console.log(chalk.cyan('📚 JSON-LD Normalization:'));
+  console.log(chalk.white('ActivityStreams is JSON-LD, so the same object can be written in many ways.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- @context maps short terms like "content" to full IRIs'));
+  console.log(chalk.white('- Compaction rewrites any document against one canonical context'));
+  console.log(chalk.white('- A bundled document loader keeps context lookups offline'));
+  console.log(chalk.white('- to/cc/tag/attachment may be a single value or an array; we always use arrays\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printNormalizationInfo();
+  runNormalizationDemo().catch(console.error);
+}
+
+module.exports = {
+  CANONICAL_CONTEXT,
+  PUBLIC_COLLECTION,
+  documentLoader,
+  normalizeObject
+};
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * ActivityPub Learning Setup - ActivityStreams 2.0 Validator
+ *
+ * Checks objects and activities against the AS2 and ActivityPub rules that receiving
+ * servers rely on, and reports every problem as an error or warning with a JSON path.
+ */
+
+const chalk = require('chalk');
+const { PUBLIC_COLLECTION } = require('./15-jsonld-normalization');
+const { ActivityPubExamples } = require('./fixtures/activitypub-objects');
+
+// Configuration
+// Question is an activity in AS2, but polls travel as objects with attributedTo instead of actor
+const ACTIVITY_TYPES = [
+  'Accept', 'Add', 'Announce', 'Arrive', 'Block', 'Create', 'Delete', 'Dislike', 'Flag',
+  'Follow', 'Ignore', 'Invite', 'Join', 'Leave', 'Like', 'Listen', 'Move', 'Offer',
+  'Read', 'Reject', 'Remove', 'TentativeAccept', 'TentativeReject', 'Travel',
+  'Undo', 'Update', 'View'
+];
+
+// Activities that mean nothing without an object
+const OBJECT_REQUIRED_TYPES = ['Create', 'Update', 'Delete', 'Follow', 'Accept', 'Reject', 'Like', 'Announce', 'Undo', 'Add', 'Remove', 'Block'];
+
+const ACTOR_TYPES = ['Application', 'Group', 'Organization', 'Person', 'Service'];
+
+// Properties whose values must be absolute URIs when given as strings
+const URI_PROPERTIES = ['id', 'actor', 'attributedTo', 'inReplyTo', 'url', 'href', 'inbox', 'outbox', 'followers', 'following', 'liked', 'first', 'last', 'next', 'prev', 'partOf'];
+const ADDRESSING_PROPERTIES = ['to', 'cc', 'bto', 'bcc', 'audience'];
+const DATE_PROPERTIES = ['published', 'updated', 'startTime', 'endTime'];
+
+// Shorthands some servers accept for the Public collection, but not all
+const PUBLIC_SHORTHANDS = ['Public', 'as:Public'];
+
+const ISO_8601_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+// xsd:duration as used by Video and Audio, e.g. PT942S or P1DT2H
+const ISO_8601_DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+/**
+ * Check that a value is an absolute URI
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is an absolute URI
+ */
+function isAbsoluteUri(value) {
+  try {
+    return typeof value === 'string' && Boolean(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the id of a reference that may be a string or an embedded object
+ * @param {string|Object} reference - Reference
+ * @returns {string|undefined} Id
+ */
+function referenceId(reference) {
+  return typeof reference === 'string' ? reference : reference && reference.id;
+}
+
+/**
+ * Validate an object or activity, including embedded objects
+ * @param {Object} obj - ActivityStreams object
+ * @param {string} path - JSON path of obj (default: "$")
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}} Diagnostics
+ */
+function validateObject(obj, path = '$') {
+  const errors = [];
+  const warnings = [];
+  const error = (at, message) => errors.push({ path: at, message });
+  const warning = (at, message) => warnings.push({ path: at, message });
+
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    error(path, 'must be a JSON object');
+    return { valid: false, errors, warnings };
+  }
+
+  const types = [].concat(obj.type || []);
+  const isActivity = types.some(type => ACTIVITY_TYPES.includes(type));
+
+  // Required properties
+  if (!obj.id) {
+    error(`${path}.id`, 'is required');
+  }
+  if (types.length === 0) {
+    error(`${path}.type`, 'is required');
+  }
+
+  if (isActivity && !obj.actor) {
+    error(`${path}.actor`, `is required on ${types.join('/')} activities`);
+  }
+
+  if (types.some(type => OBJECT_REQUIRED_TYPES.includes(type)) && !obj.object) {
+    error(`${path}.object`, `is required on ${types.join('/')} activities`);
+  }
+
+  if (types.some(type => ACTOR_TYPES.includes(type))) {
+    ['inbox', 'outbox'].forEach(property => {
+      if (!obj[property]) {
+        error(`${path}.${property}`, 'is required on ActivityPub actors');
+      }
+    });
+  }
+
+  // Create must be sent by the author of the created object
+  if (types.includes('Create') && obj.object && typeof obj.object === 'object') {
+    const author = referenceId(obj.object.attributedTo);
+    if (!author) {
+      warning(`${path}.object.attributedTo`, 'is missing; receivers cannot check who wrote the object');
+    } else if (author !== referenceId(obj.actor)) {
+      error(`${path}.object.attributedTo`, `must match the Create actor (${referenceId(obj.actor)}), got ${author}`);
+    }
+  }
+
+  // Dates
+  DATE_PROPERTIES.forEach(property => {
+    const value = obj[property];
+    if (value !== undefined && (typeof value !== 'string' || !ISO_8601_DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      error(`${path}.${property}`, `must be an ISO-8601 date-time (e.g. 2024-01-15T10:30:00Z), got ${JSON.stringify(value)}`);
+    }
+  });
+
+  if (obj.duration !== undefined && (typeof obj.duration !== 'string' || !ISO_8601_DURATION.test(obj.duration))) {
+    error(`${path}.duration`, `must be an ISO-8601 duration (e.g. PT942S), got ${JSON.stringify(obj.duration)}`);
+  }
+
+  // Absolute URIs
+  URI_PROPERTIES.forEach(property => {
+    const value = obj[property];
+    if (typeof value === 'string' && !isAbsoluteUri(value)) {
+      error(`${path}.${property}`, `must be an absolute URI, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  // Addressing
+  ADDRESSING_PROPERTIES.forEach(property => {
+    if (obj[property] === undefined) {
+      return;
+    }
+    const values = Array.isArray(obj[property]) ? obj[property] : [obj[property]];
+    values.forEach((value, index) => {
+      const at = Array.isArray(obj[property]) ? `${path}.${property}[${index}]` : `${path}.${property}`;
+      const address = referenceId(value);
+      if (PUBLIC_SHORTHANDS.includes(address)) {
+        warning(at, `use the full Public collection URI ${PUBLIC_COLLECTION} instead of "${address}"`);
+      } else if (!isAbsoluteUri(address)) {
+        error(at, `must be the Public collection or an actor/collection URI, got ${JSON.stringify(address)}`);
+      }
+    });
+  });
+
+  if (types.some(type => ['Create', 'Announce', 'Note'].includes(type)) && !ADDRESSING_PROPERTIES.some(property => obj[property] !== undefined)) {
+    warning(`${path}.to`, 'no to/cc/bto/bcc/audience: nobody will receive this');
+  }
+
+  // Embedded objects are validated with their own paths
+  if (obj.object && typeof obj.object === 'object' && !Array.isArray(obj.object)) {
+    const nested = validateObject(obj.object, `${path}.object`);
+    errors.push(...nested.errors);
+    warnings.push(...nested.warnings);
+  } else if (typeof obj.object === 'string' && !isAbsoluteUri(obj.object)) {
+    error(`${path}.object`, `must be an absolute URI or an embedded object, got ${JSON.stringify(obj.object)}`);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Print diagnostics in a readable form
+ * @param {Object} result - Result of validateObject
+ */
+function printDiagnostics(result) {
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    console.log(chalk.green('✅ Valid ActivityStreams 2.0'));
+    return;
+  }
+
+  result.errors.forEach(({ path, message }) => console.log(chalk.red(`❌ ${path}: ${message}`)));
+  result.warnings.forEach(({ path, message }) => console.log(chalk.yellow(`⚠️ ${path}: ${message}`)));
+}
+
+/**
+ * Refuse to send an invalid activity
+ * @param {Object} activity - Outgoing activity
+ * @returns {Object} Diagnostics (warnings are printed, errors throw)
+ */
+function assertValidActivity(activity) {
+  const result = validateObject(activity);
+
+  result.warnings.forEach(({ path, message }) => {
+    console.log(chalk.yellow(`⚠️ ${activity.type || 'Activity'} ${path}: ${message}`));
+  });
+
+  if (!result.valid) {
+    const summary = result.errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+    console.error(chalk.red(`❌ Refusing to send invalid ${activity.type || 'activity'} ${activity.id || ''}:`));
+    console.error(chalk.red(summary));
+    throw new Error(`Invalid activity: ${summary}`);
+  }
+
+  return result;
+}
+
+/**
+ * Validate the example objects and a few deliberately broken ones
+ */
+async function runValidatorDemo() {
+  console.log(chalk.magenta('🚀 Starting ActivityStreams 2.0 Validator Demo\n'));
+
+  const broken = {
+    'Create with a foreign author': {
+      type: 'Create',
+      id: 'https://learning-platform.uni.edu/activities/1',
+      actor: 'https://mastodon.social/users/professor',
+      published: 'yesterday',
+      to: ['Public'],
+      object: {
+        type: 'Note',
+        id: 'https://learning-platform.uni.edu/notes/1',
+        attributedTo: 'https://mastodon.social/users/student',
+        content: '<p>Who wrote this?</p>',
+        cc: ['followers']
+      }
+    },
+    'Like without an object': {
+      type: 'Like',
+      id: '/likes/1',
+      actor: 'https://mastodon.social/users/student'
+    }
+  };
+
+  for (const [title, document] of Object.entries({ ...ActivityPubExamples, ...broken })) {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`🔍 ${title}:`));
+    printDiagnostics(validateObject(document));
+  }
+}
+
+// Educational information
+function printValidatorInfo() {
+  console.log(chalk.cyan('📚 Validating ActivityStreams 2.0:'));
+  console.log(chalk.white('Receiving servers silently drop objects that break the rules.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Every object needs an id and a type; activities also need an actor'));
+  console.log(chalk.white('- Create, Like, Announce and Follow need an object'));
+  console.log(chalk.white('- A Create must come from the author (object.attributedTo)'));
+  console.log(chalk.white('- Dates are ISO-8601, ids and addresses are absolute URIs\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printValidatorInfo();
+  runValidatorDemo().catch(console.error);
+}
+
+module.exports = {
+  validateObject,
+  printDiagnostics,
+  assertValidActivity
+};
\ No newline at end of file
@@ -0,0 +1,521 @@
+/**
+ * ActivityPub Learning Setup - Streaming Client
+ *
+ * Follows a public or hashtag timeline live through Mastodon's streaming API,
+ * over WebSocket or Server-Sent Events, and falls back to polling when streaming
+ * is unavailable. Every status arrives as a normalized ActivityPub Note.
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const chalk = require('chalk');
+const WebSocket = require('ws');
+const { convertToActivityPubNote } = require('./02-public-timeline');
+const { computeBackoff } = require('./10-delivery-queue');
+const { loadToken } = require('./12-mastodon-client-api');
+const { normalizeObject } = require('./15-jsonld-normalization');
+const { fetchResource } = require('./26-http-client');
+const { USER_AGENT } = require('./lib/config');
+
+// Configuration
+const STREAMING_BASE_DELAY_MS = Number(process.env.STREAMING_BASE_DELAY_MS || 1000);
+const STREAMING_MAX_DELAY_MS = Number(process.env.STREAMING_MAX_DELAY_MS || 60 * 1000);
+const STREAMING_POLL_INTERVAL_MS = Number(process.env.STREAMING_POLL_INTERVAL_MS || 30 * 1000);
+// Consecutive failed connects before moving on to the next transport
+const MAX_CONNECT_FAILURES = 3;
+const TRANSPORTS = ['websocket', 'sse', 'poll'];
+
+// Stream name → SSE path and polling endpoint
+const STREAMS = {
+  'public': { ssePath: '/api/v1/streaming/public', timeline: () => ['/api/v1/timelines/public', {}] },
+  'public:local': { ssePath: '/api/v1/streaming/public/local', timeline: () => ['/api/v1/timelines/public', { local: true }] },
+  'hashtag': { ssePath: '/api/v1/streaming/hashtag', timeline: tag => [`/api/v1/timelines/tag/${encodeURIComponent(tag)}`, {}] }
+};
+
+/**
+ * Compare two status ids (Mastodon uses numeric snowflakes, other servers opaque strings)
+ * @param {string} a - Status id
+ * @param {string} b - Status id
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareStatusIds(a, b) {
+  if (/^\d+$/.test(a) && /^\d+$/.test(b) && a.length !== b.length) {
+    return a.length - b.length;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Find the streaming base URL of an instance (it may live on its own host)
+ * @param {string} instanceUrl - Base URL of the Mastodon instance
+ * @returns {Promise<string>} Streaming base URL with ws(s) scheme
+ */
+async function discoverStreamingUrl(instanceUrl) {
+  const fallback = instanceUrl.replace(/^http/, 'ws');
+
+  try {
+    const response = await fetchResource(`${instanceUrl}/api/v2/instance`);
+    const urls = (response.data.configuration || {}).urls || {};
+    return urls.streaming || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Create a live timeline stream
+ * Emits "note" ({ event, note, status }) for update and status.update, "delete" ({ event, statusId }),
+ * "transport" (name) when switching transports, and "error" (Error) for failed connects.
+ * @param {string} instanceUrl - Base URL of the Mastodon instance (e.g., "https://mastodon.social")
+ * @param {Object} options - Stream options
+ * @param {string} options.stream - "public", "public:local" or "hashtag" (default: "public")
+ * @param {string} options.tag - Hashtag without "#" for the hashtag stream
+ * @param {string} options.transport - Transport to start with: "websocket", "sse" or "poll" (default: "websocket")
+ * @param {string} options.accessToken - OAuth token (default: loadToken(instanceUrl))
+ * @param {number} options.baseDelayMs - First reconnect delay
+ * @param {number} options.maxDelayMs - Maximum reconnect delay
+ * @param {number} options.pollIntervalMs - Polling interval for the fallback
+ * @returns {EventEmitter} Stream with start() and stop()
+ */
+function createTimelineStream(instanceUrl, options = {}) {
+  const streamName = options.stream || 'public';
+  const stream = STREAMS[streamName];
+  if (!stream) {
+    throw new Error(`Unknown stream: ${streamName} (use ${Object.keys(STREAMS).join(', ')})`);
+  }
+  if (streamName === 'hashtag' && !options.tag) {
+    throw new Error('The hashtag stream needs options.tag');
+  }
+
+  const accessToken = options.accessToken !== undefined ? options.accessToken : loadToken(instanceUrl);
+  const baseDelayMs = options.baseDelayMs || STREAMING_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || STREAMING_MAX_DELAY_MS;
+  const pollIntervalMs = options.pollIntervalMs || STREAMING_POLL_INTERVAL_MS;
+  const headers = {
+    'User-Agent': USER_AGENT,
+    ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+  };
+
+  const emitter = new EventEmitter();
+  let transportIndex = TRANSPORTS.indexOf(options.transport || 'websocket');
+  let failures = 0;
+  let stopped = true;
+  let connection = null;
+  let timer = null;
+  // Newest status seen, so polling continues where streaming stopped
+  let sinceId = null;
+
+  // An "error" event without listeners would throw, so problems are only reported on request
+  const report = error => {
+    if (emitter.listenerCount('error') > 0) {
+      emitter.emit('error', error);
+    }
+  };
+
+  /**
+   * Turn a streaming event into a normalized Note and emit it
+   * @param {string} event - Event name ("update", "status.update", "delete", ...)
+   * @param {string} payload - Event payload as sent by Mastodon
+   */
+  async function handleEvent(event, payload) {
+    if (event === 'delete') {
+      emitter.emit('delete', { event, statusId: payload });
+      return;
+    }
+    if (event !== 'update' && event !== 'status.update') {
+      return;
+    }
+
+    const status = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (!sinceId || compareStatusIds(status.id, sinceId) > 0) {
+      sinceId = status.id;
+    }
+    const note = await normalizeObject(convertToActivityPubNote(status));
+    emitter.emit('note', { event, note, status });
+  }
+
+  // Normalizing is async, so events are chained to keep them in arrival order
+  let pending = Promise.resolve();
+  const dispatch = (event, payload) => {
+    pending = pending.then(() => handleEvent(event, payload)).catch(report);
+    return pending;
+  };
+
+  /**
+   * Schedule the next connect after a failure or dropped connection
+   * @param {Error} error - What went wrong
+   * @param {boolean} wasOpen - Whether the connection had been established
+   */
+  function scheduleReconnect(error, wasOpen) {
+    connection = null;
+    if (stopped) {
+      return;
+    }
+
+    failures = wasOpen ? 1 : failures + 1;
+    report(error);
+
+    if (!wasOpen && failures >= MAX_CONNECT_FAILURES) {
+      failures = 0;
+      transportIndex++;
+      console.log(chalk.yellow(`⚠️ ${error.message}; switching to ${TRANSPORTS[transportIndex]}`));
+      return connect();
+    }
+
+    const delay = computeBackoff(failures, baseDelayMs, maxDelayMs);
+    console.log(chalk.yellow(`🔁 ${TRANSPORTS[transportIndex]}: ${error.message}, reconnecting in ${delay}ms`));
+    timer = setTimeout(connect, delay);
+  }
+
+  /**
+   * Connect over the WebSocket streaming endpoint
+   * @param {string} streamingUrl - Streaming base URL
+   */
+  function connectWebSocket(streamingUrl) {
+    const url = new URL('/api/v1/streaming', streamingUrl);
+    url.searchParams.set('stream', streamName);
+    if (options.tag) {
+      url.searchParams.set('tag', options.tag);
+    }
+
+    let opened = false;
+    let closed = false;
+    const socket = new WebSocket(url, { headers });
+    const fail = error => {
+      if (!closed) {
+        closed = true;
+        scheduleReconnect(error, opened);
+      }
+    };
+    connection = { close: () => { closed = true; socket.terminate(); } };
+
+    socket.on('open', () => {
+      opened = true;
+      failures = 0;
+      console.log(chalk.green(`📡 WebSocket connected: ${url}`));
+    });
+    socket.on('message', data => {
+      // A malformed frame is reported and skipped; it must not take the process down
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return report(new Error(`Ignoring malformed WebSocket frame: ${error.message}`));
+      }
+      dispatch(message.event, message.payload);
+    });
+    socket.on('unexpected-response', (req, res) => {
+      fail(new Error(`WebSocket upgrade refused with HTTP ${res.statusCode}`));
+      socket.terminate();
+    });
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('WebSocket closed')));
+  }
+
+  /**
+   * Connect over the Server-Sent Events endpoint
+   * @param {string} streamingUrl - Streaming base URL
+   */
+  function connectSse(streamingUrl) {
+    const url = new URL(stream.ssePath, streamingUrl.replace(/^ws/, 'http'));
+    if (options.tag) {
+      url.searchParams.set('tag', options.tag);
+    }
+
+    let opened = false;
+    let closed = false;
+    const fail = error => {
+      if (!closed) {
+        closed = true;
+        scheduleReconnect(error, opened);
+      }
+    };
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, { headers: { ...headers, 'Accept': 'text/event-stream' } }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return fail(new Error(`SSE endpoint answered HTTP ${res.statusCode}`));
+      }
+
+      opened = true;
+      failures = 0;
+      console.log(chalk.green(`📡 SSE connected: ${url}`));
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          // Lines starting with ":" are heartbeats
+          const fields = { event: 'message', data: [] };
+          block.split('\n').filter(line => !line.startsWith(':')).forEach(line => {
+            const [, name, value] = /^([^:]+):\s?(.*)$/.exec(line) || [];
+            if (name === 'event') {
+              fields.event = value;
+            } else if (name === 'data') {
+              fields.data.push(value);
+            }
+          });
+
+          if (fields.data.length > 0) {
+            dispatch(fields.event, fields.data.join('\n'));
+          }
+        }
+      });
+      res.on('close', () => fail(new Error('SSE stream ended')));
+    });
+
+    request.on('error', fail);
+    connection = { close: () => { closed = true; request.destroy(); } };
+  }
+
+  /**
+   * Poll the matching REST timeline with since_id
+   */
+  function startPolling() {
+    const [timelinePath, params] = stream.timeline(options.tag);
+    console.log(chalk.blue(`🕰️ Polling ${timelinePath} every ${pollIntervalMs}ms`));
+
+    const poll = async () => {
+      try {
+        // Every poll must reach the server: a cached page would hide new statuses
+        const response = await fetchResource(`${instanceUrl}${timelinePath}`, {
+          params: { ...params, ...(sinceId ? { since_id: sinceId } : {}) },
+          headers,
+          cache: false
+        });
+        // The API returns newest first
+        for (const status of [...response.data].reverse()) {
+          await dispatch('update', status);
+        }
+      } catch (error) {
+        report(error);
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, pollIntervalMs);
+      }
+    };
+
+    connection = { close: () => {} };
+    poll();
+  }
+
+  /**
+   * Connect with the current transport
+   */
+  async function connect() {
+    if (stopped) {
+      return;
+    }
+
+    const transport = TRANSPORTS[transportIndex];
+    emitter.emit('transport', transport);
+
+    if (transport === 'poll') {
+      return startPolling();
+    }
+
+    const streamingUrl = await discoverStreamingUrl(instanceUrl);
+    if (transport === 'websocket') {
+      connectWebSocket(streamingUrl);
+    } else {
+      connectSse(streamingUrl);
+    }
+  }
+
+  emitter.start = () => {
+    stopped = false;
+    connect();
+    return emitter;
+  };
+
+  emitter.stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (connection) {
+      connection.close();
+      connection = null;
+    }
+  };
+
+  return emitter;
+}
+
+/**
+ * Start a local stand-in for Mastodon's streaming API and REST timelines
+ * @param {Object} behavior - Which transports work
+ * @param {boolean} behavior.websocket - Accept WebSocket upgrades
+ * @param {boolean} behavior.sse - Serve SSE streams
+ * @param {Array<Object>} statuses - Statuses to stream or return
+ * @returns {Promise<Object>} { server, url, requests, publish(status), pushEvent(event, payload), dropConnections(), close() }
+ */
+function startMockStreamingServer(behavior, statuses) {
+  const sseClients = new Set();
+  const requests = [];
+  const wss = new WebSocket.Server({ noServer: true });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(req.url);
+
+    if (url.pathname === '/api/v2/instance') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    if (url.pathname.startsWith('/api/v1/streaming/')) {
+      if (!behavior.sse) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(':thump\n\n');
+      sseClients.add(res);
+      return req.on('close', () => sseClients.delete(res));
+    }
+
+    // REST timelines: newest first, honoring since_id
+    const sinceId = url.searchParams.get('since_id');
+    const page = statuses
+      .filter(status => !sinceId || compareStatusIds(status.id, sinceId) > 0)
+      .sort((a, b) => compareStatusIds(b.id, a.id));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(page));
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    requests.push(req.url);
+    if (!behavior.websocket) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws));
+  });
+
+  const mock = {
+    server,
+    requests,
+    publish(status) {
+      statuses.push(status);
+      mock.pushEvent('update', status);
+    },
+    pushEvent(event, payload) {
+      const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      wss.clients.forEach(ws => ws.send(JSON.stringify({ stream: ['public'], event, payload: data })));
+      sseClients.forEach(res => res.write(`event: ${event}\ndata: ${data}\n\n`));
+    },
+    dropConnections() {
+      wss.clients.forEach(ws => ws.terminate());
+      sseClients.forEach(res => res.destroy());
+    },
+    close() {
+      mock.dropConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => {
+    mock.url = `http://localhost:${server.address().port}`;
+    resolve(mock);
+  }));
+}
+
+/**
+ * Wait a little while the stream does its work
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stream from local stand-ins over WebSocket, SSE and the polling fallback
+ */
+async function runStreamingDemo() {
+  console.log(chalk.magenta('🚀 Starting Streaming Client Demo\n'));
+
+  const statuses = require('./fixtures/mastodon-statuses.json').filter(status => !status.reblog);
+  const log = stream => stream
+    .on('note', ({ event, note }) => console.log(chalk.white(`   ${event}: ${note.id} (${note.to.length ? 'to ' + note.to[0] : 'direct'})`)))
+    .on('delete', ({ statusId }) => console.log(chalk.white(`   delete: ${statusId}`)))
+    .on('transport', name => console.log(chalk.cyan(`   transport → ${name}`)))
+    .on('error', () => {});
+
+  const scenarios = [
+    { title: 'WebSocket hashtag stream with a dropped connection', behavior: { websocket: true, sse: true }, options: { stream: 'hashtag', tag: 'activitypub' } },
+    { title: 'SSE public:local stream', behavior: { websocket: true, sse: true }, options: { stream: 'public:local', transport: 'sse' } },
+    { title: 'No streaming at all: polling with since_id', behavior: { websocket: false, sse: false }, options: { stream: 'public' } }
+  ];
+
+  for (const { title, behavior, options } of scenarios) {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`📺 ${title}`));
+
+    const mock = await startMockStreamingServer(behavior, statuses.slice(0, 1));
+    const stream = log(createTimelineStream(mock.url, { ...options, accessToken: null, baseDelayMs: 50, maxDelayMs: 200, pollIntervalMs: 300 }));
+
+    try {
+      stream.start();
+      await wait(300);
+
+      mock.publish(statuses[1]);
+      mock.pushEvent('status.update', { ...statuses[1], edited_at: '2024-10-08T09:50:00.000Z' });
+      mock.pushEvent('delete', statuses[1].id);
+      await wait(400);
+
+      mock.dropConnections();
+      await wait(400);
+      mock.publish(statuses[2]);
+      await wait(400);
+
+      const pollRequests = mock.requests.filter(url => url.startsWith('/api/v1/timelines'));
+      if (pollRequests.length > 0) {
+        console.log(chalk.gray(`   polled: ${pollRequests.join(', ')}`));
+      }
+    } finally {
+      stream.stop();
+      await mock.close();
+    }
+  }
+}
+
+// Educational information
+function printStreamingInfo() {
+  console.log(chalk.cyan('📚 Mastodon Streaming API:'));
+  console.log(chalk.white('Instead of asking again and again, the server pushes new statuses to us.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- WebSocket /api/v1/streaming?stream=hashtag&tag=... or SSE /api/v1/streaming/...'));
+  console.log(chalk.white('- Events: update (new status), status.update (edited), delete (status id)'));
+  console.log(chalk.white('- Dropped connections reconnect with exponential backoff'));
+  console.log(chalk.white('- Without streaming, polling with since_id only fetches what is new\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const [instanceUrl, streamName, tag] = process.argv.slice(2);
+  printStreamingInfo();
+
+  if (instanceUrl) {
+    // Live view until Ctrl+C, e.g. "https://mastodon.social hashtag activitypub"
+    createTimelineStream(instanceUrl, { stream: streamName, tag })
+      .on('note', ({ event, note, status }) => {
+        console.log(chalk.yellow(`\n📝 ${event} from @${status.account.acct}:`));
+        console.log(chalk.white(JSON.stringify(note, null, 2)));
+      })
+      .on('delete', ({ statusId }) => console.log(chalk.gray(`🗑️ Deleted: ${statusId}`)))
+      .start();
+  } else {
+    runStreamingDemo().catch(console.error);
+  }
+}
+
+module.exports = { discoverStreamingUrl, createTimelineStream };
\ No newline at end of file
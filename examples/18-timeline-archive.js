@@ -0,0 +1,295 @@
+/**
+ * ActivityPub Learning Setup - Timeline Archive
+ *
+ * Collects course-related discussion for later analysis: walks a public, local or
+ * hashtag timeline backwards and writes one status per line (JSONL), either as the raw
+ * Mastodon status or converted to ActivityStreams. A checkpoint file lets an
+ * interrupted archive continue where it stopped.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { parseLinkHeader, iterateTimeline, convertToActivityPub } = require('./02-public-timeline');
+const { readJsonFile, writeJsonFile } = require('./08-actor-server');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archives');
+const ARCHIVE_FORMATS = ['raw', 'as2'];
+const ARCHIVE_FORMAT = process.env.ARCHIVE_FORMAT || 'raw';
+const ARCHIVE_UNTIL = process.env.ARCHIVE_UNTIL || null;
+const ARCHIVE_MAX_ITEMS = Number(process.env.ARCHIVE_MAX_ITEMS || 1000);
+
+/**
+ * Default archive file for an instance and timeline
+ * @param {string} instance - Instance domain or base URL
+ * @param {string} timeline - "public", "local" or "hashtag"
+ * @param {string} tag - Hashtag (hashtag timeline only)
+ * @returns {string} Path of the JSONL file
+ */
+function defaultArchiveFile(instance, timeline, tag) {
+  const host = instance.replace(/^https?:\/\//, '').replace(/[^\w.-]+/g, '_');
+  const name = [host, timeline, tag].filter(Boolean).join('-');
+  return path.join(ARCHIVE_DIR, `${name}.jsonl`);
+}
+
+/**
+ * Archive a timeline as JSONL, resuming from the checkpoint of an earlier run
+ * The checkpoint is written after every line, so at most the last line of an
+ * interrupted run is archived twice.
+ * @param {string} instance - Instance domain or base URL
+ * @param {Object} options - Archive options
+ * @param {string} options.timeline - "public", "local" or "hashtag" (default: "public")
+ * @param {string} options.tag - Hashtag without "#" (hashtag timeline only)
+ * @param {Date|string} options.until - Stop at statuses created before this date
+ * @param {number} options.maxItems - Item budget across all runs (default: 1000)
+ * @param {number} options.pageSize - Statuses per request (default: 40)
+ * @param {string} options.format - "raw" Mastodon statuses or "as2" ActivityStreams (default: "raw")
+ * @param {string} options.outputFile - JSONL file (default: data/archives/<instance>-<timeline>[-<tag>].jsonl)
+ * @param {string} options.checkpointFile - Checkpoint file (default: <outputFile>.checkpoint.json)
+ * @returns {Promise<Object>} Final checkpoint
+ */
+async function archiveTimeline(instance, options = {}) {
+  const timeline = options.timeline || 'public';
+  const format = options.format || ARCHIVE_FORMAT;
+  const maxItems = options.maxItems || ARCHIVE_MAX_ITEMS;
+  const outputFile = options.outputFile || defaultArchiveFile(instance, timeline, options.tag);
+  const checkpointFile = options.checkpointFile || `${outputFile}.checkpoint.json`;
+
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unknown archive format "${format}" (expected ${ARCHIVE_FORMATS.join(' or ')})`);
+  }
+
+  const settings = {
+    instance,
+    timeline,
+    tag: options.tag || null,
+    format,
+    until: options.until ? new Date(options.until).toISOString() : null
+  };
+  let checkpoint = readJsonFile(checkpointFile, null);
+
+  if (checkpoint) {
+    const mismatch = Object.keys(settings).find(key => checkpoint[key] !== settings[key]);
+    if (mismatch) {
+      throw new Error(`Checkpoint ${checkpointFile} belongs to another archive (${mismatch}: ${checkpoint[mismatch]}); delete it or choose another output file`);
+    }
+    if (checkpoint.complete) {
+      console.log(chalk.green(`✅ Archive ${outputFile} is already complete (${checkpoint.written} statuses)`));
+      return checkpoint;
+    }
+    console.log(chalk.blue(`⏯️ Resuming ${outputFile} below status ${checkpoint.lastId} (${checkpoint.written} archived so far)`));
+  } else {
+    checkpoint = { ...settings, lastId: null, oldest: null, written: 0, complete: false };
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    // Without a checkpoint, an existing file is a leftover that cannot be resumed
+    fs.writeFileSync(outputFile, '');
+    console.log(chalk.blue(`📦 Archiving ${timeline}${options.tag ? ` #${options.tag}` : ''} timeline of ${instance} to ${outputFile}`));
+  }
+
+  try {
+    const statuses = iterateTimeline(instance, {
+      timeline,
+      tag: options.tag,
+      until: options.until,
+      maxId: checkpoint.lastId || undefined,
+      maxItems: maxItems - checkpoint.written,
+      pageSize: options.pageSize
+    });
+
+    for await (const status of statuses) {
+      const record = format === 'as2' ? convertToActivityPub(status) : status;
+      fs.appendFileSync(outputFile, `${JSON.stringify(record)}\n`);
+
+      checkpoint = { ...checkpoint, lastId: status.id, oldest: status.created_at, written: checkpoint.written + 1, updatedAt: new Date().toISOString() };
+      writeJsonFile(checkpointFile, checkpoint);
+    }
+
+    checkpoint = { ...checkpoint, complete: true, updatedAt: new Date().toISOString() };
+    writeJsonFile(checkpointFile, checkpoint);
+    console.log(chalk.green(`✅ Archived ${checkpoint.written} statuses${checkpoint.oldest ? ` back to ${checkpoint.oldest}` : ''}`));
+    return checkpoint;
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Archive interrupted after ${checkpoint.written} statuses, run again to resume:`));
+    console.error(chalk.red(error.message));
+    throw error;
+  }
+}
+
+/**
+ * Read an archive back
+ * @param {string} filePath - JSONL file
+ * @returns {Array<Object>} One record per line
+ */
+function readArchive(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Start a local stand-in for a Mastodon instance with a paged hashtag timeline
+ * @param {Array<Object>} statuses - Statuses, newest first
+ * @param {Object} behavior - Failure injection
+ * @param {number} behavior.failOnRequest - Answer this request (1-based) with 503
+ * @returns {Promise<Object>} { server, url, requests, close() }
+ */
+function startMockTimelineServer(statuses, behavior = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${server.address().port}`);
+    requests.push(req.url);
+
+    if (requests.length === behavior.failOnRequest) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Service Unavailable' }));
+    }
+
+    const limit = Math.min(Number(url.searchParams.get('limit') || 20), 40);
+    const maxId = url.searchParams.get('max_id');
+    const minId = url.searchParams.get('min_id');
+    const sinceId = url.searchParams.get('since_id');
+
+    // Ids have equal length here, so string comparison orders them
+    let page = statuses.filter(status => (!maxId || status.id < maxId) && (!sinceId || status.id > sinceId));
+    if (minId) {
+      page = page.filter(status => status.id > minId).slice(-limit);
+    } else {
+      page = page.slice(0, limit);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (page.length > 0) {
+      const link = (name, id) => {
+        const target = new URL(url);
+        ['max_id', 'min_id', 'since_id'].forEach(param => target.searchParams.delete(param));
+        target.searchParams.set(name, id);
+        return `<${target}>`;
+      };
+      headers.Link = `${link('max_id', page[page.length - 1].id)}; rel="next", ${link('min_id', page[0].id)}; rel="prev"`;
+    }
+
+    res.writeHead(200, headers);
+    res.end(JSON.stringify(page));
+  });
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => {
+    const url = `http://localhost:${server.address().port}`;
+    resolve({ server, url, requests, close: () => new Promise(done => server.close(done)) });
+  }));
+}
+
+/**
+ * Build course discussion statuses, one every six hours going back from 10 October 2024
+ * @param {number} count - Number of statuses
+ * @returns {Array<Object>} Mastodon statuses, newest first
+ */
+function createExampleStatuses(count) {
+  const account = { id: '1', username: 'professor', acct: 'professor@mastodon.social', url: 'https://mastodon.social/@professor', uri: 'https://mastodon.social/users/professor' };
+
+  return Array.from({ length: count }, (_, index) => {
+    const id = `1133000000000${String(count - index).padStart(5, '0')}`;
+    return {
+      id,
+      uri: `https://mastodon.social/users/professor/statuses/${id}`,
+      url: `https://mastodon.social/@professor/${id}`,
+      created_at: new Date(Date.UTC(2024, 9, 10) - index * 6 * 60 * 60 * 1000).toISOString(),
+      visibility: 'public',
+      language: 'de',
+      content: `<p>Frage ${count - index} zur Vorlesung <a href="https://mastodon.social/tags/activitypubkurs" class="mention hashtag" rel="tag">#<span>ActivityPubKurs</span></a></p>`,
+      account,
+      mentions: [],
+      tags: [{ name: 'activitypubkurs', url: 'https://mastodon.social/tags/activitypubkurs' }],
+      emojis: [],
+      media_attachments: [],
+      replies_count: 0,
+      reblogs_count: 0,
+      favourites_count: 0
+    };
+  });
+}
+
+/**
+ * Archive a local hashtag timeline, survive an outage and resume from the checkpoint
+ */
+async function runArchiveDemo() {
+  console.log(chalk.magenta('🚀 Starting Timeline Archive Demo\n'));
+
+  const statuses = createExampleStatuses(25);
+  const outputFile = path.join(ARCHIVE_DIR, 'demo-activitypubkurs.jsonl');
+  const checkpointFile = `${outputFile}.checkpoint.json`;
+  fs.rmSync(checkpointFile, { force: true });
+
+  // Fourth request fails, after 15 of the 20 statuses before the date boundary
+  const mock = await startMockTimelineServer(statuses, { failOnRequest: 4 });
+  const options = { timeline: 'hashtag', tag: 'activitypubkurs', until: '2024-10-05T06:00:00Z', pageSize: 5, format: 'as2', outputFile, checkpointFile };
+
+  try {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow('🔗 Link header of the first page:'));
+    const first = await axios.get(`${mock.url}/api/v1/timelines/tag/activitypubkurs`, { params: { limit: 5 } });
+    console.log(chalk.white(JSON.stringify(parseLinkHeader(first.headers.link), null, 2)));
+    mock.requests.length = 0;
+
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow('📥 First run (the instance fails on request 4):'));
+    try {
+      await archiveTimeline(mock.url, options);
+    } catch (error) {
+      console.log(chalk.gray(`   checkpoint: ${JSON.stringify(readJsonFile(checkpointFile))}`));
+    }
+
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow('📥 Second run:'));
+    await archiveTimeline(mock.url, options);
+    console.log(chalk.gray(`   requests: ${mock.requests.join(', ')}`));
+
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow('📥 Third run:'));
+    await archiveTimeline(mock.url, options);
+
+    const records = readArchive(outputFile);
+    const unique = new Set(records.map(record => record.id));
+    console.log(chalk.cyan(`\n📊 ${outputFile}: ${records.length} lines, ${unique.size} distinct statuses`));
+    console.log(chalk.white(`   newest: ${records[0].published}  ${records[0].id}`));
+    console.log(chalk.white(`   oldest: ${records[records.length - 1].published}  ${records[records.length - 1].id}`));
+  } finally {
+    await mock.close();
+  }
+}
+
+// Educational information
+function printArchiveInfo() {
+  console.log(chalk.cyan('📚 Paging through Mastodon Timelines:'));
+  console.log(chalk.white('Timelines return at most 40 statuses per request; older ones need paging.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- max_id pages backwards, min_id and since_id page forwards'));
+  console.log(chalk.white('- The Link header carries ready-made rel="next" and rel="prev" URLs'));
+  console.log(chalk.white('- JSONL stores one status per line and can be appended to safely'));
+  console.log(chalk.white('- A checkpoint with the last archived id makes long archives resumable\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  const [instance, timeline, tag] = process.argv.slice(2);
+  printArchiveInfo();
+
+  if (instance) {
+    // e.g. "mastodon.social hashtag activitypub", limited by ARCHIVE_UNTIL / ARCHIVE_MAX_ITEMS
+    archiveTimeline(instance, { timeline, tag, until: ARCHIVE_UNTIL }).catch(() => {
+      process.exitCode = 1;
+    });
+  } else {
+    runArchiveDemo().catch(console.error);
+  }
+}
+
+module.exports = { archiveTimeline, readArchive };
\ No newline at end of file
@@ -0,0 +1,497 @@
+/**
+ * ActivityPub Learning Setup - Safe HTML Content
+ *
+ * ActivityPub content is HTML written by strangers. This module escapes our own
+ * untrusted input when building Note HTML, sanitizes remote HTML down to the tags
+ * Mastodon keeps, and renders content as plain text or Markdown for the console.
+ */
+
+const chalk = require('chalk');
+
+// Configuration
+// Mastodon's allowlist for remote content: tag → allowed attributes
+const ALLOWED_TAGS = {
+  p: [], br: [], span: ['class'], a: ['href', 'rel', 'class'],
+  del: [], s: [], pre: [], code: [], blockquote: [],
+  b: [], strong: [], i: [], em: [], u: [],
+  ul: [], ol: ['start', 'reversed'], li: ['value']
+};
+
+// Block elements outside the allowlist become paragraphs instead of running text together
+const BLOCK_FALLBACKS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'section', 'article', 'header', 'footer'];
+
+// Elements whose content is never shown
+const DROPPED_CONTENT_TAGS = ['script', 'style', 'template', 'iframe', 'object', 'noscript', 'textarea', 'title'];
+
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'link', 'source', 'wbr'];
+
+// Link protocols Mastodon keeps; javascript:, data: etc. are removed
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'dat:', 'dweb:', 'ipfs:', 'ipns:', 'ssb:', 'gopher:', 'xmpp:', 'magnet:', 'gemini:'];
+const ALLOWED_RELS = ['tag', 'me', 'nofollow', 'noopener', 'noreferrer', 'ugc'];
+
+// Classes used by Mastodon's link and mention markup
+const ALLOWED_CLASSES = ['mention', 'hashtag', 'ellipsis', 'invisible'];
+const ALLOWED_CLASS_PREFIXES = ['h-', 'p-', 'u-', 'dt-', 'e-'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', bdquo: '„', ldquo: '“', rdquo: '”',
+  lsquo: '‘', rsquo: '’', copy: '©', reg: '®', shy: '­', euro: '€', auml: 'ä', ouml: 'ö',
+  uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß'
+};
+
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} text - Untrusted text (null/undefined become "")
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode HTML entities (named entities outside NAMED_ENTITIES are left as they are)
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '�';
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Check that a URL uses a protocol that is safe to link to
+ * @param {string} url - URL
+ * @returns {boolean} Whether it may be used as href
+ */
+function isSafeUrl(url) {
+  try {
+    return ALLOWED_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a link from untrusted values; unsafe URLs are shown as text only
+ * @param {string} url - Link target
+ * @param {string} text - Link text (default: the URL)
+ * @returns {string} HTML
+ */
+function linkHtml(url, text = url) {
+  if (!isSafeUrl(url)) {
+    return escapeHtml(text);
+  }
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+/**
+ * Turn plain text into paragraphs the way Mastodon formats statuses
+ * @param {string} text - Plain text
+ * @returns {string} HTML with <p> per paragraph and <br> per line break
+ */
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0)
+    .map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Split HTML into text and tag tokens
+ * Comments, doctypes and the content of DROPPED_CONTENT_TAGS are skipped.
+ * @param {string} html - HTML fragment
+ * @returns {Array<Object>} { type: 'text', text } | { type: 'start', name, attributes } | { type: 'end', name }
+ */
+function tokenizeHtml(html) {
+  const source = String(html || '');
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const next = source.indexOf('<', index);
+    if (next !== index) {
+      const end = next === -1 ? source.length : next;
+      tokens.push({ type: 'text', text: decodeEntities(source.slice(index, end)) });
+      index = end;
+      continue;
+    }
+
+    const rest = source.slice(index);
+    if (rest.startsWith('<!--')) {
+      const close = source.indexOf('-->', index + 4);
+      index = close === -1 ? source.length : close + 3;
+      continue;
+    }
+
+    const match = TAG_PATTERN.exec(rest);
+    if (!match) {
+      if (/^<[!?/]/.test(rest)) {
+        // Doctype, processing instruction or broken end tag
+        const close = source.indexOf('>', index);
+        index = close === -1 ? source.length : close + 1;
+      } else {
+        tokens.push({ type: 'text', text: '<' });
+        index++;
+      }
+      continue;
+    }
+
+    const name = match[2].toLowerCase();
+    index += match[0].length;
+
+    if (match[1]) {
+      tokens.push({ type: 'end', name });
+      continue;
+    }
+
+    const attributes = {};
+    let attribute;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((attribute = ATTRIBUTE_PATTERN.exec(match[3])) !== null) {
+      const value = attribute[2] !== undefined ? attribute[2] : (attribute[3] !== undefined ? attribute[3] : attribute[4]);
+      attributes[attribute[1].toLowerCase()] = decodeEntities(value || '');
+    }
+    tokens.push({ type: 'start', name, attributes });
+
+    if (DROPPED_CONTENT_TAGS.includes(name)) {
+      const close = source.toLowerCase().indexOf(`</${name}`, index);
+      index = close === -1 ? source.length : source.indexOf('>', close) + 1 || source.length;
+      tokens.push({ type: 'end', name });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Keep only the attributes and values Mastodon allows for a tag
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Parsed attributes
+ * @returns {string} Serialized attributes with a leading space, or ""
+ */
+function sanitizeAttributes(name, attributes) {
+  const kept = [];
+
+  // Input order is kept, so already clean HTML comes out unchanged
+  Object.keys(attributes).filter(attribute => ALLOWED_TAGS[name].includes(attribute)).forEach(attribute => {
+    let value = attributes[attribute];
+    if (attribute === 'href' && !isSafeUrl(value)) {
+      return;
+    }
+    if (attribute === 'rel') {
+      value = value.toLowerCase().split(/\s+/).filter(rel => ALLOWED_RELS.includes(rel)).join(' ');
+    }
+    if (attribute === 'class') {
+      value = value.split(/\s+/)
+        .filter(cls => ALLOWED_CLASSES.includes(cls) || ALLOWED_CLASS_PREFIXES.some(prefix => cls.startsWith(prefix)))
+        .join(' ');
+    }
+    if (['start', 'value'].includes(attribute) && !/^-?\d+$/.test(value)) {
+      return;
+    }
+    if (attribute === 'reversed') {
+      kept.push(' reversed');
+      return;
+    }
+    if (value) {
+      kept.push(` ${attribute}="${escapeHtml(value)}"`);
+    }
+  });
+
+  return kept.join('');
+}
+
+/**
+ * Sanitize remote HTML down to the elements and attributes Mastodon keeps
+ * Other elements are removed but their text stays; scripts, styles and comments
+ * disappear entirely. The output is rebuilt from parsed tokens and always well-formed.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+  const output = [];
+  const open = [];
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.type === 'text') {
+      output.push(escapeHtml(token.text));
+      return;
+    }
+
+    const name = BLOCK_FALLBACKS.includes(token.name) ? 'p' : token.name;
+    if (!ALLOWED_TAGS[name]) {
+      return;
+    }
+    // A link to javascript: and the like keeps only its text
+    if (name === 'a' && token.type === 'start' && !isSafeUrl(token.attributes.href)) {
+      open.push(null);
+      return;
+    }
+
+    if (token.type === 'start') {
+      if (VOID_TAGS.includes(name)) {
+        output.push(`<${name}>`);
+      } else {
+        output.push(`<${name}${sanitizeAttributes(name, token.attributes)}>`);
+        open.push(name);
+      }
+      return;
+    }
+
+    // Close everything opened since the matching start tag; stray end tags are dropped
+    const position = name === 'a' ? Math.max(open.lastIndexOf('a'), open.lastIndexOf(null)) : open.lastIndexOf(name);
+    if (position === -1) {
+      return;
+    }
+    open.splice(position).reverse().forEach(tag => {
+      if (tag) {
+        output.push(`</${tag}>`);
+      }
+    });
+  });
+
+  open.reverse().forEach(tag => {
+    if (tag) {
+      output.push(`</${tag}>`);
+    }
+  });
+
+  return output.join('');
+}
+
+/**
+ * Escape characters that Markdown would interpret
+ * @param {string} text - Plain text
+ * @returns {string} Markdown-safe text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Render HTML content as plain text or Markdown
+ * @param {string} html - HTML content (remote or our own)
+ * @param {string} format - "text" or "markdown"
+ * @returns {string} Rendered content
+ */
+function renderHtml(html, format) {
+  const markdown = format === 'markdown';
+  const links = [];
+  const lists = [];
+  const quotes = [];
+  let output = '';
+  let preformatted = 0;
+  let code = 0;
+
+  const paragraphBreak = () => {
+    if (output.trim()) {
+      output = output.replace(/[ \t]+$/, '').replace(/\n*$/, '\n\n');
+    }
+  };
+  const markup = text => {
+    if (markdown) {
+      output += text;
+    }
+  };
+
+  // Sanitizing first drops scripts and unsafe links and closes every open tag
+  tokenizeHtml(sanitizeHtml(html)).forEach(token => {
+    if (token.type === 'text') {
+      const text = preformatted ? token.text : token.text.replace(/\s+/g, ' ');
+      output += markdown && !preformatted && !code ? escapeMarkdown(text) : text;
+      return;
+    }
+
+    const start = token.type === 'start';
+    switch (token.name) {
+      case 'br':
+        output = output.replace(/ +$/, '') + '\n';
+        break;
+      case 'p':
+        paragraphBreak();
+        break;
+      case 'ul': case 'ol':
+        if (start) {
+          lists.push({ ordered: token.name === 'ol', count: Number(token.attributes.start || 1) - 1 });
+        } else {
+          lists.pop();
+        }
+        paragraphBreak();
+        break;
+      case 'li':
+        if (start) {
+          const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+          list.count++;
+          if (output.trim() && !output.endsWith('\n')) {
+            output += '\n';
+          }
+          output += '  '.repeat(Math.max(lists.length - 1, 0)) + (list.ordered ? `${list.count}. ` : '- ');
+        }
+        break;
+      case 'blockquote':
+        paragraphBreak();
+        if (start) {
+          quotes.push(output.length);
+        } else if (quotes.length > 0) {
+          const from = quotes.pop();
+          output = output.slice(0, from) + output.slice(from).trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+          paragraphBreak();
+        }
+        break;
+      case 'pre':
+        paragraphBreak();
+        preformatted += start ? 1 : -1;
+        markup(start ? '```\n' : '\n```');
+        if (!start) {
+          paragraphBreak();
+        }
+        break;
+      case 'code':
+        code += start ? 1 : -1;
+        if (!preformatted) {
+          markup('`');
+        }
+        break;
+      case 'strong': case 'b':
+        markup('**');
+        break;
+      case 'em': case 'i':
+        markup('*');
+        break;
+      case 'del': case 's':
+        markup('~~');
+        break;
+      case 'a':
+        if (start) {
+          links.push({ from: output.length, href: token.attributes.href, className: token.attributes.class || '' });
+        } else if (links.length > 0) {
+          const link = links.pop();
+          const rendered = output.slice(link.from);
+          const text = rendered.replace(/\\([\\`*_[\]])/g, '$1').trim();
+          const href = isSafeUrl(link.href) ? link.href : null;
+          // Mastodon hides "https://" and long URL tails in invisible spans; the text is still the URL
+          const isUrlText = href && (text === href || href.replace(/^[a-z]+:\/\//, '').startsWith(text.replace(/^[a-z]+:\/\//, '').replace(/…$/, '')));
+          let replacement = rendered;
+          if (href && isUrlText) {
+            replacement = href;
+          } else if (href && markdown) {
+            replacement = `[${rendered.trim()}](${href})`;
+          } else if (href && !/\b(mention|hashtag)\b/.test(link.className)) {
+            replacement = `${rendered.trim()} (${href})`;
+          }
+          output = output.slice(0, link.from) + replacement;
+        }
+        break;
+      default:
+        // Unknown elements only contribute their text
+        break;
+    }
+  });
+
+  return output
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render HTML content as plain text, keeping links, mentions and hashtags readable
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return renderHtml(html, 'text');
+}
+
+/**
+ * Render HTML content as Markdown with links, mentions and hashtags as Markdown links
+ * @param {string} html - HTML content
+ * @returns {string} Markdown
+ */
+function htmlToMarkdown(html) {
+  return renderHtml(html, 'markdown');
+}
+
+/**
+ * Sanitize hostile remote HTML and render content in every format
+ */
+function runContentDemo() {
+  console.log(chalk.magenta('🚀 Starting Safe HTML Content Demo\n'));
+
+  const examples = {
+    'Mastodon status with mention, hashtag and shortened link':
+      '<p>Slides for <span class="h-card"><a href="https://fosstodon.org/@alice_cs" class="u-url mention">@<span>alice_cs</span></a></span>: ' +
+      '<a href="https://learning-platform.uni.edu/courses/distributed-systems/slides/week-3" rel="nofollow noopener noreferrer" target="_blank">' +
+      '<span class="invisible">https://</span><span class="ellipsis">learning-platform.uni.edu/cours</span><span class="invisible">es/distributed-systems/slides/week-3</span></a> ' +
+      '<a href="https://mastodon.social/tags/ActivityPub" class="mention hashtag" rel="tag">#<span>ActivityPub</span></a></p><p>Q&amp;A on Thursday &lt;3</p>',
+    'Hostile remote HTML':
+      '<h2 onclick="steal()">Exam tips</h2><script>alert(document.cookie)</script>' +
+      '<p style="position:fixed">Read <a href="javascript:alert(1)">this</a> and <img src=x onerror="alert(1)">' +
+      '<a href="https://example.edu/a_b" class="btn" target="_blank">that</a><!-- tracking --></p>' +
+      '<ul><li><strong>first</strong></li><li><em>second</em> <code>x*y</code></li></ul><blockquote><p>Quoted <del>text</del></p></blockquote><div>Unclosed <b>bold'
+  };
+
+  for (const [title, html] of Object.entries(examples)) {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`📥 ${title}:`));
+    console.log(chalk.gray(html));
+    console.log(chalk.green('\n🧼 Sanitized:'));
+    console.log(chalk.white(sanitizeHtml(html)));
+    console.log(chalk.green('\n📝 Plain text:'));
+    console.log(chalk.white(htmlToText(html)));
+    console.log(chalk.green('\n📝 Markdown:'));
+    console.log(chalk.white(htmlToMarkdown(html)));
+    console.log('\n');
+  }
+
+  console.log(chalk.blue('='.repeat(60)));
+  console.log(chalk.yellow('📤 Building Note HTML from an untrusted webhook title:'));
+  const title = 'Intro <img src=x onerror=alert(1)> & "Quotes"';
+  console.log(chalk.white(`<p>🎯 ${escapeHtml(title)}</p>`));
+  console.log(chalk.white(`<p>${linkHtml('javascript:alert(1)', 'Watch now')} / ${linkHtml('https://learning-platform.uni.edu/videos/123')}</p>`));
+  console.log(chalk.white(textToHtml('First line\nsecond line <b>not bold</b>\n\nNew paragraph')));
+}
+
+// Educational information
+function printContentInfo() {
+  console.log(chalk.cyan('📚 HTML in ActivityPub content:'));
+  console.log(chalk.white('content and summary are HTML, and remote servers decide what is in them.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Escape every untrusted value before putting it into HTML'));
+  console.log(chalk.white('- Sanitize remote HTML to an allowlist (p, br, a, span, lists, code, ...)'));
+  console.log(chalk.white('- Only http(s) and a few other protocols may appear in links'));
+  console.log(chalk.white('- Mastodon hides parts of long URLs in invisible spans; the href is the real link\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printContentInfo();
+  runContentDemo();
+}
+
+module.exports = {
+  escapeHtml,
+  linkHtml,
+  textToHtml,
+  sanitizeHtml,
+  htmlToText,
+  htmlToMarkdown
+};
\ No newline at end of file
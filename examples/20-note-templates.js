@@ -0,0 +1,472 @@
+/**
+ * ActivityPub Learning Setup - Note Templates
+ *
+ * Turns learning platform events into Note content: one template per event type and
+ * locale, chosen by the course language. Placeholders are escaped, URLs become links,
+ * and the text is shortened to the instance's character limit, counted the way
+ * Mastodon counts it, without ever dropping the hashtags.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const chalk = require('chalk');
+const { escapeHtml, linkHtml, htmlToText } = require('./19-html-content');
+
+// Configuration
+const NOTE_CHARACTER_LIMIT = Number(process.env.NOTE_CHARACTER_LIMIT || 500);
+const NOTE_TEMPLATES_FILE = process.env.NOTE_TEMPLATES_FILE || null;
+const COURSE_TIME_ZONE = process.env.COURSE_TIME_ZONE || 'Europe/Berlin';
+const DEFAULT_LOCALE = 'en';
+
+// Mastodon counts every http(s) URL as 23 characters, however long it is
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+// Mentions only count their local part (@alice_cs@fosstodon.org → @alice_cs)
+const MENTION_PATTERN = /(^|[^\w/])@(\w+)@[\w.-]+\w/g;
+
+// Values placeholders may use; anything else in a template is an error
+const PLACEHOLDERS = [
+  'course.id', 'course.name', 'course.hashtag',
+  'professor.name', 'professor.mastodonHandle',
+  'video.id', 'video.title', 'video.description', 'video.duration', 'video.url', 'video.thumbnail',
+  'assignment.id', 'assignment.title', 'assignment.description', 'assignment.url', 'assignment.dueAt', 'assignment.previousDueAt',
+  'lecture.id', 'lecture.title', 'lecture.startTime', 'lecture.endTime', 'lecture.location', 'lecture.reason',
+  'livestream.id', 'livestream.title', 'livestream.description', 'livestream.url', 'livestream.startTime', 'livestream.endTime'
+];
+// Placeholders rendered as links instead of text
+const URL_PLACEHOLDERS = ['video.url', 'video.thumbnail', 'assignment.url', 'livestream.url'];
+// Placeholders holding ISO-8601 dates, shown in the course locale and time zone
+const DATE_PLACEHOLDERS = [
+  'assignment.dueAt', 'assignment.previousDueAt',
+  'lecture.startTime', 'lecture.endTime', 'livestream.startTime', 'livestream.endTime'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Built-in templates: event type → locale → template, or the name of another event type
+ * name: optional plain-text title (used for Events)
+ * paragraphs: HTML with {{placeholders}}; a paragraph whose placeholders are empty is left out
+ * hashtags: always kept, in this order
+ * truncate: placeholders to shorten, in this order, when the text is over the limit
+ */
+const NOTE_TEMPLATES = {
+  'video.uploaded': {
+    en: {
+      paragraphs: [
+        '🎬 <strong>New Video Available!</strong>',
+        '📚 <strong>Course:</strong> {{course.name}}',
+        '🎯 <strong>Title:</strong> {{video.title}}',
+        '📝 <strong>Description:</strong> {{video.description}}',
+        '⏱️ <strong>Duration:</strong> {{video.duration}}',
+        '🔗 <strong>Watch now:</strong> {{video.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'UniversityLearning', 'NewContent'],
+      truncate: ['video.description', 'video.title']
+    },
+    de: {
+      paragraphs: [
+        '🎬 <strong>Neues Video verfügbar!</strong>',
+        '📚 <strong>Kurs:</strong> {{course.name}}',
+        '🎯 <strong>Titel:</strong> {{video.title}}',
+        '📝 <strong>Beschreibung:</strong> {{video.description}}',
+        '⏱️ <strong>Dauer:</strong> {{video.duration}}',
+        '🔗 <strong>Jetzt ansehen:</strong> {{video.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'Hochschullehre', 'NeuesVideo'],
+      truncate: ['video.description', 'video.title']
+    }
+  },
+  // An update edits the original announcement, so it keeps its wording
+  'video.updated': 'video.uploaded',
+  'assignment.published': {
+    en: {
+      paragraphs: [
+        '📝 <strong>New Assignment:</strong> {{assignment.title}}',
+        '📚 <strong>Course:</strong> {{course.name}}',
+        '{{assignment.description}}',
+        '⏰ <strong>Due:</strong> {{assignment.dueAt}}',
+        '🔗 {{assignment.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'UniversityLearning', 'Assignment'],
+      truncate: ['assignment.description', 'assignment.title']
+    },
+    de: {
+      paragraphs: [
+        '📝 <strong>Neue Aufgabe:</strong> {{assignment.title}}',
+        '📚 <strong>Kurs:</strong> {{course.name}}',
+        '{{assignment.description}}',
+        '⏰ <strong>Abgabe bis:</strong> {{assignment.dueAt}}',
+        '🔗 {{assignment.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'Hochschullehre', 'Aufgabe'],
+      truncate: ['assignment.description', 'assignment.title']
+    }
+  },
+  'deadline.changed': {
+    en: {
+      paragraphs: [
+        '📝 <strong>Assignment:</strong> {{assignment.title}}',
+        '📚 <strong>Course:</strong> {{course.name}}',
+        '{{assignment.description}}',
+        '⏰ <strong>Due:</strong> {{assignment.dueAt}}',
+        '⚠️ <strong>Deadline changed</strong> (was {{assignment.previousDueAt}})',
+        '🔗 {{assignment.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'UniversityLearning', 'Assignment'],
+      truncate: ['assignment.description', 'assignment.title']
+    },
+    de: {
+      paragraphs: [
+        '📝 <strong>Aufgabe:</strong> {{assignment.title}}',
+        '📚 <strong>Kurs:</strong> {{course.name}}',
+        '{{assignment.description}}',
+        '⏰ <strong>Abgabe bis:</strong> {{assignment.dueAt}}',
+        '⚠️ <strong>Abgabefrist geändert</strong> (vorher {{assignment.previousDueAt}})',
+        '🔗 {{assignment.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'Hochschullehre', 'Aufgabe'],
+      truncate: ['assignment.description', 'assignment.title']
+    }
+  },
+  'lecture.cancelled': {
+    en: {
+      name: 'Cancelled: {{lecture.title}}',
+      paragraphs: [
+        '❌ <strong>Lecture cancelled:</strong> {{lecture.title}}',
+        '📚 <strong>Course:</strong> {{course.name}}',
+        '📅 {{lecture.startTime}}',
+        '📍 {{lecture.location}}',
+        '💬 {{lecture.reason}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'UniversityLearning'],
+      truncate: ['lecture.reason', 'lecture.title']
+    },
+    de: {
+      name: 'Abgesagt: {{lecture.title}}',
+      paragraphs: [
+        '❌ <strong>Vorlesung fällt aus:</strong> {{lecture.title}}',
+        '📚 <strong>Kurs:</strong> {{course.name}}',
+        '📅 {{lecture.startTime}}',
+        '📍 {{lecture.location}}',
+        '💬 {{lecture.reason}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'Hochschullehre'],
+      truncate: ['lecture.reason', 'lecture.title']
+    }
+  },
+  'livestream.starting': {
+    en: {
+      name: '{{livestream.title}}',
+      paragraphs: [
+        '🔴 <strong>Live stream starting:</strong> {{livestream.title}}',
+        '📚 <strong>Course:</strong> {{course.name}}',
+        '{{livestream.description}}',
+        '🕒 {{livestream.startTime}}',
+        '🔗 <strong>Join:</strong> {{livestream.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'UniversityLearning', 'Livestream'],
+      truncate: ['livestream.description', 'livestream.title']
+    },
+    de: {
+      name: '{{livestream.title}}',
+      paragraphs: [
+        '🔴 <strong>Livestream startet:</strong> {{livestream.title}}',
+        '📚 <strong>Kurs:</strong> {{course.name}}',
+        '{{livestream.description}}',
+        '🕒 {{livestream.startTime}}',
+        '🔗 <strong>Jetzt dabei sein:</strong> {{livestream.url}}'
+      ],
+      hashtags: ['{{course.hashtag}}', 'Hochschullehre', 'Livestream'],
+      truncate: ['livestream.description', 'livestream.title']
+    }
+  }
+};
+
+/**
+ * Load the templates, with overrides from a JSON file of the same shape
+ * Template HTML is trusted configuration; only placeholder values are escaped.
+ * @param {string} filePath - JSON file (default: NOTE_TEMPLATES_FILE)
+ * @returns {Object} Templates by event type and locale
+ */
+function loadNoteTemplates(filePath = NOTE_TEMPLATES_FILE) {
+  const templates = JSON.parse(JSON.stringify(NOTE_TEMPLATES));
+  if (!filePath) {
+    return templates;
+  }
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [eventType, locales] of Object.entries(overrides)) {
+      // Aliases (strings) replace the entry, locale objects are merged into it
+      templates[eventType] = typeof locales === 'string' || typeof templates[eventType] !== 'object'
+        ? locales
+        : { ...templates[eventType], ...locales };
+    }
+    return templates;
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to load note templates from ${filePath}:`));
+    console.error(chalk.red(error.message));
+    throw error;
+  }
+}
+
+/**
+ * Build a hashtag from a course name ("Verteilte Systeme (WS 24/25)" → "VerteilteSystemeWS2425")
+ * @param {string} name - Course name
+ * @returns {string} Hashtag without "#"
+ */
+function courseHashtag(name) {
+  return String(name || '').replace(/[^\p{L}\p{N}_]/gu, '');
+}
+
+/**
+ * Count characters the way Mastodon checks the status length limit
+ * @param {string} text - Plain text of the status
+ * @returns {number} Counted length
+ */
+function countStatusCharacters(text) {
+  const countable = text
+    .replace(URL_PATTERN, 'x'.repeat(URL_LENGTH))
+    .replace(MENTION_PATTERN, '$1@$2');
+  // Emoji with modifiers and combined characters count once
+  return [...new Intl.Segmenter().segment(countable)].length;
+}
+
+/**
+ * Shorten text to at most a number of characters, preferring a word boundary
+ * @param {string} text - Text
+ * @param {number} length - Maximum length including the ellipsis
+ * @returns {string} Shortened text ending in "…", or "" when nothing fits
+ */
+function shortenText(text, length) {
+  if (length <= 1) {
+    return '';
+  }
+  const characters = [...text];
+  if (characters.length <= length) {
+    return text;
+  }
+  const cut = characters.slice(0, length - 1).join('');
+  const boundary = cut.search(/\s\S*$/);
+  // Fall back to a hard cut when the last word is very long
+  const shortened = boundary > cut.length - 20 ? cut.slice(0, boundary) : cut;
+  return `${shortened.replace(/[\s,.;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Format an ISO-8601 date for people in the course
+ * @param {string} value - ISO-8601 date
+ * @param {string} locale - Locale, e.g. "de"
+ * @returns {string} Localized date and time, or the value itself if it is not a date
+ */
+function formatDate(value, locale) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short', timeZone: COURSE_TIME_ZONE }).format(date);
+}
+
+/**
+ * Get the placeholder values for a webhook payload
+ * @param {Object} payload - Webhook payload
+ * @param {string} locale - Locale for dates
+ * @returns {Object<string, string>} Value per placeholder
+ */
+function placeholderValues(payload, locale) {
+  const values = {};
+
+  PLACEHOLDERS.forEach(placeholder => {
+    const [section, field] = placeholder.split('.');
+    let value = placeholder === 'course.hashtag'
+      ? courseHashtag(payload.course && payload.course.name)
+      : payload[section] && payload[section][field];
+    // Places and similar objects are shown by name
+    if (value && typeof value === 'object') {
+      value = value.name;
+    }
+    if (value === undefined || value === null || typeof value === 'object') {
+      value = '';
+    }
+    values[placeholder] = value && DATE_PLACEHOLDERS.includes(placeholder) ? formatDate(value, locale) : String(value);
+  });
+
+  return values;
+}
+
+/**
+ * Fill placeholders in a template string
+ * @param {string} template - Template with {{placeholders}}
+ * @param {Object<string, string>} values - Placeholder values
+ * @param {boolean} asHtml - Escape values and link URLs (false: raw values, e.g. for hashtags)
+ * @returns {{text: string, empty: boolean}} Result and whether any placeholder was empty
+ */
+function fillTemplate(template, values, asHtml) {
+  let empty = false;
+
+  const text = template.replace(PLACEHOLDER_PATTERN, (match, placeholder) => {
+    if (!PLACEHOLDERS.includes(placeholder)) {
+      throw new Error(`Unknown placeholder {{${placeholder}}} (allowed: ${PLACEHOLDERS.join(', ')})`);
+    }
+    const value = values[placeholder];
+    if (!value) {
+      empty = true;
+      return '';
+    }
+    if (!asHtml) {
+      return value;
+    }
+    return URL_PLACEHOLDERS.includes(placeholder) ? linkHtml(value) : escapeHtml(value);
+  });
+
+  return { text, empty };
+}
+
+/**
+ * Render the Note content for an event
+ * @param {string} eventType - Event type, e.g. "video.uploaded"
+ * @param {Object} payload - Webhook payload with video, course and professor
+ * @param {Object} options - Rendering options
+ * @param {string} options.locale - Locale (default: payload.course.language, falling back to "en")
+ * @param {number} options.characterLimit - Character budget (default: NOTE_CHARACTER_LIMIT or 500)
+ * @param {Object} options.templates - Templates (default: loadNoteTemplates())
+ * @returns {{language: string, name: string|null, content: string, hashtags: Array<string>, length: number, truncated: Array<string>}} Rendered content
+ */
+function renderNoteTemplate(eventType, payload, options = {}) {
+  const templates = options.templates || loadNoteTemplates();
+  const characterLimit = options.characterLimit || NOTE_CHARACTER_LIMIT;
+  const locales = typeof templates[eventType] === 'string' ? templates[templates[eventType]] : templates[eventType];
+
+  if (!locales) {
+    throw new Error(`No note template for event type "${eventType}"`);
+  }
+
+  const requested = options.locale || (payload.course && payload.course.language) || DEFAULT_LOCALE;
+  let language = String(requested).toLowerCase().split(/[-_]/)[0];
+  if (!locales[language]) {
+    console.log(chalk.yellow(`⚠️ No "${requested}" template for ${eventType}, using "${DEFAULT_LOCALE}"`));
+    language = DEFAULT_LOCALE;
+  }
+  const template = locales[language];
+  if (!template) {
+    throw new Error(`No "${DEFAULT_LOCALE}" fallback template for event type "${eventType}"`);
+  }
+
+  const values = placeholderValues(payload, language);
+  const hashtags = (template.hashtags || [])
+    .map(hashtag => fillTemplate(hashtag, values, false).text)
+    .filter(Boolean);
+  const hashtagParagraph = hashtags.length > 0 ? `<p>${hashtags.map(hashtag => `#${escapeHtml(hashtag)}`).join(' ')}</p>` : '';
+
+  const render = () => template.paragraphs
+    .map(paragraph => fillTemplate(paragraph, values, true))
+    .filter(paragraph => !paragraph.empty)
+    .map(paragraph => `<p>${paragraph.text}</p>`)
+    .join('') + hashtagParagraph;
+
+  let content = render();
+  let length = countStatusCharacters(htmlToText(content));
+  const truncated = [];
+
+  // Shorten the truncatable fields one after another until the text fits
+  for (const placeholder of template.truncate || []) {
+    if (length <= characterLimit) {
+      break;
+    }
+    if (!values[placeholder]) {
+      continue;
+    }
+    const original = values[placeholder];
+    const fieldLength = countStatusCharacters(original);
+    values[placeholder] = shortenText(original, fieldLength - (length - characterLimit));
+    // Shortening at a word boundary is an estimate; cut further until it fits
+    content = render();
+    length = countStatusCharacters(htmlToText(content));
+    while (length > characterLimit && values[placeholder]) {
+      values[placeholder] = shortenText(values[placeholder], [...values[placeholder]].length - Math.max(length - characterLimit, 1) - 1);
+      content = render();
+      length = countStatusCharacters(htmlToText(content));
+    }
+    truncated.push(placeholder);
+  }
+
+  if (length > characterLimit) {
+    throw new Error(`${eventType} note needs ${length} characters even after shortening ${truncated.join(', ') || 'nothing'}, limit is ${characterLimit}`);
+  }
+
+  const name = template.name ? fillTemplate(template.name, values, false).text : null;
+
+  return { language, name, content, hashtags, length, truncated };
+}
+
+/**
+ * Render the same upload for an English and a German course and with a small budget
+ */
+function runTemplateDemo() {
+  console.log(chalk.magenta('🚀 Starting Note Template Demo\n'));
+
+  const payload = {
+    event: 'video.uploaded',
+    course: { id: 'CS-480', name: 'Verteilte Systeme (WS 24/25)', language: 'de' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' },
+    video: {
+      id: 'activitypub-intro-2024',
+      title: 'Einführung in ActivityPub <Teil 1>',
+      description: 'Wie Server im Fediverse miteinander sprechen: Actors, Inbox und Outbox, ' +
+        'Activities wie Create, Follow und Like, HTTP-Signaturen und WebFinger. ' +
+        'Zum Schluss bauen wir gemeinsam einen kleinen Server, der unsere Vorlesungsvideos an Mastodon ausliefert. ' +
+        'Bitte vorher die Folien aus Woche 2 ansehen und Node.js 20 installieren.',
+      duration: '42:17',
+      url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro?utm_source=fediverse&utm_medium=mastodon'
+    }
+  };
+
+  const examples = [
+    ['German course, 500 characters', payload, {}],
+    ['Same upload for an English course', { ...payload, course: { ...payload.course, name: 'Distributed Systems', language: 'en' } }, {}],
+    ['German course, 200 characters', payload, { characterLimit: 200 }],
+    ['French course (no template)', { ...payload, course: { ...payload.course, language: 'fr' } }, {}]
+  ];
+
+  examples.forEach(([title, data, options]) => {
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`📝 ${title}:`));
+    const rendered = renderNoteTemplate('video.uploaded', data, options);
+    console.log(chalk.white(htmlToText(rendered.content)));
+    console.log(chalk.cyan(`\n   language: ${rendered.language} | counted length: ${rendered.length} | shortened: ${rendered.truncated.join(', ') || 'nothing'}`));
+    console.log(chalk.gray(`   contentMap: { ${rendered.language}: ${rendered.content.length} characters of HTML }\n`));
+  });
+
+  console.log(chalk.blue('='.repeat(60)));
+  console.log(chalk.yellow('🔢 Counting like Mastodon:'));
+  ['Slides: https://learning-platform.uni.edu/courses/distributed-systems/slides/week-3.pdf', 'Danke @alice_cs@fosstodon.org! 👩🏽‍💻']
+    .forEach(text => console.log(chalk.white(`   ${countStatusCharacters(text)} ← ${text}`)));
+}
+
+// Educational information
+function printTemplateInfo() {
+  console.log(chalk.cyan('📚 Note Templates:'));
+  console.log(chalk.white('One template per event type and language keeps announcements consistent.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- contentMap holds the content per language, content the default'));
+  console.log(chalk.white('- Placeholder values are escaped; URLs become links'));
+  console.log(chalk.white('- Mastodon counts URLs as 23 characters and mentions without the domain'));
+  console.log(chalk.white('- Long descriptions are shortened, hashtags are always kept\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printTemplateInfo();
+  runTemplateDemo();
+}
+
+module.exports = {
+  NOTE_TEMPLATES,
+  loadNoteTemplates,
+  courseHashtag,
+  countStatusCharacters,
+  renderNoteTemplate
+};
\ No newline at end of file
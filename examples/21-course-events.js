@@ -0,0 +1,341 @@
+/**
+ * ActivityPub Learning Setup - Course Event Lifecycle
+ *
+ * Maps every learning platform event onto the matching activity: new content is a
+ * Create, changed metadata an Update of the same object, removed videos a Delete with
+ * a Tombstone. Scheduled sessions (lectures, live streams) become AS2 Event objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { createActivityPubActivity } = require('./05-notification-simulation');
+const { createOutboxStore } = require('./08-actor-server');
+const { PUBLIC_COLLECTION } = require('./15-jsonld-normalization');
+const { validateObject, printDiagnostics } = require('./16-as2-validator');
+const { htmlToText } = require('./19-html-content');
+const { renderNoteTemplate } = require('./20-note-templates');
+const { createVideoObject, chooseVideoObjectTypeFor } = require('./22-video-objects');
+const { visibilityFromAddressing, applyAudience, recipientsFromMentions } = require('./lib/addressing');
+const { courseObjectId } = require('./lib/course-ids');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+
+/**
+ * Event type → activity, object type, payload section and its fields
+ * Field types: "string", "id" (URL-safe, see lib/course-ids.js), "url" and "date" (ISO-8601);
+ * a trailing "?" makes the field optional.
+ */
+const COURSE_EVENTS = {
+  'video.uploaded': {
+    activity: 'Create', objectType: 'Note', section: 'video',
+    fields: { id: 'id', title: 'string', description: 'string', duration: 'string', url: 'url', thumbnail: 'url' }
+  },
+  'video.updated': {
+    activity: 'Update', objectType: 'Note', section: 'video',
+    fields: { id: 'id', title: 'string', description: 'string', duration: 'string', url: 'url', thumbnail: 'url' }
+  },
+  'video.removed': {
+    activity: 'Delete', objectType: 'Note', section: 'video',
+    fields: { id: 'id' }
+  },
+  'assignment.published': {
+    activity: 'Create', objectType: 'Note', section: 'assignment',
+    fields: { id: 'id', title: 'string', description: 'string?', url: 'url', dueAt: 'date' }
+  },
+  'deadline.changed': {
+    activity: 'Update', objectType: 'Note', section: 'assignment',
+    fields: { id: 'id', title: 'string', description: 'string?', url: 'url', dueAt: 'date', previousDueAt: 'date?' }
+  },
+  'lecture.cancelled': {
+    activity: 'Update', objectType: 'Event', section: 'lecture',
+    fields: { id: 'id', title: 'string', startTime: 'date', endTime: 'date?', location: 'string', reason: 'string?', url: 'url?' }
+  },
+  'livestream.starting': {
+    activity: 'Create', objectType: 'Event', section: 'livestream',
+    fields: { id: 'id', title: 'string', description: 'string?', url: 'url', startTime: 'date', endTime: 'date?' }
+  }
+};
+
+/**
+ * Build a Note or Event for an event from its template
+ * Videos come from createVideoObject (a Note, or a Video when options.videoObjectType asks for it).
+ * @param {Object} payload - Webhook payload
+ * @param {Object} options - Same options as createCourseActivity
+ * @returns {Object} ActivityPub Note or Event
+ */
+function createCourseObject(payload, options = {}) {
+  const { objectType, section } = COURSE_EVENTS[payload.event];
+  const actorId = options.actorId || `https://mastodon.social/users/${payload.professor.mastodonHandle}`;
+  const baseUrl = options.baseUrl || 'https://learning-platform.uni.edu';
+
+  if (section === 'video') {
+    return createVideoObject(payload, options);
+  }
+
+  const details = payload[section];
+  const rendered = renderNoteTemplate(payload.event, payload, {
+    locale: options.locale,
+    characterLimit: options.characterLimit
+  });
+
+  const object = {
+    '@context': AS_CONTEXT,
+    type: objectType,
+    id: courseObjectId(section, details.id, baseUrl),
+    published: payload.timestamp,
+    attributedTo: actorId,
+    content: rendered.content,
+    contentMap: { [rendered.language]: rendered.content },
+    to: [PUBLIC_COLLECTION],
+    cc: [`${actorId}/followers`],
+    tag: rendered.hashtags.map(hashtag => ({
+      type: 'Hashtag',
+      href: `https://mastodon.social/tags/${encodeURIComponent(hashtag.toLowerCase())}`,
+      name: `#${hashtag}`
+    }))
+  };
+
+  if (details.url) {
+    object.url = details.url;
+  }
+
+  if (objectType === 'Event') {
+    object.name = rendered.name || details.title;
+    object.startTime = new Date(details.startTime).toISOString();
+    if (details.endTime) {
+      object.endTime = new Date(details.endTime).toISOString();
+    }
+    // Lectures happen in a room, live streams at their URL
+    object.location = details.location
+      ? { type: 'Place', name: details.location }
+      : { type: 'Place', name: 'Online', url: details.url };
+  }
+
+  if (!options.quiet) {
+    console.log(chalk.green(`✅ ActivityPub ${objectType} created: ${object.id}`));
+  }
+  return object;
+}
+
+/**
+ * Wrap an object in an Update or Delete, addressed like the Create was
+ * @param {string} type - "Update" or "Delete"
+ * @param {Object} object - Updated object or Tombstone
+ * @param {string} actorId - Actor sending the activity
+ * @param {string} timestamp - When it happened (ISO-8601)
+ * @param {Object} addressing - { to, cc } of the original object
+ * @param {Object} options - Output options
+ * @param {boolean} options.quiet - Skip the step-by-step output
+ * @returns {Object} ActivityPub activity
+ */
+function createLifecycleActivity(type, object, actorId, timestamp, addressing, options = {}) {
+  if (!options.quiet) {
+    console.log(chalk.blue(`\n🎯 Creating ActivityPub ${type} activity...`));
+  }
+
+  return {
+    '@context': AS_CONTEXT,
+    type,
+    // Every edit needs its own activity id; the object id stays the same
+    id: type === 'Update' ? `${object.id}#updates/${Date.parse(timestamp)}` : `${object.id}#delete`,
+    actor: actorId,
+    published: timestamp,
+    to: addressing.to,
+    cc: addressing.cc,
+    object
+  };
+}
+
+/**
+ * Turn a learning platform event into the activity that announces it
+ * Updates of objects that were never published become a Create, so receivers always
+ * get the full object. Any event about an object that was already deleted fails.
+ * The audience comes from payload.visibility; updates keep the audience of the original.
+ * @param {Object} payload - Validated webhook payload (see COURSE_EVENTS)
+ * @param {Object} options - Conversion options
+ * @param {string} options.actorId - Actor sending the activity (default: professor on mastodon.social)
+ * @param {string} options.baseUrl - Base URL for object ids (default: learning platform)
+ * @param {Object} options.outbox - Outbox store to look up what was published before
+ * @param {string} options.locale - Template locale (default: course.language)
+ * @param {number} options.characterLimit - Character budget of the receiving instance
+ * @param {string} options.videoObjectType - "Note", "Video" or "auto" for videos (see module 22 and createActivityFor)
+ * @param {string} options.software - Receiving server's software, used by "auto"
+ * @param {Array<Object>} options.recipients - Students for direct visibility (see resolveStudentRecipients)
+ * @param {boolean} options.quiet - Skip the step-by-step output of the converters
+ * @returns {Object} Create, Update or Delete activity
+ */
+function createCourseActivity(payload, options = {}) {
+  const event = COURSE_EVENTS[payload.event];
+  if (!event) {
+    throw new Error(`Unknown course event "${payload.event}" (expected ${Object.keys(COURSE_EVENTS).join(', ')})`);
+  }
+
+  const actorId = options.actorId || `https://mastodon.social/users/${payload.professor.mastodonHandle}`;
+  const objectId = courseObjectId(event.section, payload[event.section].id, options.baseUrl || 'https://learning-platform.uni.edu');
+  const existing = options.outbox ? options.outbox.findObject(objectId) : null;
+
+  // Ids of deleted objects are never reused
+  if (existing && existing.type === 'Tombstone') {
+    throw new Error(`${objectId} was deleted on ${existing.deleted}; it cannot be changed or published again`);
+  }
+
+  if (event.activity === 'Delete') {
+    const tombstone = {
+      type: 'Tombstone',
+      id: objectId,
+      formerType: existing ? existing.type : event.objectType,
+      deleted: payload.timestamp
+    };
+    const addressing = existing || { to: [PUBLIC_COLLECTION], cc: [`${actorId}/followers`] };
+    return createLifecycleActivity('Delete', tombstone, actorId, payload.timestamp, addressing, options);
+  }
+
+  const object = applyAudience(createCourseObject(payload, options), {
+    visibility: payload.visibility || (existing ? visibilityFromAddressing(existing) : 'public'),
+    actorId,
+    recipients: options.recipients || (existing ? recipientsFromMentions(existing) : [])
+  });
+
+  if (event.activity === 'Update' && existing) {
+    object.published = existing.published;
+    object.updated = payload.timestamp;
+    return createLifecycleActivity('Update', object, actorId, payload.timestamp, object, options);
+  }
+
+  if (event.activity === 'Update') {
+    console.log(chalk.yellow(`⚠️ ${objectId} was never published, sending a Create instead of an Update`));
+  }
+  return createActivityPubActivity(object, actorId, options);
+}
+
+/**
+ * Get the activity for each receiving server, for the delivery queue's activityFor
+ * With videoObjectType "auto", servers whose NodeInfo says they render videos get the
+ * video as a Video, all others as a Note; the outbox keeps the activity as it was built.
+ * Other events, and deletions, are the same for every server.
+ * @param {Object} payload - Validated webhook payload
+ * @param {Object} activity - Activity from createCourseActivity
+ * @param {Object} options - Options createCourseActivity got, plus:
+ * @param {Function} options.detect - Capability detection (default: detectInstanceCapabilities, see module 13)
+ * @returns {Function} async (domain) => activity for the server at that domain
+ */
+function createActivityFor(payload, activity, options = {}) {
+  const variants = {};
+
+  return async domain => {
+    if (COURSE_EVENTS[payload.event].section !== 'video' || activity.object.type === 'Tombstone') {
+      return activity;
+    }
+
+    const type = await chooseVideoObjectTypeFor(domain, options.videoObjectType, options.detect);
+    if (type === activity.object.type) {
+      return activity;
+    }
+
+    if (!variants[type]) {
+      // Same id, audience and dates as the object in the outbox, only the representation differs
+      const object = applyAudience(createVideoObject(payload, { ...options, videoObjectType: type }), {
+        visibility: visibilityFromAddressing(activity.object),
+        actorId: activity.actor,
+        recipients: recipientsFromMentions(activity.object)
+      });
+      object.published = activity.object.published;
+      if (activity.object.updated) {
+        object.updated = activity.object.updated;
+      }
+      variants[type] = { ...activity, object };
+    }
+    return variants[type];
+  };
+}
+
+/**
+ * Play a whole term through the lifecycle against a throwaway outbox
+ */
+function runCourseEventsDemo() {
+  console.log(chalk.magenta('🚀 Starting Course Event Lifecycle Demo\n'));
+
+  const filePath = path.join(DATA_DIR, 'course-events-demo.json');
+  fs.rmSync(filePath, { force: true });
+  const outbox = createOutboxStore(filePath);
+  const base = {
+    course: { id: 'CS-480', name: 'Verteilte Systeme', language: 'de' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' }
+  };
+  const video = {
+    id: 'activitypub-intro-2024',
+    title: 'Einführung in ActivityPub',
+    description: 'Actors, Inbox, Outbox und die wichtigsten Activities',
+    duration: '15:42',
+    url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro',
+    thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg'
+  };
+  const assignment = {
+    id: 'exercise-3',
+    title: 'Übungsblatt 3: HTTP-Signaturen',
+    url: 'https://learning-platform.uni.edu/courses/distributed-systems/assignments/exercise-3',
+    dueAt: '2024-11-08T23:59:00+01:00'
+  };
+
+  const events = [
+    { event: 'video.uploaded', timestamp: '2024-10-14T09:00:00Z', video },
+    { event: 'video.updated', timestamp: '2024-10-14T11:30:00Z', video: { ...video, title: 'Einführung in ActivityPub (mit Untertiteln)', duration: '16:05' } },
+    { event: 'assignment.published', timestamp: '2024-10-21T08:00:00Z', assignment },
+    { event: 'deadline.changed', timestamp: '2024-11-04T10:00:00Z', assignment: { ...assignment, dueAt: '2024-11-15T23:59:00+01:00', previousDueAt: assignment.dueAt } },
+    { event: 'livestream.starting', timestamp: '2024-11-05T13:55:00Z', livestream: { id: 'qa-session-2', title: 'Fragestunde zu Übungsblatt 3', url: 'https://stream.uni.edu/cs-480/qa-2', startTime: '2024-11-05T14:00:00Z', endTime: '2024-11-05T15:00:00Z' } },
+    { event: 'lecture.cancelled', timestamp: '2024-11-11T07:00:00Z', lecture: { id: 'lecture-2024-11-12', title: 'Vorlesung 5: Delivery und Retries', startTime: '2024-11-12T09:15:00Z', endTime: '2024-11-12T10:45:00Z', location: 'Hörsaal 1', reason: 'Krankheit' } },
+    { event: 'video.removed', timestamp: '2024-12-01T12:00:00Z', video: { id: video.id } },
+    { event: 'video.updated', timestamp: '2024-12-02T12:00:00Z', video }
+  ];
+
+  for (const data of events) {
+    const payload = { ...base, ...data };
+    console.log(chalk.blue('='.repeat(60)));
+    console.log(chalk.yellow(`📨 ${payload.event} (${payload.timestamp})`));
+
+    try {
+      // The converters explain every step; here only the result matters
+      const activity = createCourseActivity(payload, { outbox, quiet: true });
+      outbox.add(activity);
+
+      const object = activity.object;
+      console.log(chalk.green(`${activity.type} ${object.type} ${object.id}`));
+      console.log(chalk.gray(`   activity: ${activity.id}`));
+      if (object.type === 'Event') {
+        console.log(chalk.white(`   ${object.name} | ${object.startTime} – ${object.endTime || '?'} | ${object.location.name}`));
+      } else if (object.content) {
+        console.log(chalk.white(`   ${htmlToText(object.content).split('\n').filter(Boolean).slice(0, 3).join(' | ')}`));
+      }
+      printDiagnostics(validateObject(activity));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  }
+}
+
+// Educational information
+function printCourseEventsInfo() {
+  console.log(chalk.cyan('📚 Object Lifecycle in ActivityPub:'));
+  console.log(chalk.white('Objects are created once and then changed or removed by id.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Create publishes a new object'));
+  console.log(chalk.white('- Update sends the whole object again with the same id and an "updated" date'));
+  console.log(chalk.white('- Delete replaces the object with a Tombstone; its URL answers 410 Gone'));
+  console.log(chalk.white('- Event objects carry startTime, endTime and a location\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printCourseEventsInfo();
+  runCourseEventsDemo();
+}
+
+module.exports = {
+  COURSE_EVENTS,
+  createCourseObject,
+  createCourseActivity,
+  createActivityFor
+};
\ No newline at end of file
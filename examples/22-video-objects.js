@@ -0,0 +1,255 @@
+/**
+ * ActivityPub Learning Setup - Video Objects
+ *
+ * Federates an upload as an AS2 Video the way PeerTube does: ISO-8601 duration,
+ * sized thumbnails and one Link per rendition. Servers that do not render Video
+ * objects get the Note from createActivityPubNote instead.
+ */
+
+require('dotenv').config();
+
+const chalk = require('chalk');
+const { simulateVideoUpload, createActivityPubNote } = require('./05-notification-simulation');
+const { getSoftwareCapabilities, detectInstanceCapabilities } = require('./13-nodeinfo');
+const { validateObject, printDiagnostics } = require('./16-as2-validator');
+const { textToHtml } = require('./19-html-content');
+const { renderNoteTemplate } = require('./20-note-templates');
+const { courseObjectId } = require('./lib/course-ids');
+
+// Configuration
+// "Note" (default), "Video", or "auto" to decide by the receiving server's software
+const VIDEO_OBJECT_TYPE = process.env.VIDEO_OBJECT_TYPE || 'Note';
+const VIDEO_OBJECT_TYPES = ['Note', 'Video', 'auto'];
+
+// Used when the platform does not tell us the thumbnail size (16:9, like PeerTube previews)
+const DEFAULT_THUMBNAIL_SIZE = { width: 850, height: 480 };
+
+/**
+ * Convert a duration like "15:42" or "1:02:03" to ISO-8601
+ * PeerTube only reads durations of the form PT<seconds>S, so minutes and hours are
+ * folded into seconds ("15:42" → "PT942S").
+ * @param {string|number} duration - "mm:ss", "h:mm:ss", seconds, or an ISO-8601 duration
+ * @returns {string} ISO-8601 duration
+ */
+function toIsoDuration(duration) {
+  if (typeof duration === 'number' && Number.isFinite(duration) && duration >= 0) {
+    return `PT${Math.round(duration)}S`;
+  }
+
+  const value = String(duration || '').trim();
+  const iso = value.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (iso && value !== 'PT') {
+    const [, hours = 0, minutes = 0, seconds = 0] = iso;
+    return `PT${Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)}S`;
+  }
+
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) {
+    throw new Error(`Cannot convert duration "${value}" (expected "mm:ss", "h:mm:ss" or seconds)`);
+  }
+
+  const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return `PT${seconds}S`;
+}
+
+/**
+ * Turn the platform's renditions into Link objects
+ * @param {Array<Object>} renditions - { url, mediaType, height, width, size, fps }
+ * @returns {Array<Object>} Link objects, skipping renditions without url or mediaType
+ */
+function renditionLinks(renditions = []) {
+  return renditions
+    .filter(rendition => {
+      if (!rendition || !rendition.url || !rendition.mediaType) {
+        console.log(chalk.yellow(`⚠️ Skipping rendition without url or mediaType: ${JSON.stringify(rendition)}`));
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => (b.height || 0) - (a.height || 0))
+    .map(rendition => {
+      const link = { type: 'Link', mediaType: rendition.mediaType, href: rendition.url };
+      ['height', 'width', 'size', 'fps'].forEach(property => {
+        if (Number.isFinite(rendition[property])) {
+          link[property] = rendition[property];
+        }
+      });
+      return link;
+    });
+}
+
+/**
+ * Convert a video upload to an ActivityPub Video
+ * The id is the same as the Note's: both are representations of the same upload.
+ * @param {Object} webhookPayload - Video upload webhook data
+ * @param {Object} options - Same options as createActivityPubNote
+ * @returns {Object} ActivityPub Video object
+ */
+function createActivityPubVideo(webhookPayload, options = {}) {
+  if (!options.quiet) {
+    console.log(chalk.blue('\n🔄 Converting to ActivityPub Video...'));
+  }
+
+  const { video, professor } = webhookPayload;
+  const actorId = options.actorId || `https://mastodon.social/users/${professor.mastodonHandle}`;
+  const baseUrl = options.baseUrl || 'https://learning-platform.uni.edu';
+
+  // Only for language and hashtags; a Video carries the description, not the announcement text
+  const rendered = renderNoteTemplate(webhookPayload.event || 'video.uploaded', webhookPayload, {
+    locale: options.locale,
+    characterLimit: options.characterLimit
+  });
+  const content = textToHtml(video.description);
+
+  const videoObject = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Video',
+    id: courseObjectId('video', video.id, baseUrl),
+    published: webhookPayload.timestamp,
+    attributedTo: actorId,
+    name: video.title,
+    nameMap: { [rendered.language]: video.title },
+    content,
+    contentMap: { [rendered.language]: content },
+    duration: toIsoDuration(video.duration),
+    sensitive: video.sensitive === true,
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    cc: [`${actorId}/followers`],
+    icon: [
+      {
+        type: 'Image',
+        mediaType: 'image/jpeg',
+        url: video.thumbnail,
+        width: video.thumbnailWidth || DEFAULT_THUMBNAIL_SIZE.width,
+        height: video.thumbnailHeight || DEFAULT_THUMBNAIL_SIZE.height
+      }
+    ],
+    // The watch page first, then the files from the highest resolution down
+    url: [
+      { type: 'Link', mediaType: 'text/html', href: video.url },
+      ...renditionLinks(video.renditions)
+    ],
+    tag: rendered.hashtags.map(hashtag => ({
+      type: 'Hashtag',
+      href: `https://mastodon.social/tags/${encodeURIComponent(hashtag.toLowerCase())}`,
+      name: `#${hashtag}`
+    }))
+  };
+
+  if (!options.quiet) {
+    console.log(chalk.green(`✅ ActivityPub Video created (${videoObject.duration}, ${videoObject.url.length - 1} renditions)`));
+  }
+  return videoObject;
+}
+
+/**
+ * Decide whether to send a Video or the Note fallback
+ * @param {string} software - NodeInfo software name of the receiving server (e.g. "peertube")
+ * @param {string} preference - "Note", "Video" or "auto" (default: VIDEO_OBJECT_TYPE)
+ * @returns {string} "Video" or "Note"
+ */
+function chooseVideoObjectType(software, preference = VIDEO_OBJECT_TYPE) {
+  if (!VIDEO_OBJECT_TYPES.includes(preference)) {
+    throw new Error(`Unknown video object type "${preference}" (expected ${VIDEO_OBJECT_TYPES.join(', ')})`);
+  }
+  if (preference !== 'auto') {
+    return preference;
+  }
+  return getSoftwareCapabilities(software).rendersVideo ? 'Video' : 'Note';
+}
+
+/**
+ * Decide whether a receiving server gets a Video or the Note fallback, asking its NodeInfo for "auto"
+ * @param {string} domain - Domain of the receiving server
+ * @param {string} preference - "Note", "Video" or "auto" (default: VIDEO_OBJECT_TYPE)
+ * @param {Function} detect - Capability detection (default: detectInstanceCapabilities, cached per domain)
+ * @returns {Promise<string>} "Video" or "Note"
+ */
+async function chooseVideoObjectTypeFor(domain, preference = VIDEO_OBJECT_TYPE, detect = detectInstanceCapabilities) {
+  if (preference !== 'auto') {
+    return chooseVideoObjectType(null, preference);
+  }
+  const { software } = await detect(domain);
+  return chooseVideoObjectType(software.name, preference);
+}
+
+/**
+ * Convert a video upload to a Video or a Note, depending on who receives it
+ * @param {Object} webhookPayload - Video upload webhook data
+ * @param {Object} options - Options of createActivityPubNote, plus:
+ * @param {string} options.videoObjectType - "Note", "Video" or "auto" (default: VIDEO_OBJECT_TYPE)
+ * @param {string} options.software - Receiving server's software, used by "auto"
+ * @returns {Object} ActivityPub Video or Note
+ */
+function createVideoObject(webhookPayload, options = {}) {
+  const type = chooseVideoObjectType(options.software, options.videoObjectType);
+  return type === 'Video'
+    ? createActivityPubVideo(webhookPayload, options)
+    : createActivityPubNote(webhookPayload, options);
+}
+
+/**
+ * Build the upload for several server types and validate the results
+ */
+function runVideoObjectsDemo() {
+  console.log(chalk.magenta('🚀 Starting Video Objects Demo\n'));
+
+  const payload = simulateVideoUpload({
+    id: 'activitypub-intro-2024',
+    title: 'Introduction to ActivityPub Protocol',
+    description: 'Learn the basics of decentralized social networking with ActivityPub.\n\nChapters: actors, inbox/outbox, activities.',
+    duration: '15:42',
+    url: 'https://learning-platform.uni.edu/courses/distributed-systems/videos/activitypub-intro',
+    thumbnail: 'https://learning-platform.uni.edu/thumbnails/activitypub-intro.jpg',
+    renditions: [
+      { url: 'https://media.uni.edu/activitypub-intro-480.mp4', mediaType: 'video/mp4', height: 480, width: 854, size: 48213000, fps: 30 },
+      { url: 'https://media.uni.edu/activitypub-intro-1080.mp4', mediaType: 'video/mp4', height: 1080, width: 1920, size: 187340000, fps: 30 },
+      { url: 'https://media.uni.edu/activitypub-intro.m3u8', mediaType: 'application/x-mpegURL' }
+    ],
+    course: { id: 'CS-480', name: 'Distributed Systems' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' }
+  });
+
+  console.log(chalk.blue('\n' + '='.repeat(60)));
+  ['15:42', '1:02:03', '45', 'PT15M42S'].forEach(duration => {
+    console.log(chalk.white(`${duration.padEnd(10)} → ${toIsoDuration(duration)}`));
+  });
+
+  for (const software of ['peertube', 'akkoma', 'mastodon', 'misskey', 'unknown']) {
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    // The converters print the whole object; only the result is interesting here
+    const object = createVideoObject(payload, { videoObjectType: 'auto', software, quiet: true });
+
+    console.log(chalk.yellow(`${getSoftwareCapabilities(software).label} → ${object.type}`));
+    if (object.type === 'Video') {
+      console.log(chalk.white(`   ${object.name} | ${object.duration} | sensitive: ${object.sensitive}`));
+      object.icon.forEach(icon => console.log(chalk.gray(`   icon ${icon.width}x${icon.height} ${icon.url}`)));
+      object.url.forEach(link => console.log(chalk.gray(`   ${link.mediaType.padEnd(22)} ${link.height ? `${link.height}p ` : ''}${link.href}`)));
+    }
+    printDiagnostics(validateObject(object));
+  }
+}
+
+// Educational information
+function printVideoObjectsInfo() {
+  console.log(chalk.cyan('📚 Video Objects:'));
+  console.log(chalk.white('A Video object lets video platforms show uploads as videos, not as text posts.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- duration is an ISO-8601 duration (PeerTube: PT<seconds>S)'));
+  console.log(chalk.white('- icon holds thumbnails with width and height'));
+  console.log(chalk.white('- url lists the watch page and one Link per rendition (mediaType, height)'));
+  console.log(chalk.white('- Servers that do not render Video get a Note instead (see NodeInfo, module 13)\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printVideoObjectsInfo();
+  runVideoObjectsDemo();
+}
+
+module.exports = {
+  toIsoDuration,
+  createActivityPubVideo,
+  chooseVideoObjectType,
+  chooseVideoObjectTypeFor,
+  createVideoObject
+};
\ No newline at end of file
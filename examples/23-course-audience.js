@@ -0,0 +1,202 @@
+/**
+ * ActivityPub Learning Setup - Course Audience
+ *
+ * Not every announcement is for everyone: exam rooms or grade releases should only
+ * reach the enrolled students. Objects are addressed as public, unlisted,
+ * followers-only (Mastodon: "private") or direct (see lib/addressing.js); this module
+ * resolves enrolled students via WebFinger and delivers every activity to exactly the
+ * actors it addresses.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { discoverActor } = require('./01-webfinger-discovery');
+const { loadOrCreateKeyPair } = require('./06-http-signatures');
+const { createPlatformServer } = require('./08-actor-server');
+const { attachInbox } = require('./09-inbox-followers');
+const { createDeliveryQueue } = require('./10-delivery-queue');
+const { PUBLIC_COLLECTION } = require('./15-jsonld-normalization');
+const { createCourseActivity } = require('./21-course-events');
+const { DATA_DIR } = require('./lib/config');
+
+// Configuration
+// Domain for enrolled students given without one (e.g. "alice_cs" → "alice_cs@<domain>")
+const STUDENT_HANDLE_DOMAIN = process.env.STUDENT_HANDLE_DOMAIN || null;
+
+/**
+ * Resolve enrolled students to actors via WebFinger
+ * @param {Array<string>} handles - Student handles ("user@instance", "@user@instance", profile URL, or a bare username)
+ * @param {Object} options - Resolution options
+ * @param {string} options.defaultDomain - Domain for bare usernames (default: STUDENT_HANDLE_DOMAIN)
+ * @param {Function} options.discover - WebFinger lookup (default: discoverActor)
+ * @returns {Promise<{recipients: Array<Object>, unresolved: Array<Object>}>} { handle, actorId, name } per student and { handle, error } per failure
+ */
+async function resolveStudentRecipients(handles, options = {}) {
+  const defaultDomain = options.defaultDomain || STUDENT_HANDLE_DOMAIN;
+  const discover = options.discover || discoverActor;
+  const recipients = [];
+  const unresolved = [];
+
+  for (const handle of handles) {
+    try {
+      const bare = typeof handle === 'string' && !handle.includes('@') && !/^https?:\/\//.test(handle);
+      if (bare && !defaultDomain) {
+        throw new Error('Handle has no domain (expected user@instance, or set STUDENT_HANDLE_DOMAIN)');
+      }
+
+      const result = await discover(bare ? `${handle}@${defaultDomain}` : handle);
+      if (!result.actorUrl) {
+        throw new Error('WebFinger response has no ActivityPub actor link');
+      }
+
+      if (!recipients.some(recipient => recipient.actorId === result.actorUrl)) {
+        recipients.push({ handle, actorId: result.actorUrl, name: `@${String(result.subject).replace(/^acct:/, '')}` });
+      }
+    } catch (error) {
+      unresolved.push({ handle, error: error.message });
+    }
+  }
+
+  console.log(chalk.blue(`👥 Resolved ${recipients.length} of ${handles.length} enrolled students`));
+  unresolved.forEach(({ handle, error }) => console.log(chalk.yellow(`⚠️ Could not resolve ${handle}: ${error}`)));
+
+  return { recipients, unresolved };
+}
+
+/**
+ * Publish an activity to the outbox and queue it for exactly the actors it addresses
+ * The followers collection expands to the current followers; other addresses are actors.
+ * Activities that reach neither the public nor the followers go to personal inboxes, so
+ * a shared inbox never sees more than it needs to.
+ * @param {Object} platform - Platform from createPlatformServer
+ * @param {Object} followers - Follower store from attachInbox
+ * @param {Object} queue - Delivery queue
+ * @param {Object} activity - Addressed activity
+ * @param {Object} options - Delivery options
+ * @param {Function} options.activityFor - async (domain) => activity that server gets (see createActivityFor in module 21)
+ * @returns {Promise<{jobs: Array<Object>, unresolved: Array<Object>}>} Queued jobs
+ */
+async function publishToAudience(platform, followers, queue, activity, options = {}) {
+  platform.publish(activity);
+
+  const addresses = [].concat(activity.to || [], activity.cc || []);
+  const toFollowers = addresses.includes(platform.actor.followers);
+  const recipients = new Set(addresses.filter(address => address !== PUBLIC_COLLECTION && address !== platform.actor.followers));
+
+  if (toFollowers) {
+    followers.list().forEach(follower => recipients.add(follower));
+  }
+
+  return queue.enqueue(activity, [...recipients], {
+    sharedInbox: toFollowers || addresses.includes(PUBLIC_COLLECTION),
+    activityFor: options.activityFor
+  });
+}
+
+/**
+ * Send a public and a direct announcement and show who receives which
+ */
+async function runCourseAudienceDemo() {
+  console.log(chalk.magenta('🚀 Starting Course Audience Demo\n'));
+
+  const dataDir = path.join(DATA_DIR, 'course-audience-demo');
+  fs.rmSync(dataDir, { recursive: true, force: true });
+
+  const professor = createPlatformServer({ dataDir });
+  const { followers } = attachInbox(professor);
+  const { privateKeyPem } = loadOrCreateKeyPair(professor.username);
+  const queue = createDeliveryQueue({
+    filePath: path.join(dataDir, 'delivery-queue.json'),
+    signer: { keyId: professor.actor.publicKey.id, privateKeyPem }
+  });
+
+  // Alice and Bob are enrolled, Eve only follows the professor
+  const received = {};
+  const people = [['alice_cs', 8081], ['bob_cs', 8082], ['eve_public', 8083]].map(([username, port]) => {
+    const server = createPlatformServer({ baseUrl: `http://localhost:${port}`, username, dataDir });
+    received[username] = [];
+    attachInbox(server, { onActivity: activity => received[username].push(activity) });
+    return server;
+  });
+  people.forEach(person => followers.add(person.actor.id));
+
+  await professor.listen();
+  for (const person of people) {
+    await person.listen();
+  }
+
+  const base = {
+    timestamp: new Date().toISOString(),
+    course: { id: 'CS-480', name: 'Distributed Systems', language: 'en' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: professor.username },
+    enrolledStudents: ['alice_cs@localhost:8081', '@bob_cs@localhost:8082', 'carol_cs@localhost:8084', 'dave_cs']
+  };
+  // The converters explain every step; here only the addressing matters
+  const options = { actorId: professor.actor.id, baseUrl: professor.baseUrl, outbox: professor.outbox, quiet: true };
+
+  try {
+    for (const visibility of ['public', 'direct']) {
+      console.log(chalk.blue('\n' + '='.repeat(60)));
+      console.log(chalk.yellow(`📣 ${visibility} announcement`));
+
+      const payload = {
+        ...base,
+        event: 'assignment.published',
+        visibility,
+        assignment: {
+          id: visibility === 'direct' ? 'exam-rooms' : 'exercise-3',
+          title: visibility === 'direct' ? 'Exam room assignment' : 'Exercise sheet 3: HTTP signatures',
+          url: `${professor.baseUrl}/assignments/${visibility === 'direct' ? 'exam-rooms' : 'exercise-3'}`,
+          dueAt: '2024-11-15T23:59:00+01:00'
+        }
+      };
+
+      const audience = visibility === 'direct'
+        ? await resolveStudentRecipients(payload.enrolledStudents.map(String))
+        : { recipients: [], unresolved: [] };
+
+      const activity = createCourseActivity(payload, { ...options, recipients: audience.recipients });
+
+      console.log(chalk.white(`to: ${activity.to.join(', ')}`));
+      console.log(chalk.white(`cc: ${activity.cc.join(', ') || '-'}`));
+      await publishToAudience(professor, followers, queue, activity);
+      await queue.processDue();
+    }
+
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    Object.entries(received).forEach(([username, activities]) => {
+      const titles = activities.filter(activity => activity.type === 'Create').map(activity => activity.object.id.split('/').slice(-2, -1)[0]);
+      console.log(chalk.cyan(`📥 ${username}: ${titles.join(', ') || 'nothing'}`));
+    });
+  } finally {
+    await professor.close();
+    for (const person of people) {
+      await person.close();
+    }
+  }
+}
+
+// Educational information
+function printCourseAudienceInfo() {
+  console.log(chalk.cyan('📚 Addressing in ActivityPub:'));
+  console.log(chalk.white('to and cc decide who may see an object, and delivery follows them.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- public: to Public; unlisted: Public only in cc'));
+  console.log(chalk.white('- followers-only ("private"): only the followers collection'));
+  console.log(chalk.white('- direct: only the mentioned actors, found via WebFinger'));
+  console.log(chalk.white('- Non-public activities are never listed in the outbox\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printCourseAudienceInfo();
+  runCourseAudienceDemo().catch(console.error);
+}
+
+module.exports = {
+  resolveStudentRecipients,
+  publishToAudience
+};
\ No newline at end of file
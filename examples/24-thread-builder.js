@@ -0,0 +1,434 @@
+/**
+ * ActivityPub Learning Setup - Thread Builder
+ *
+ * Reconstructs the whole discussion around a Note: up through inReplyTo to the root,
+ * down through every replies collection (across servers) and, where the server has
+ * one, through the conversation's context collection.
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const chalk = require('chalk');
+const { fetchCollectionDocument, referenceUrl, iterateCollection } = require('./14-collection-paginator');
+const { htmlToText } = require('./19-html-content');
+
+// Configuration
+const THREAD_MAX_DEPTH = Number(process.env.THREAD_MAX_DEPTH || 10);
+const THREAD_MAX_BREADTH = Number(process.env.THREAD_MAX_BREADTH || 20);
+// Upper bound for documents fetched per thread, however wide or deep it is
+const THREAD_MAX_FETCHES = Number(process.env.THREAD_MAX_FETCHES || 200);
+
+/**
+ * Unwrap a Create activity to its object
+ * Context collections may list activities instead of objects.
+ * @param {Object} item - Object or activity
+ * @returns {Object} Object
+ */
+function unwrapObject(item) {
+  return item && item.type === 'Create' && item.object && typeof item.object === 'object' ? item.object : item;
+}
+
+/**
+ * Build the reply tree around a Note
+ * @param {string} noteId - Id of any Note in the thread
+ * @param {Object} options - Walk options
+ * @param {number} options.maxDepth - Levels below the root, and ancestors above the Note (default: THREAD_MAX_DEPTH)
+ * @param {number} options.maxBreadth - Replies followed per Note (default: THREAD_MAX_BREADTH)
+ * @param {number} options.maxFetches - Document budget (default: THREAD_MAX_FETCHES)
+ * @param {boolean} options.useContext - Read the context collection when there is one (default: true)
+ * @param {Function} options.fetch - Document fetcher (default: fetchCollectionDocument)
+ * @returns {Promise<Object>} { focus, root, stats } with root as { id, status, object, depth, children, truncated }
+ */
+async function buildThread(noteId, options = {}) {
+  const maxDepth = options.maxDepth || THREAD_MAX_DEPTH;
+  const maxBreadth = options.maxBreadth || THREAD_MAX_BREADTH;
+  const maxFetches = options.maxFetches || THREAD_MAX_FETCHES;
+  const fetchDocument = options.fetch || fetchCollectionDocument;
+
+  const documents = new Map();
+  const stats = { fetched: 0, missing: 0, deleted: 0, duplicates: 0, cycles: 0, truncated: 0 };
+
+  /**
+   * Fetch a document once, counting it against the budget
+   * @param {string} url - Document URL
+   * @returns {Promise<Object>} Document
+   */
+  async function fetchOnce(url) {
+    if (stats.fetched >= maxFetches) {
+      throw new Error(`Fetch budget of ${maxFetches} documents used up`);
+    }
+    stats.fetched++;
+    return fetchDocument(url);
+  }
+
+  /**
+   * Load a Note, turning failures into missing or deleted markers
+   * @param {string} id - Note id
+   * @returns {Promise<{status: string, object: Object|null, error: string|null}>} Loaded entry
+   */
+  async function load(id) {
+    if (!documents.has(id)) {
+      let entry;
+      try {
+        const object = unwrapObject(await fetchOnce(id));
+        entry = object.type === 'Tombstone'
+          ? { status: 'deleted', object, error: null }
+          : { status: 'ok', object, error: null };
+      } catch (error) {
+        const status = error.response && error.response.status;
+        entry = status === 410
+          ? { status: 'deleted', object: error.response.data || null, error: 'Gone' }
+          : { status: 'missing', object: null, error: status ? `HTTP ${status}` : error.message };
+      }
+      documents.set(id, entry);
+    }
+    return documents.get(id);
+  }
+
+  /**
+   * Remember an object that came embedded in a collection
+   * @param {Object} item - Collection item
+   * @returns {string|undefined} Its id
+   */
+  function remember(item) {
+    const object = unwrapObject(item);
+    const id = referenceUrl(object);
+    if (id && object && typeof object === 'object' && object.type && !documents.has(id)) {
+      documents.set(id, { status: object.type === 'Tombstone' ? 'deleted' : 'ok', object, error: null });
+    }
+    return id;
+  }
+
+  console.log(chalk.blue(`🧵 Building thread around ${noteId}`));
+
+  // Up: follow inReplyTo until the root, a gap or a loop
+  const ancestors = [noteId];
+  let current = await load(noteId);
+  while (current.status === 'ok' && referenceUrl(current.object.inReplyTo)) {
+    const parentId = referenceUrl(current.object.inReplyTo);
+    if (ancestors.includes(parentId)) {
+      console.log(chalk.yellow(`⚠️ inReplyTo loop at ${parentId}, treating ${ancestors[0]} as the root`));
+      stats.cycles++;
+      break;
+    }
+    if (ancestors.length > maxDepth) {
+      console.log(chalk.yellow(`⚠️ Stopped after ${maxDepth} ancestors, starting at ${ancestors[0]}`));
+      stats.truncated++;
+      break;
+    }
+    ancestors.unshift(parentId);
+    current = await load(parentId);
+  }
+
+  // The context collection may know replies that no replies collection links to
+  const children = new Map();
+  const contextIds = [];
+  const addChild = (parentId, childId) => {
+    const list = children.get(parentId) || [];
+    if (!list.includes(childId)) {
+      list.push(childId);
+    }
+    children.set(parentId, list);
+  };
+
+  const contextSource = [ancestors[0], noteId]
+    .map(id => documents.get(id))
+    .find(entry => entry && entry.status === 'ok' && referenceUrl(entry.object.context));
+  if (options.useContext !== false && contextSource) {
+    const contextUrl = referenceUrl(contextSource.object.context);
+    try {
+      const items = iterateCollection(typeof contextSource.object.context === 'object' ? contextSource.object.context : contextUrl, {
+        fetch: fetchOnce,
+        dereference: true,
+        limit: maxFetches
+      });
+      let count = 0;
+      for await (const item of items) {
+        const id = remember(item);
+        const parentId = referenceUrl(unwrapObject(item).inReplyTo);
+        if (id && parentId) {
+          addChild(parentId, id);
+          contextIds.push(id);
+        }
+        count++;
+      }
+      console.log(chalk.gray(`📚 Context ${contextUrl}: ${count} items`));
+    } catch (error) {
+      // Many servers name a context without serving it; replies collections still work
+      console.log(chalk.gray(`📚 Context ${contextUrl} not available (${error.message})`));
+    }
+  }
+
+  // Down: walk replies collections breadth-first, so the budget is spent on the upper levels first
+  const placed = new Set();
+  const makeNode = async (id, depth) => {
+    const entry = await load(id);
+    if (entry.status === 'missing') {
+      stats.missing++;
+    } else if (entry.status === 'deleted') {
+      stats.deleted++;
+    }
+    placed.add(id);
+    return { id, status: entry.status, object: entry.object, error: entry.error, depth, children: [], truncated: false };
+  };
+
+  /**
+   * Attach replies below the queued nodes until the limits are reached
+   * @param {Array<Object>} queue - { node, path } entries to expand
+   */
+  async function walk(queue) {
+    while (queue.length > 0) {
+      const { node, path } = queue.shift();
+      // Deleted notes keep their place: replies to them can still be found through the context
+      const object = node.status === 'ok' ? node.object : null;
+
+      const replyIds = [...(children.get(node.id) || [])];
+      // Ancestors are on the path to the focus; walking them guarantees it ends up in the tree
+      const nextOnPath = ancestors[ancestors.indexOf(node.id) + 1];
+      if (nextOnPath && ancestors.includes(node.id) && !replyIds.includes(nextOnPath)) {
+        replyIds.unshift(nextOnPath);
+      }
+
+      if (object && object.replies) {
+        try {
+          for await (const item of iterateCollection(object.replies, { fetch: fetchOnce, limit: maxBreadth })) {
+            const id = remember(item);
+            if (id && !replyIds.includes(id)) {
+              replyIds.push(id);
+            }
+          }
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️ Could not read replies of ${node.id}: ${error.message}`));
+        }
+      }
+
+      if (replyIds.length === 0) {
+        continue;
+      }
+      if (node.depth >= maxDepth || stats.fetched >= maxFetches) {
+        node.truncated = true;
+        stats.truncated++;
+        continue;
+      }
+      if (replyIds.length > maxBreadth) {
+        node.truncated = true;
+        stats.truncated++;
+      }
+
+      for (const id of replyIds.slice(0, maxBreadth)) {
+        if (path.includes(id)) {
+          node.children.push({ id, status: 'cycle', object: null, error: 'Reply points back to an ancestor', depth: node.depth + 1, children: [], truncated: false });
+          stats.cycles++;
+          continue;
+        }
+        if (placed.has(id)) {
+          stats.duplicates++;
+          continue;
+        }
+        const child = await makeNode(id, node.depth + 1);
+        node.children.push(child);
+        queue.push({ node: child, path: [...path, id] });
+      }
+    }
+  }
+
+  const root = await makeNode(ancestors[0], 0);
+  await walk([{ node: root, path: [root.id] }]);
+
+  // Context items whose parent was never reached hang below the root, under a marker for that parent
+  for (const id of contextIds) {
+    if (placed.has(id) || maxDepth < 2) {
+      continue;
+    }
+    let top = id;
+    let parentId = referenceUrl(documents.get(top).object.inReplyTo);
+    while (parentId && !placed.has(parentId) && documents.has(parentId) && documents.get(parentId).status === 'ok' && parentId !== id) {
+      top = parentId;
+      parentId = referenceUrl(documents.get(top).object.inReplyTo);
+    }
+    // No parent: a root of its own; placed parent: cut off by the walk limits
+    if (!parentId || placed.has(parentId)) {
+      continue;
+    }
+    const gap = await makeNode(parentId, 1);
+    root.children.push(gap);
+    await walk([{ node: gap, path: [root.id, parentId] }]);
+  }
+
+  if (!placed.has(noteId)) {
+    console.log(chalk.yellow(`⚠️ ${noteId} did not fit into the walk limits`));
+  }
+
+  return { focus: noteId, root, stats };
+}
+
+/**
+ * Get a short author label from an actor id
+ * @param {string|Object} attributedTo - Actor reference
+ * @returns {string} "@user@host" or the actor URL
+ */
+function authorLabel(attributedTo) {
+  const actorId = referenceUrl(attributedTo);
+  try {
+    const url = new URL(actorId);
+    return `@${url.pathname.split('/').filter(Boolean).pop()}@${url.host}`;
+  } catch (error) {
+    return actorId || 'unknown';
+  }
+}
+
+/**
+ * Print a thread as an indented tree, one post per node
+ * @param {Object} thread - Result of buildThread
+ */
+function printThread(thread) {
+  const { stats } = thread;
+  console.log(chalk.yellow(`\n🧵 Thread (${stats.fetched} fetched, ${stats.missing} missing, ${stats.deleted} deleted, ${stats.cycles} cycles, ${stats.duplicates} duplicates)`));
+
+  const printNode = node => {
+    const indent = '  '.repeat(node.depth);
+    const focus = node.id === thread.focus ? '👉 ' : '';
+
+    if (node.status === 'missing') {
+      console.log(chalk.red(`${indent}❓ ${focus}Missing: ${node.id} (${node.error})`));
+    } else if (node.status === 'deleted') {
+      const deleted = node.object && node.object.deleted ? ` on ${new Date(node.object.deleted).toLocaleString()}` : '';
+      console.log(chalk.gray(`${indent}🪦 ${focus}Deleted${deleted}: ${node.id}`));
+    } else if (node.status === 'cycle') {
+      console.log(chalk.yellow(`${indent}🔁 Cycle back to ${node.id}`));
+    } else {
+      const note = node.object;
+      const content = htmlToText(note.content || note.name || '').replace(/\s+/g, ' ').trim();
+      const preview = content.length > 80 ? content.substring(0, 80) + '...' : content;
+      const replies = note.replies && note.replies.totalItems !== undefined ? ` | 💬 ${note.replies.totalItems}` : '';
+      console.log(chalk.cyan(`${indent}📝 ${focus}${authorLabel(note.attributedTo)} | ${note.published ? new Date(note.published).toLocaleString() : 'unknown date'}${replies}`));
+      console.log(chalk.white(`${indent}   ${preview}`));
+    }
+
+    if (node.truncated) {
+      console.log(chalk.gray(`${indent}   ✂️ more replies not shown (depth, breadth or fetch limit)`));
+    }
+    node.children.forEach(printNode);
+  };
+
+  printNode(thread.root);
+}
+
+/**
+ * Start two local servers hosting a discussion under a video announcement
+ * The platform serves the announcement and a context collection; the student server
+ * hosts replies, a deleted one, a reply to a missing note, a replies loop and a reply
+ * listed under two parents.
+ * @returns {Promise<{servers: Array<http.Server>, platform: string, students: string}>} Servers and origins
+ */
+async function startExampleThreadServers() {
+  const documents = {};
+  const gone = new Set();
+
+  const start = () => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const url = `http://${req.headers.host}${req.url}`;
+      if (gone.has(url)) {
+        res.writeHead(410, { 'Content-Type': 'application/activity+json' });
+        return res.end(JSON.stringify({ id: url, type: 'Tombstone', deleted: '2024-10-16T08:00:00Z' }));
+      }
+      if (!documents[url]) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Not found' }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/activity+json' });
+      res.end(JSON.stringify(documents[url]));
+    });
+    server.listen(0, 'localhost', () => resolve(server));
+  });
+
+  const servers = [await start(), await start()];
+  const [platform, students] = servers.map(server => `http://localhost:${server.address().port}`);
+  const context = `${platform}/contexts/activitypub-intro`;
+
+  const note = (id, author, published, content, inReplyTo, replies = []) => {
+    documents[id] = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      id,
+      type: 'Note',
+      attributedTo: author,
+      published,
+      content: `<p>${content}</p>`,
+      inReplyTo: inReplyTo || null,
+      context,
+      replies: {
+        id: `${id}/replies`,
+        type: 'Collection',
+        totalItems: replies.length,
+        first: { type: 'CollectionPage', partOf: `${id}/replies`, items: replies }
+      }
+    };
+  };
+
+  const announcement = `${platform}/videos/activitypub-intro-2024/activitypub`;
+  const alice = `${students}/users/alice_cs/statuses/1`;
+  const bob = `${students}/users/bob_cs/statuses/2`;
+  const professorAnswer = `${platform}/notes/answer-1`;
+  const aliceFollowUp = `${students}/users/alice_cs/statuses/3`;
+  const deleted = `${students}/users/carol_cs/statuses/4`;
+  const orphan = `${students}/users/dave_cs/statuses/5`;
+
+  note(announcement, `${platform}/users/dr_smith`, '2024-10-14T09:00:00Z', '🎬 New video: Introduction to ActivityPub', null, [alice, bob, deleted]);
+  note(alice, `${students}/users/alice_cs`, '2024-10-14T10:12:00Z', 'Does the outbox have to be public?', announcement, [professorAnswer]);
+  note(bob, `${students}/users/bob_cs`, '2024-10-14T11:40:00Z', 'Great intro, thanks! Slides are <a href="https://uni.edu/slides.pdf">here</a>.', announcement, [announcement]);
+  note(professorAnswer, `${platform}/users/dr_smith`, '2024-10-14T12:05:00Z', 'No, it can hide followers-only posts.', alice, [aliceFollowUp, bob]);
+  note(aliceFollowUp, `${students}/users/alice_cs`, '2024-10-14T12:30:00Z', 'Thanks, that makes sense!', professorAnswer);
+  note(orphan, `${students}/users/dave_cs`, '2024-10-15T07:45:00Z', 'Replying to a post that was removed', `${students}/users/erin_cs/statuses/6`);
+  gone.add(deleted);
+
+  // Only the context collection knows the orphaned reply; Alice's answer appears twice
+  documents[context] = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    id: context,
+    type: 'OrderedCollection',
+    totalItems: 4,
+    orderedItems: [announcement, alice, { type: 'Create', object: documents[aliceFollowUp] }, orphan]
+  };
+
+  return { servers, platform, students, announcement, focus: aliceFollowUp };
+}
+
+/**
+ * Rebuild a discussion from one of its replies
+ */
+async function runThreadBuilderDemo() {
+  console.log(chalk.magenta('🚀 Starting Thread Builder Demo\n'));
+
+  const example = await startExampleThreadServers();
+
+  try {
+    const thread = await buildThread(example.focus);
+    printThread(thread);
+
+    console.log(chalk.blue('\n' + '='.repeat(60)));
+    console.log(chalk.yellow('Same thread with maxDepth 1 and no context collection:'));
+    printThread(await buildThread(example.focus, { maxDepth: 1, useContext: false }));
+  } finally {
+    example.servers.forEach(server => server.close());
+  }
+}
+
+// Educational information
+function printThreadBuilderInfo() {
+  console.log(chalk.cyan('📚 Threads in ActivityPub:'));
+  console.log(chalk.white('There is no thread object; a discussion is a graph of Notes on many servers.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- inReplyTo points from a reply up to its parent'));
+  console.log(chalk.white('- replies is a collection pointing down, often only partly filled'));
+  console.log(chalk.white('- context can name a collection with the whole conversation'));
+  console.log(chalk.white('- Deleted posts answer 410 Gone with a Tombstone; others are simply missing\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printThreadBuilderInfo();
+  runThreadBuilderDemo().catch(console.error);
+}
+
+module.exports = { buildThread, printThread };
\ No newline at end of file
@@ -0,0 +1,374 @@
+/**
+ * ActivityPub Learning Setup - Federation Prober
+ *
+ * Before we trust a new server, we want to know which parts of the pipeline will work
+ * against it. The prober runs the same requests the toolkit makes (NodeInfo, WebFinger,
+ * host-meta, actor with and without signed GET, outbox, public timeline) against a list
+ * of instances and compares status codes and latency in one matrix.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { MASTODON_INSTANCES, selectActorLink } = require('./01-webfinger-discovery');
+const { instanceBaseUrl } = require('./02-public-timeline');
+const { signRequest } = require('./06-http-signatures');
+const { verifyRequest } = require('./07-signature-verification');
+const { writeJsonFile, sendJson, createPlatformServer } = require('./08-actor-server');
+const { instanceActorSigner } = require('./26-http-client');
+const { DATA_DIR, USER_AGENT, CONTENT_TYPES } = require('./lib/config');
+
+// Configuration
+const PROBE_REPORT_FILE = process.env.PROBE_REPORT_FILE || path.join(DATA_DIR, 'federation-probe.json');
+const PROBE_TIMEOUT_MS = Number(process.env.PROBE_TIMEOUT_MS || 10000);
+
+// Matrix columns, in the order the checks run
+const PROBE_CHECKS = ['nodeinfo', 'timeline', 'webfinger', 'host-meta', 'actor', 'actor-signed', 'outbox'];
+
+/**
+ * GET a URL and record status and latency, whatever the status is
+ * Bypasses the shared client on purpose: no cache, retries or redirects that would hide what the server does.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {string} options.accept - Accept header (default: application/json)
+ * @param {Object} options.signer - { keyId, privateKeyPem } to sign the request (signed GET)
+ * @returns {Promise<{status: number, latencyMs: number, data: *}>} Response; JSON bodies are parsed
+ */
+async function probeRequest(url, options = {}) {
+  let headers = {
+    'Accept': options.accept || 'application/json',
+    'User-Agent': USER_AGENT
+  };
+  if (options.signer) {
+    headers = signRequest({ method: 'GET', url, headers, ...options.signer });
+  }
+
+  const started = Date.now();
+  const response = await axios.get(url, {
+    headers,
+    timeout: PROBE_TIMEOUT_MS,
+    responseType: 'text',
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+
+  let data = response.data;
+  try {
+    data = JSON.parse(response.data);
+  } catch (error) {
+    // Not JSON (host-meta XML, HTML error pages): keep the text
+  }
+
+  return { status: response.status, latencyMs: Date.now() - started, data };
+}
+
+/**
+ * Run one check, turning network errors into a failed result
+ * @param {string} name - Check name (one of PROBE_CHECKS)
+ * @param {Function} check - Async function returning { ok, status, latencyMs, detail }
+ * @returns {Promise<Object>} { ok, status, latencyMs, detail }; ok is null for skipped checks
+ */
+async function runCheck(name, check) {
+  const started = Date.now();
+  let result;
+
+  try {
+    result = await check();
+  } catch (error) {
+    result = { ok: false, status: error.code || 'ERROR', latencyMs: Date.now() - started, detail: error.message };
+  }
+
+  const icon = result.ok === null ? '➖' : result.ok ? '✅' : '❌';
+  const color = result.ok === null ? chalk.gray : result.ok ? chalk.green : chalk.red;
+  console.log(color(`${icon} ${name.padEnd(13)} ${String(result.status ?? '-').padEnd(12)} ${result.latencyMs != null ? `${result.latencyMs}ms`.padEnd(8) : ''.padEnd(8)} ${result.detail}`));
+  return result;
+}
+
+/**
+ * A check that could not run because an earlier one failed
+ * @param {string} reason - Why it was skipped
+ * @returns {Object} Skipped result
+ */
+function skipped(reason) {
+  return { ok: null, status: null, latencyMs: null, detail: reason };
+}
+
+/**
+ * Probe one instance
+ * The account defaults to the author of the newest public status, and to the instance
+ * actor (Mastodon: domain@domain) when the timeline is not readable.
+ * @param {string} instance - Instance domain or base URL
+ * @param {Object} options - Probe options
+ * @param {string} options.account - Handle whose actor and outbox to read (user@domain)
+ * @param {Object} options.signer - { keyId, privateKeyPem } for the signed GET (default: instance actor key)
+ * @returns {Promise<Object>} { instance, baseUrl, software, handle, actorUrl, checks }
+ */
+async function probeInstance(instance, options = {}) {
+  const baseUrl = instanceBaseUrl(instance);
+  const domain = new URL(baseUrl).host;
+  const signer = options.signer || instanceActorSigner();
+  const checks = {};
+  let software = null;
+  let account = options.account || null;
+  let actorUrl = null;
+  let actor = null;
+
+  console.log(chalk.blue(`\n🔬 Probing ${baseUrl}`));
+
+  checks.nodeinfo = await runCheck('nodeinfo', async () => {
+    const discovery = await probeRequest(`${baseUrl}/.well-known/nodeinfo`);
+    const link = ((discovery.data && discovery.data.links) || []).find(candidate => /\/ns\/schema\/2\.[01]$/.test(candidate.rel));
+    if (!link) {
+      return { ok: false, status: discovery.status, latencyMs: discovery.latencyMs, detail: 'No NodeInfo 2.x link' };
+    }
+
+    const document = await probeRequest(link.href);
+    const latencyMs = discovery.latencyMs + document.latencyMs;
+    if (!document.data || !document.data.software) {
+      return { ok: false, status: document.status, latencyMs, detail: 'NodeInfo document has no software' };
+    }
+
+    software = { name: String(document.data.software.name).toLowerCase(), version: document.data.software.version };
+    return { ok: true, status: document.status, latencyMs, detail: `${software.name} ${software.version}` };
+  });
+
+  checks.timeline = await runCheck('timeline', async () => {
+    const response = await probeRequest(`${baseUrl}/api/v1/timelines/public?limit=1`);
+    if (!Array.isArray(response.data)) {
+      return { ok: false, status: response.status, latencyMs: response.latencyMs, detail: 'Public timeline API not available' };
+    }
+
+    const [status] = response.data;
+    if (!account && status && status.account) {
+      // Local accounts have no domain in acct
+      account = status.account.acct.includes('@') ? status.account.acct : `${status.account.acct}@${domain}`;
+    }
+    return { ok: true, status: response.status, latencyMs: response.latencyMs, detail: `${response.data.length} status(es)` };
+  });
+
+  const handle = account || `${domain}@${domain}`;
+
+  checks.webfinger = await runCheck('webfinger', async () => {
+    const resource = encodeURIComponent(`acct:${handle}`);
+    const response = await probeRequest(`${baseUrl}/.well-known/webfinger?resource=${resource}`, { accept: 'application/jrd+json, application/json' });
+    actorUrl = response.data && typeof response.data === 'object' ? selectActorLink(response.data) || null : null;
+    return {
+      ok: Boolean(actorUrl),
+      status: response.status,
+      latencyMs: response.latencyMs,
+      detail: actorUrl ? `${handle} → ${actorUrl}` : `No actor link for ${handle}`
+    };
+  });
+
+  checks['host-meta'] = await runCheck('host-meta', async () => {
+    const response = await probeRequest(`${baseUrl}/.well-known/host-meta`, { accept: 'application/xrd+xml, application/json' });
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    const hasLrdd = response.status === 200 && /["']?rel["']?\s*[:=]\s*["']lrdd["']/.test(body);
+    return { ok: hasLrdd, status: response.status, latencyMs: response.latencyMs, detail: hasLrdd ? 'LRDD template' : 'No LRDD template' };
+  });
+
+  /**
+   * Fetch the actor document, signed or not
+   * @param {Object} signedBy - Signer, or undefined for an anonymous request
+   * @returns {Promise<Object>} Check result
+   */
+  async function fetchActorCheck(signedBy) {
+    const response = await probeRequest(actorUrl, { accept: CONTENT_TYPES.activity.accept, signer: signedBy });
+    const ok = response.status === 200 && Boolean(response.data && response.data.inbox);
+    if (ok && !actor) {
+      actor = response.data;
+    }
+    return { ok, status: response.status, latencyMs: response.latencyMs, detail: ok ? `${response.data.type} with inbox` : 'Actor not readable' };
+  }
+
+  checks.actor = actorUrl ? await runCheck('actor', () => fetchActorCheck()) : skipped('No actor URL');
+  checks['actor-signed'] = actorUrl ? await runCheck('actor-signed', () => fetchActorCheck(signer)) : skipped('No actor URL');
+
+  checks.outbox = actor && actor.outbox
+    ? await runCheck('outbox', async () => {
+      // Servers that need signed actor fetches usually need them for the outbox too
+      const response = await probeRequest(actor.outbox, { accept: CONTENT_TYPES.activity.accept, signer: checks.actor.ok ? undefined : signer });
+      const ok = response.status === 200 && /Collection/.test(response.data && response.data.type);
+      return { ok, status: response.status, latencyMs: response.latencyMs, detail: ok ? `totalItems: ${response.data.totalItems ?? 'unknown'}` : 'Outbox not readable' };
+    })
+    : skipped('No actor document');
+
+  return { instance, baseUrl, software, handle, actorUrl, checks };
+}
+
+/**
+ * Probe several instances one after another and store the report as JSON
+ * @param {Array<string>} instances - Instance domains or base URLs (default: MASTODON_INSTANCES)
+ * @param {Object} options - Options of probeInstance, plus:
+ * @param {Object} options.accounts - Handle per instance, overriding the default account
+ * @param {string} options.reportFile - JSON report path (default: PROBE_REPORT_FILE)
+ * @returns {Promise<Object>} { probedAt, keyId, checks, results }
+ */
+async function probeInstances(instances = MASTODON_INSTANCES, options = {}) {
+  const signer = options.signer || instanceActorSigner();
+  const accounts = options.accounts || {};
+  const results = [];
+
+  for (const instance of instances) {
+    results.push(await probeInstance(instance, { signer, account: accounts[instance] }));
+  }
+
+  const report = { probedAt: new Date().toISOString(), keyId: signer.keyId, checks: PROBE_CHECKS, results };
+  const reportFile = options.reportFile || PROBE_REPORT_FILE;
+  writeJsonFile(reportFile, report);
+  console.log(chalk.green(`\n💾 Report written to ${reportFile}`));
+
+  return report;
+}
+
+/**
+ * Print the comparison matrix: one row per instance, one column per check
+ * @param {Object} report - Result of probeInstances
+ */
+function printProbeMatrix(report) {
+  const rows = {};
+  report.results.forEach(result => {
+    const row = { software: result.software ? `${result.software.name} ${result.software.version}` : '?' };
+    report.checks.forEach(name => {
+      const check = result.checks[name];
+      row[name] = check.ok === null ? '➖' : `${check.ok ? '✅' : '❌'} ${check.status} ${check.latencyMs}ms`;
+    });
+    rows[new URL(result.baseUrl).host] = row;
+  });
+
+  console.log(chalk.yellow('\n📊 Federation compatibility matrix:'));
+  console.table(rows);
+
+  report.results.forEach(({ baseUrl, checks }) => {
+    if (checks['actor-signed'].ok && checks.actor.ok === false) {
+      console.log(chalk.cyan(`🔒 ${baseUrl} requires signed GETs (authorized fetch / secure mode)`));
+    }
+    if (checks.webfinger.ok === false && checks['host-meta'].ok) {
+      console.log(chalk.cyan(`🔀 ${baseUrl} may serve WebFinger on another host (see host-meta)`));
+    }
+  });
+}
+
+/**
+ * Start a local server that only serves actors to signed requests, like Mastodon in secure mode
+ * It has no host-meta and no anonymous public timeline.
+ * @returns {Promise<http.Server>} Running server
+ */
+async function startSecureModeServer() {
+  const server = http.createServer(async (req, res) => {
+    const baseUrl = `http://localhost:${server.address().port}`;
+    const url = new URL(req.url, baseUrl);
+    const actorId = `${baseUrl}/users/strict_admin`;
+
+    if (url.pathname === '/.well-known/nodeinfo') {
+      return sendJson(res, 200, { links: [{ rel: 'http://nodeinfo.diaspora.software/ns/schema/2.0', href: `${baseUrl}/nodeinfo/2.0` }] }, 'application/json');
+    }
+    if (url.pathname === '/nodeinfo/2.0') {
+      return sendJson(res, 200, { version: '2.0', software: { name: 'mastodon', version: '4.3.0' }, protocols: ['activitypub'] }, 'application/json');
+    }
+    if (url.pathname === '/api/v1/timelines/public') {
+      return sendJson(res, 422, { error: 'This method requires an authenticated user' }, 'application/json');
+    }
+    if (url.pathname === '/.well-known/webfinger') {
+      return sendJson(res, 200, {
+        subject: url.searchParams.get('resource'),
+        links: [{ rel: 'self', type: 'application/activity+json', href: actorId }]
+      }, 'application/jrd+json');
+    }
+    if (url.pathname === '/users/strict_admin' || url.pathname === '/users/strict_admin/outbox') {
+      const verdict = await verifyRequest({ method: req.method, path: req.url, headers: req.headers, body: '' });
+      if (!verdict.verified) {
+        return sendJson(res, 401, { error: verdict.reason }, 'application/json');
+      }
+      return sendJson(res, 200, url.pathname.endsWith('/outbox')
+        ? { '@context': 'https://www.w3.org/ns/activitystreams', id: `${actorId}/outbox`, type: 'OrderedCollection', totalItems: 0, orderedItems: [] }
+        : { '@context': 'https://www.w3.org/ns/activitystreams', id: actorId, type: 'Person', preferredUsername: 'strict_admin', inbox: `${actorId}/inbox`, outbox: `${actorId}/outbox` });
+    }
+    sendJson(res, 404, { error: 'Not found' }, 'application/json');
+  });
+
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  return server;
+}
+
+/**
+ * Probe two local servers (open and secure mode), an unreachable one, and the given instances
+ */
+async function runProberDemo() {
+  console.log(chalk.magenta('🚀 Starting Federation Prober\n'));
+
+  const dataDir = path.join(DATA_DIR, 'federation-probe-demo');
+  fs.rmSync(dataDir, { recursive: true, force: true });
+
+  // Our own platform, extended with the endpoints a Mastodon server has
+  const platform = createPlatformServer({ dataDir });
+  platform.route('GET', /^\/\.well-known\/nodeinfo$/, (req, res) => {
+    sendJson(res, 200, { links: [{ rel: 'http://nodeinfo.diaspora.software/ns/schema/2.1', href: `${platform.baseUrl}/nodeinfo/2.1` }] }, 'application/json');
+  });
+  platform.route('GET', /^\/nodeinfo\/2\.1$/, (req, res) => {
+    sendJson(res, 200, { version: '2.1', software: { name: 'learning-platform', version: '1.0.0' }, protocols: ['activitypub'] }, 'application/json');
+  });
+  platform.route('GET', /^\/\.well-known\/host-meta$/, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/xrd+xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><XRD xmlns="http://docs.oasis-open.org/ns/xri/xrd-1.0"><Link rel="lrdd" template="${platform.baseUrl}/.well-known/webfinger?resource={uri}"/></XRD>`);
+  });
+  platform.route('GET', /^\/api\/v1\/timelines\/public$/, (req, res) => {
+    sendJson(res, 200, [{ id: '1', account: { acct: platform.username } }], 'application/json');
+  });
+
+  await platform.listen();
+  const secure = await startSecureModeServer();
+
+  // Signed GETs come from the platform's instance actor, which the secure-mode server can fetch locally
+  const signer = { ...instanceActorSigner(), keyId: platform.instanceActor.publicKey.id };
+
+  const remote = process.argv.slice(2);
+  const instances = [
+    platform.baseUrl,
+    `http://localhost:${secure.address().port}`,
+    'localhost:1',
+    ...(remote.length > 0 ? remote : MASTODON_INSTANCES)
+  ];
+
+  // The servers log every request; only the probe results are interesting here
+  const originalLog = console.log;
+  try {
+    console.log = (...args) => (String(args[0]).includes('🌐') ? undefined : originalLog(...args));
+    const report = await probeInstances(instances, { signer, reportFile: path.join(dataDir, 'federation-probe.json') });
+    console.log = originalLog;
+    printProbeMatrix(report);
+  } finally {
+    console.log = originalLog;
+    await platform.close();
+    secure.close();
+  }
+}
+
+// Educational information
+function printProberInfo() {
+  console.log(chalk.cyan('📚 Probing Federation Compatibility:'));
+  console.log(chalk.white('Every server implements a slightly different part of the fediverse.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- NodeInfo tells us the software, WebFinger and host-meta find actors'));
+  console.log(chalk.white('- Servers in secure mode only serve actors and outboxes to signed GETs'));
+  console.log(chalk.white('- The public timeline API is often closed to anonymous clients'));
+  console.log(chalk.white('- Pass instances as arguments, e.g. npm run probe -- mastodon.social pixelfed.social\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printProberInfo();
+  runProberDemo().catch(console.error);
+}
+
+module.exports = {
+  PROBE_CHECKS,
+  probeRequest,
+  probeInstance,
+  probeInstances,
+  printProbeMatrix
+};
\ No newline at end of file
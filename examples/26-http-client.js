@@ -0,0 +1,564 @@
+/**
+ * ActivityPub Learning Setup - HTTP Client
+ *
+ * One fetcher for remote ActivityPub and Mastodon resources. It caches responses in memory
+ * and on disk, revalidates them with ETag/Last-Modified, checks the content type it gets
+ * back, honors rate limits and Retry-After, limits concurrent requests per host and refuses
+ * redirects that would move an actor document to another origin. Servers in secure mode
+ * (Mastodon's AUTHORIZED_FETCH) get a signed GET from our instance actor.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { loadOrCreateKeyPair, signRequest, buildSigningString, parseSignatureHeader } = require('./06-http-signatures');
+const { DATA_DIR, USER_AGENT, CONTENT_TYPES } = require('./lib/config');
+
+// Configuration
+const HTTP_CACHE_DIR = process.env.HTTP_CACHE_DIR || path.join(DATA_DIR, 'http-cache');
+const HTTP_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 10000);
+const HTTP_MAX_CONCURRENCY_PER_HOST = Number(process.env.HTTP_MAX_CONCURRENCY_PER_HOST || 4);
+const HTTP_MAX_RETRIES = Number(process.env.HTTP_MAX_RETRIES || 2);
+// Longer waits (e.g. a rate limit that resets in 5 minutes) fail instead of blocking the caller
+const HTTP_MAX_WAIT_MS = Number(process.env.HTTP_MAX_WAIT_MS || 60 * 1000);
+const MAX_REDIRECTS = 5;
+
+// Signed GETs come from the instance actor the platform server publishes at /actor
+const PLATFORM_BASE_URL = process.env.PLATFORM_BASE_URL || `http://localhost:${process.env.PLATFORM_PORT || 8080}`;
+const INSTANCE_ACTOR_KEY_NAME = process.env.INSTANCE_ACTOR_KEY_NAME || 'instance-actor';
+const INSTANCE_ACTOR_KEY_ID = process.env.INSTANCE_ACTOR_KEY_ID || `${PLATFORM_BASE_URL}/actor#main-key`;
+// Mastodon needs (request-target), host and date; some servers also want accept covered
+const SIGNED_FETCH_HEADERS = ['(request-target)', 'host', 'date', ...(process.env.SIGNED_FETCH_SIGN_ACCEPT === 'true' ? ['accept'] : [])];
+
+// Response headers kept in the cache
+const CACHED_HEADERS = ['content-type', 'link', 'etag', 'last-modified', 'cache-control'];
+
+const memoryCache = new Map();
+// Host → { active, waiting } for the concurrency limit
+const hostSlots = new Map();
+// Host → time (ms) until which the rate limit is exhausted
+const rateLimitResets = new Map();
+// Hosts that answered 401/403 to unsigned requests: sign right away next time
+const signedFetchHosts = new Set();
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a task once the host has a free request slot
+ * @param {string} host - Host (with optional port)
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+async function withHostSlot(host, task) {
+  if (!hostSlots.has(host)) {
+    hostSlots.set(host, { active: 0, waiting: [] });
+  }
+  const slot = hostSlots.get(host);
+
+  if (slot.active >= HTTP_MAX_CONCURRENCY_PER_HOST) {
+    // The finishing request hands its slot over, so active stays the same
+    await new Promise(resolve => slot.waiting.push(resolve));
+  } else {
+    slot.active++;
+  }
+
+  try {
+    return await task();
+  } finally {
+    const next = slot.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      slot.active--;
+    }
+  }
+}
+
+/**
+ * Parse a time header: seconds from now, epoch seconds or an HTTP/ISO date
+ * @param {string} value - Retry-After or X-RateLimit-Reset value
+ * @returns {number|null} Milliseconds from now, or null if unparseable
+ */
+function delayFromHeader(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    const seconds = Number(value);
+    // Large numbers are epoch timestamps, small ones a number of seconds
+    return Math.max(0, seconds > 1e9 ? seconds * 1000 - Date.now() : seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Remember when a host's rate limit is exhausted (Mastodon: X-RateLimit-Remaining/Reset)
+ * @param {string} host - Host
+ * @param {Object} headers - Response headers
+ */
+function trackRateLimit(host, headers) {
+  const remaining = headers['x-ratelimit-remaining'];
+  const resetIn = delayFromHeader(headers['x-ratelimit-reset']);
+
+  if (remaining !== undefined && Number(remaining) <= 0 && resetIn !== null) {
+    rateLimitResets.set(host, Date.now() + resetIn);
+  } else if (remaining !== undefined) {
+    rateLimitResets.delete(host);
+  }
+}
+
+/**
+ * Wait until the host's rate limit has reset
+ * @param {string} host - Host
+ */
+async function waitForRateLimit(host) {
+  const resetAt = rateLimitResets.get(host);
+  if (!resetAt || resetAt <= Date.now()) {
+    return;
+  }
+
+  const wait = resetAt - Date.now();
+  if (wait > HTTP_MAX_WAIT_MS) {
+    throw new Error(`Rate limit for ${host} is exhausted until ${new Date(resetAt).toISOString()}`);
+  }
+
+  console.log(chalk.yellow(`⏳ Rate limit for ${host} exhausted, waiting ${wait}ms`));
+  await sleep(wait);
+  rateLimitResets.delete(host);
+}
+
+/**
+ * GET a URL within the host's limits, retrying 429 and 503 responses after Retry-After
+ * @param {string} url - URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} axios response (any status)
+ */
+async function getWithRetries(url, headers) {
+  const host = new URL(url).host;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await withHostSlot(host, async () => {
+      await waitForRateLimit(host);
+      const result = await axios.get(url, {
+        headers,
+        timeout: HTTP_TIMEOUT_MS,
+        responseType: 'text',
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      trackRateLimit(host, result.headers);
+      return result;
+    });
+
+    if (![429, 503].includes(response.status) || attempt >= HTTP_MAX_RETRIES) {
+      return response;
+    }
+
+    const wait = delayFromHeader(response.headers['retry-after']) ?? 1000 * 2 ** attempt;
+    if (wait > HTTP_MAX_WAIT_MS) {
+      return response;
+    }
+
+    console.log(chalk.yellow(`⏳ ${response.status} from ${host}, retrying in ${wait}ms`));
+    await sleep(wait);
+  }
+}
+
+/**
+ * Credentials of the instance actor, used for signed GETs
+ * @returns {{keyId: string, privateKeyPem: string}} Signer
+ */
+function instanceActorSigner() {
+  const { privateKeyPem } = loadOrCreateKeyPair(INSTANCE_ACTOR_KEY_NAME);
+  return { keyId: INSTANCE_ACTOR_KEY_ID, privateKeyPem };
+}
+
+/**
+ * GET a URL and follow redirects
+ * Signed requests are signed again for every hop, as the request target changes.
+ * @param {string} url - URL
+ * @param {Object} headers - Request headers
+ * @param {Object} options - Request options
+ * @param {boolean} options.sameOrigin - Refuse redirects to another origin
+ * @param {Object} options.signer - { keyId, privateKeyPem } to sign with, or null for an unsigned request
+ * @returns {Promise<Object>} axios response plus the final url
+ */
+async function getFollowingRedirects(url, headers, { sameOrigin, signer }) {
+  const origin = new URL(url).origin;
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const requestHeaders = signer
+      ? signRequest({ method: 'GET', url: current, headers, headerNames: SIGNED_FETCH_HEADERS, ...signer })
+      : headers;
+    const response = await getWithRetries(current, requestHeaders);
+    const location = response.headers.location;
+
+    if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+      return { ...response, url: current };
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects fetching ${url}`);
+    }
+
+    const next = new URL(location, current).toString();
+    // Otherwise another server could answer for an actor that is not its own
+    if (sameOrigin && new URL(next).origin !== origin) {
+      throw new Error(`Refusing redirect from ${current} to ${next}: the document must stay on ${origin}`);
+    }
+    current = next;
+  }
+}
+
+/**
+ * Get the cache file for a key
+ * @param {string} key - Cache key
+ * @returns {string} File path
+ */
+function cacheFile(key) {
+  return path.join(HTTP_CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Look up a cached response in memory, then on disk
+ * @param {string} key - Cache key
+ * @returns {Object|null} Cache entry
+ */
+function readCacheEntry(key) {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+    memoryCache.set(key, entry);
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a cache entry in memory and on disk
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ */
+function writeCacheEntry(key, entry) {
+  memoryCache.set(key, entry);
+  try {
+    fs.mkdirSync(HTTP_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cacheFile(key), JSON.stringify(entry));
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ Could not write HTTP cache: ${error.message}`));
+  }
+}
+
+/**
+ * Work out until when a response may be used without revalidating
+ * @param {Object} headers - Response headers
+ * @returns {number} Timestamp (ms); now when it must be revalidated every time
+ */
+function freshUntil(headers) {
+  const cacheControl = String(headers['cache-control'] || '');
+  const maxAge = cacheControl.match(/\bmax-age=(\d+)/);
+
+  if (/\bno-cache\b/.test(cacheControl)) {
+    return Date.now();
+  }
+  if (maxAge) {
+    return Date.now() + Number(maxAge[1]) * 1000;
+  }
+  const expires = Date.parse(headers.expires);
+  return Number.isNaN(expires) ? Date.now() : expires;
+}
+
+/**
+ * Fetch a remote resource
+ * Fresh cached responses are returned without a request; stale ones are revalidated.
+ * Responses are only cached when they can be reused: a max-age, an ETag or a Last-Modified.
+ * Requests are unsigned; a 401 or 403 is retried once as a signed GET, and hosts that
+ * needed one get signed requests from then on.
+ * @param {string} url - Resource URL
+ * @param {Object} options - Fetch options
+ * @param {string} options.accept - "activity", "jrd", "xrd" or "json" (default: "json")
+ * @param {Object} options.params - Query parameters
+ * @param {Object} options.headers - Additional request headers
+ * @param {boolean} options.sameOrigin - Refuse redirects to another origin (use for actor documents)
+ * @param {Object|boolean} options.signer - Signer for the retry after 401/403 (default: instance actor), false to never sign
+ * @param {boolean} options.cache - Use and fill the cache (default: true)
+ * @returns {Promise<{url: string, status: number, headers: Object, data: *, fromCache: boolean}>} Response
+ * @throws {Error} For non-2xx responses, with response: { status, headers, data } like axios errors
+ */
+async function fetchResource(url, options = {}) {
+  const contentType = CONTENT_TYPES[options.accept || 'json'];
+  if (!contentType) {
+    throw new Error(`Unknown content type "${options.accept}" (expected ${Object.keys(CONTENT_TYPES).join(', ')})`);
+  }
+
+  const target = new URL(url);
+  Object.entries(options.params || {}).forEach(([name, value]) => target.searchParams.set(name, value));
+
+  const useCache = options.cache !== false;
+  const key = crypto.createHash('sha256').update(`${contentType.accept}\n${target}`).digest('hex');
+  const cached = useCache ? readCacheEntry(key) : null;
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return { url: cached.url, status: cached.status, headers: cached.headers, data: cached.data, fromCache: true };
+  }
+
+  const headers = { 'Accept': contentType.accept, 'User-Agent': USER_AGENT, ...options.headers };
+  if (cached && cached.headers.etag) {
+    headers['If-None-Match'] = cached.headers.etag;
+  }
+  if (cached && cached.headers['last-modified']) {
+    headers['If-Modified-Since'] = cached.headers['last-modified'];
+  }
+
+  const host = target.host;
+  const sameOrigin = options.sameOrigin === true;
+  const maySign = options.signer !== false;
+  const signer = () => options.signer || instanceActorSigner();
+
+  let response = await getFollowingRedirects(target.toString(), headers, {
+    sameOrigin,
+    signer: maySign && signedFetchHosts.has(host) ? signer() : null
+  });
+
+  if ([401, 403].includes(response.status) && maySign && !signedFetchHosts.has(host)) {
+    console.log(chalk.yellow(`🔏 ${response.status} from ${host}, retrying with a signed GET`));
+    response = await getFollowingRedirects(target.toString(), headers, { sameOrigin, signer: signer() });
+    if (response.status < 400) {
+      signedFetchHosts.add(host);
+    }
+  }
+
+  if (response.status === 304 && cached) {
+    writeCacheEntry(key, { ...cached, expiresAt: freshUntil(response.headers) });
+    return { url: cached.url, status: cached.status, headers: cached.headers, data: cached.data, fromCache: true };
+  }
+
+  const type = String(response.headers['content-type'] || '');
+  let data = response.data;
+  if (/json/.test(type) || (!type && /^\s*[{[]/.test(data))) {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      // Reported below for successful responses; error bodies may be anything
+    }
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`GET ${response.url} failed with status ${response.status}`);
+    error.response = { status: response.status, headers: response.headers, data };
+    throw error;
+  }
+  if (type && !contentType.accepted.test(type)) {
+    throw new Error(`Expected ${contentType.accept.split(',')[0]} from ${response.url}, got ${type.split(';')[0]}`);
+  }
+  if (typeof data === 'string' && options.accept !== 'xrd') {
+    throw new Error(`Response from ${response.url} is not valid JSON`);
+  }
+
+  const result = { url: response.url, status: response.status, headers: response.headers, data, fromCache: false };
+  const cacheControl = String(response.headers['cache-control'] || '');
+  const reusable = /\bmax-age=[1-9]/.test(cacheControl) || response.headers.etag || response.headers['last-modified'];
+
+  if (useCache && reusable && !/\bno-store\b/.test(cacheControl)) {
+    const storedHeaders = Object.fromEntries(
+      CACHED_HEADERS.filter(name => response.headers[name] !== undefined).map(name => [name, response.headers[name]])
+    );
+    writeCacheEntry(key, { url: result.url, status: result.status, headers: storedHeaders, data, expiresAt: freshUntil(response.headers) });
+  }
+
+  return result;
+}
+
+/**
+ * Remove all cached responses, in memory and on disk
+ */
+function clearHttpCache() {
+  memoryCache.clear();
+  fs.rmSync(HTTP_CACHE_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Check a signed GET against the instance actor's key, as a server in secure mode does once it fetched the key
+ * (module 07 shows the full verification, with key lookup, Digest and Date checks)
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} publicKeyPem - Public key of the expected signer
+ * @returns {{verified: boolean, reason: string, headers: Array<string>}} Verdict and the signed header names
+ */
+function checkSignedGet(req, publicKeyPem) {
+  try {
+    const signature = parseSignatureHeader(req.headers.signature || '');
+    if (signature.keyId !== INSTANCE_ACTOR_KEY_ID) {
+      return { verified: false, reason: `Unknown key ${signature.keyId}`, headers: [] };
+    }
+    const signingString = buildSigningString(req.method, req.url, req.headers, signature.headers);
+    const verified = crypto.verify('sha256', Buffer.from(signingString), publicKeyPem, Buffer.from(signature.signature, 'base64'));
+    return { verified, reason: verified ? 'Signature valid' : 'Signature does not match public key', headers: signature.headers };
+  } catch (error) {
+    return { verified: false, reason: error.message, headers: [] };
+  }
+}
+
+/**
+ * Start a local server showing caching, rate limits and redirects
+ * @returns {Promise<{server: http.Server, url: string, stats: Object}>} Running server and request counters
+ */
+async function startExampleServer() {
+  const stats = { requests: 0, notModified: 0, concurrent: 0, maxConcurrent: 0, signedHeaders: null };
+  let limited = 0;
+
+  // What the secure-mode endpoints get when they fetch our key
+  const { publicKeyPem } = loadOrCreateKeyPair(INSTANCE_ACTOR_KEY_NAME);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const actorId = `http://localhost:${server.address().port}/users/dr_smith`;
+    const etag = '"actor-v1"';
+
+    stats.requests++;
+    stats.concurrent++;
+    stats.maxConcurrent = Math.max(stats.maxConcurrent, stats.concurrent);
+    await sleep(50);
+    stats.concurrent--;
+
+    if (url.pathname === '/users/dr_smith') {
+      if (req.headers['if-none-match'] === etag) {
+        stats.notModified++;
+        res.writeHead(304, { 'ETag': etag, 'Cache-Control': 'max-age=1' });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/activity+json', 'ETag': etag, 'Cache-Control': 'max-age=1' });
+      return res.end(JSON.stringify({ id: actorId, type: 'Person', inbox: `${actorId}/inbox` }));
+    }
+    if (url.pathname === '/@dr_smith') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><body>Profile page</body></html>');
+    }
+    if (url.pathname === '/users/moved') {
+      res.writeHead(301, { 'Location': 'http://127.0.0.1:1/users/dr_smith' });
+      return res.end();
+    }
+    if (url.pathname.startsWith('/users/locked')) {
+      // Secure mode: only signed requests are answered
+      const verdict = checkSignedGet(req, publicKeyPem);
+      if (!verdict.verified) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: verdict.reason }));
+      }
+      stats.signedHeaders = verdict.headers;
+      res.writeHead(200, { 'Content-Type': 'application/activity+json' });
+      return res.end(JSON.stringify(url.pathname.endsWith('/outbox')
+        ? { id: req.url, type: 'OrderedCollection', totalItems: 0, orderedItems: [] }
+        : { id: req.url, type: 'Person', inbox: `${req.url}/inbox`, outbox: `${req.url}/outbox` }));
+    }
+    if (url.pathname === '/api/v1/timelines/public') {
+      // The first request is throttled, the second uses up the quota for a second
+      if (limited++ === 0) {
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+        return res.end(JSON.stringify({ error: 'Too many requests' }));
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'X-RateLimit-Remaining': limited === 2 ? '0' : '299',
+        'X-RateLimit-Reset': new Date(Date.now() + 1000).toISOString()
+      });
+      return res.end('[]');
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  });
+
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  return { server, url: `http://localhost:${server.address().port}`, stats };
+}
+
+/**
+ * Fetch from the example server and show what the client did
+ */
+async function runHttpClientDemo() {
+  console.log(chalk.magenta('🚀 Starting HTTP Client Demo\n'));
+
+  clearHttpCache();
+  const { server, url, stats } = await startExampleServer();
+
+  /**
+   * Run a fetch and print the outcome
+   * @param {string} label - What is being shown
+   * @param {Function} fetch - Async function performing the fetch
+   */
+  async function show(label, fetch) {
+    const before = stats.requests;
+    try {
+      const response = await fetch();
+      console.log(chalk.green(`✅ ${label}: ${response.status}${response.fromCache ? ' (from cache)' : ''}, ${stats.requests - before} request(s)`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${label}: ${error.message}`));
+    }
+  }
+
+  try {
+    const actorUrl = `${url}/users/dr_smith`;
+    await show('Actor, first fetch', () => fetchResource(actorUrl, { accept: 'activity', sameOrigin: true }));
+    await show('Actor, still fresh', () => fetchResource(actorUrl, { accept: 'activity', sameOrigin: true }));
+    await sleep(1100);
+    await show('Actor, stale', () => fetchResource(actorUrl, { accept: 'activity', sameOrigin: true }));
+    console.log(chalk.gray(`   304 Not Modified responses: ${stats.notModified}`));
+
+    await show('Profile page as actor', () => fetchResource(`${url}/@dr_smith`, { accept: 'activity' }));
+    await show('Actor redirected to another origin', () => fetchResource(`${url}/users/moved`, { accept: 'activity', sameOrigin: true }));
+    await show('Timeline after 429', () => fetchResource(`${url}/api/v1/timelines/public`));
+    await show('Timeline with exhausted quota', () => fetchResource(`${url}/api/v1/timelines/public`));
+
+    await show('Actor on a secure-mode server', () => fetchResource(`${url}/users/locked`, { accept: 'activity', sameOrigin: true }));
+    await show('Its outbox, signed right away', () => fetchResource(`${url}/users/locked/outbox`, { accept: 'activity' }));
+    console.log(chalk.gray(`   Signed headers: ${(stats.signedHeaders || []).join(' ')} (key ${INSTANCE_ACTOR_KEY_ID})`));
+
+    stats.maxConcurrent = 0;
+    await Promise.all(Array.from({ length: 10 }, (_, index) => fetchResource(`${url}/missing/${index}`).catch(() => null)));
+    console.log(chalk.green(`✅ 10 parallel requests, at most ${stats.maxConcurrent} at once (limit ${HTTP_MAX_CONCURRENCY_PER_HOST})`));
+  } finally {
+    server.close();
+    clearHttpCache();
+  }
+}
+
+// Educational information
+function printHttpClientInfo() {
+  console.log(chalk.cyan('📚 Fetching Remote Resources:'));
+  console.log(chalk.white('Every module fetches actors, collections and timelines through one client.'));
+  console.log(chalk.white('Key concepts:'));
+  console.log(chalk.white('- Cache-Control max-age decides how long a response is fresh'));
+  console.log(chalk.white('- ETag/Last-Modified let the server answer 304 Not Modified'));
+  console.log(chalk.white('- X-RateLimit-Remaining/Reset and Retry-After tell us when to slow down'));
+  console.log(chalk.white('- Actor documents must not be redirected to another origin'));
+  console.log(chalk.white('- Secure-mode servers (401/403) get a signed GET from the instance actor\n'));
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  printHttpClientInfo();
+  runHttpClientDemo().catch(console.error);
+}
+
+module.exports = {
+  INSTANCE_ACTOR_KEY_NAME,
+  instanceActorSigner,
+  fetchResource,
+  clearHttpCache
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * ActivityPub Learning Setup - Example ActivityPub Objects
+ *
+ * Shared by the object explorer (04) and the validator demo (16); plain data without requirements.
+ */
+
+/**
+ * Example ActivityPub objects for learning purposes
+ */
+const ActivityPubExamples = {
+  
+  // Basic Note object (like a tweet/toot)
+  note: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Note',
+    id: 'https://mastodon.social/users/professor/statuses/123456',
+    published: '2024-01-15T10:30:00Z',
+    attributedTo: 'https://mastodon.social/users/professor',
+    content: '<p>📹 New video uploaded: Introduction to ActivityPub! Check it out on our learning platform.</p>',
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    cc: ['https://mastodon.social/users/professor/followers'],
+    url: 'https://mastodon.social/@professor/123456',
+    tag: [
+      {
+        type: 'Hashtag',
+        href: 'https://mastodon.social/tags/activitypub',
+        name: '#activitypub'
+      },
+      {
+        type: 'Hashtag', 
+        href: 'https://mastodon.social/tags/learning',
+        name: '#learning'
+      }
+    ]
+  },
+  
+  // Create activity (when someone posts)
+  create: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Create',
+    id: 'https://mastodon.social/users/professor/statuses/123456/activity',
+    actor: 'https://mastodon.social/users/professor',
+    published: '2024-01-15T10:30:00Z',
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    cc: ['https://mastodon.social/users/professor/followers'],
+    object: {
+      type: 'Note',
+      id: 'https://mastodon.social/users/professor/statuses/123456',
+      published: '2024-01-15T10:30:00Z',
+      attributedTo: 'https://mastodon.social/users/professor',
+      content: '<p>📹 New video uploaded: Introduction to ActivityPub!</p>',
+      to: ['https://www.w3.org/ns/activitystreams#Public'],
+      cc: ['https://mastodon.social/users/professor/followers']
+    }
+  },
+  
+  // Follow activity
+  follow: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Follow',
+    id: 'https://mastodon.social/users/student/follows/456',
+    actor: 'https://mastodon.social/users/student',
+    object: 'https://mastodon.social/users/professor',
+    published: '2024-01-15T11:00:00Z'
+  },
+  
+  // Accept activity (accepting a follow request)
+  accept: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Accept',
+    id: 'https://mastodon.social/users/professor/accepts/789',
+    actor: 'https://mastodon.social/users/professor',
+    object: {
+      type: 'Follow',
+      id: 'https://mastodon.social/users/student/follows/456',
+      actor: 'https://mastodon.social/users/student',
+      object: 'https://mastodon.social/users/professor'
+    },
+    published: '2024-01-15T11:05:00Z'
+  },
+  
+  // Like activity (favoriting a post)
+  like: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Like',
+    id: 'https://mastodon.social/users/student/likes/101112',
+    actor: 'https://mastodon.social/users/student',
+    object: 'https://mastodon.social/users/professor/statuses/123456',
+    published: '2024-01-15T12:00:00Z'
+  },
+  
+  // Announce activity (boosting/retweeting)
+  announce: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Announce',
+    id: 'https://mastodon.social/users/student/announces/131415',
+    actor: 'https://mastodon.social/users/student',
+    object: 'https://mastodon.social/users/professor/statuses/123456',
+    published: '2024-01-15T12:30:00Z',
+    to: ['https://www.w3.org/ns/activitystreams#Public'],
+    cc: ['https://mastodon.social/users/student/followers']
+  },
+  
+  // Delete activity
+  delete: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Delete',
+    id: 'https://mastodon.social/users/professor/deletes/161718',
+    actor: 'https://mastodon.social/users/professor',
+    object: 'https://mastodon.social/users/professor/statuses/123456',
+    published: '2024-01-15T15:00:00Z'
+  },
+  
+  // Actor object (user profile)
+  actor: {
+    '@context': [
+      'https://www.w3.org/ns/activitystreams',
+      'https://w3id.org/security/v1'
+    ],
+    type: 'Person',
+    id: 'https://mastodon.social/users/professor',
+    preferredUsername: 'professor',
+    name: 'Dr. ActivityPub',
+    summary: '<p>Teaching distributed social networks and federated protocols. 🎓 #ActivityPub #Education</p>',
+    url: 'https://mastodon.social/@professor',
+    inbox: 'https://mastodon.social/users/professor/inbox',
+    outbox: 'https://mastodon.social/users/professor/outbox',
+    followers: 'https://mastodon.social/users/professor/followers',
+    following: 'https://mastodon.social/users/professor/following',
+    publicKey: {
+      id: 'https://mastodon.social/users/professor#main-key',
+      owner: 'https://mastodon.social/users/professor',
+      publicKeyPem: '-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA...\n-----END PUBLIC KEY-----'
+    },
+    icon: {
+      type: 'Image',
+      mediaType: 'image/png',
+      url: 'https://mastodon.social/system/accounts/avatars/professor.png'
+    }
+  },
+  
+  // Collection object (for followers, following, etc.)
+  collection: {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'OrderedCollection',
+    id: 'https://mastodon.social/users/professor/followers',
+    totalItems: 1337,
+    first: 'https://mastodon.social/users/professor/followers?page=1',
+    last: 'https://mastodon.social/users/professor/followers?page=45'
+  }
+};
+
+module.exports = { ActivityPubExamples };
\ No newline at end of file
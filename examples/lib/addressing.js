@@ -0,0 +1,133 @@
+/**
+ * ActivityPub Learning Setup - Addressing
+ *
+ * Mastodon's visibility levels expressed as ActivityPub to/cc. Converters and servers alike
+ * need this mapping, so it lives here instead of in one of them; it only requires modules 15 and 19.
+ */
+
+const { PUBLIC_COLLECTION } = require('../15-jsonld-normalization');
+const { escapeHtml } = require('../19-html-content');
+
+// Mastodon's visibility names; "private" means followers only
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+
+/**
+ * Build to/cc for a visibility level the same way Mastodon federates it
+ * @param {string} visibility - "public", "unlisted", "private" or "direct"
+ * @param {string} followers - Followers collection of the author
+ * @param {Array<string>} mentioned - Mentioned actors
+ * @returns {{to: Array<string>, cc: Array<string>}} Addressing
+ */
+function addressingForVisibility(visibility, followers, mentioned) {
+  switch (visibility) {
+    case 'public':
+      return { to: [PUBLIC_COLLECTION], cc: [followers, ...mentioned] };
+    case 'unlisted':
+      return { to: [followers], cc: [PUBLIC_COLLECTION, ...mentioned] };
+    case 'private':
+      return { to: [followers], cc: mentioned };
+    default:
+      return { to: mentioned, cc: [] };
+  }
+}
+
+/**
+ * Derive the Mastodon visibility from a Note's addressing
+ * @param {Object} note - ActivityPub Note
+ * @returns {string} "public", "unlisted", "private" or "direct"
+ */
+function visibilityFromAddressing(note) {
+  const to = [].concat(note.to || []);
+  const cc = [].concat(note.cc || []);
+
+  if (to.includes(PUBLIC_COLLECTION)) {
+    return 'public';
+  }
+  if (cc.includes(PUBLIC_COLLECTION)) {
+    return 'unlisted';
+  }
+  if (to.some(recipient => recipient.endsWith('/followers'))) {
+    return 'private';
+  }
+  return 'direct';
+}
+
+/**
+ * Render recipients as Mastodon mention links
+ * @param {Array<Object>} recipients - { actorId, name } from resolveStudentRecipients
+ * @returns {string} HTML paragraph with one h-card mention per recipient
+ */
+function mentionParagraph(recipients) {
+  const mentions = recipients.map(({ actorId, name }) => {
+    const username = name.replace(/^@/, '').split('@')[0];
+    return `<span class="h-card"><a href="${escapeHtml(actorId)}" class="u-url mention">@<span>${escapeHtml(username)}</span></a></span>`;
+  });
+  return `<p>${mentions.join(' ')}</p>`;
+}
+
+/**
+ * Address an object for a visibility
+ * Direct objects name every recipient in "to", as a Mention tag and at the start of the content,
+ * like a Mastodon direct message.
+ * @param {Object} object - Note, Video or Event (addressed publicly by its converter)
+ * @param {Object} audience - Addressing
+ * @param {string} audience.visibility - "public", "unlisted", "private" or "direct"
+ * @param {string} audience.actorId - Author of the object
+ * @param {Array<Object>} audience.recipients - Resolved students (direct only)
+ * @returns {Object} Copy of the object with to, cc, tag and content for the visibility
+ */
+function applyAudience(object, { visibility = 'public', actorId, recipients = [] }) {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`Unknown visibility "${visibility}" (expected ${VISIBILITIES.join(', ')})`);
+  }
+
+  const followers = `${actorId}/followers`;
+
+  if (visibility !== 'direct') {
+    return { ...object, ...addressingForVisibility(visibility, followers, []) };
+  }
+
+  if (recipients.length === 0) {
+    throw new Error('A direct announcement needs at least one resolved student');
+  }
+
+  const addressed = {
+    ...object,
+    ...addressingForVisibility('direct', followers, recipients.map(recipient => recipient.actorId)),
+    tag: [
+      ...(object.tag || []).filter(tag => tag.type !== 'Mention'),
+      ...recipients.map(({ actorId: href, name }) => ({ type: 'Mention', href, name }))
+    ]
+  };
+
+  if (object.content) {
+    addressed.content = mentionParagraph(recipients) + object.content;
+  }
+  if (object.contentMap) {
+    addressed.contentMap = Object.fromEntries(
+      Object.entries(object.contentMap).map(([language, content]) => [language, mentionParagraph(recipients) + content])
+    );
+  }
+
+  return addressed;
+}
+
+/**
+ * Get the recipients an object was addressed to directly, as resolveStudentRecipients returns them
+ * Used to keep the audience of an Update the same as the original's.
+ * @param {Object} object - Previously published object
+ * @returns {Array<Object>} { actorId, name } per Mention tag
+ */
+function recipientsFromMentions(object) {
+  return [].concat(object.tag || [])
+    .filter(tag => tag.type === 'Mention')
+    .map(tag => ({ actorId: tag.href, name: tag.name }));
+}
+
+module.exports = {
+  VISIBILITIES,
+  addressingForVisibility,
+  visibilityFromAddressing,
+  applyAudience,
+  recipientsFromMentions
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * ActivityPub Learning Setup - Shared Configuration
+ *
+ * Settings every module agrees on: where local state is stored, how we identify ourselves
+ * and which content types we ask for. This module requires no other module of the setup,
+ * so any of them can import it.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+
+// Local keys, queues, tokens and caches (not in git)
+const DATA_DIR = process.env.ACTIVITYPUB_DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+const USER_AGENT = 'ActivityPub-Learning-Setup/1.0';
+
+// What we ask for, and which Content-Types we accept in return (an HTML profile page is not an actor)
+const CONTENT_TYPES = {
+  activity: {
+    accept: 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"',
+    accepted: /^application\/(activity\+json|ld\+json|json)\b/
+  },
+  jrd: { accept: 'application/jrd+json, application/json', accepted: /^application\/(jrd\+json|json)\b/ },
+  xrd: { accept: 'application/xrd+xml, application/json', accepted: /^(application\/(xrd\+xml|xml|json)|text\/xml)\b/ },
+  json: { accept: 'application/json', accepted: /^application\/([\w.-]+\+)?json\b/ }
+};
+
+module.exports = {
+  DATA_DIR,
+  USER_AGENT,
+  CONTENT_TYPES
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * ActivityPub Learning Setup - Course Object Ids
+ *
+ * Videos, assignments, lectures and live streams are announced, updated and deleted by id,
+ * so every module has to build the same id for the same platform object.
+ */
+
+// Payload section → path of the object ids (videos keep the ids createActivityPubNote has always used)
+const OBJECT_PATHS = { video: 'videos', assignment: 'assignments', lecture: 'lectures', livestream: 'livestreams' };
+
+// Platform ids must fit into a URL path segment as they are
+const COURSE_ID_PATTERN = /^[A-Za-z0-9._~-]+$/;
+
+/**
+ * Check whether a platform id can be used in object ids without encoding
+ * @param {string} id - Platform id (e.g., "activitypub-intro-2024")
+ * @returns {boolean} Whether it only contains unreserved URL characters
+ */
+function isUrlSafeId(id) {
+  return typeof id === 'string' && COURSE_ID_PATTERN.test(id);
+}
+
+/**
+ * Get the ActivityPub id of a platform object
+ * @param {string} section - Payload section ("video", "assignment", "lecture" or "livestream")
+ * @param {string} id - Platform id of the object
+ * @param {string} baseUrl - Base URL of the platform
+ * @returns {string} Object id (ids that are not URL-safe are percent-encoded)
+ */
+function courseObjectId(section, id, baseUrl) {
+  if (!OBJECT_PATHS[section]) {
+    throw new Error(`Unknown object section "${section}" (expected ${Object.keys(OBJECT_PATHS).join(', ')})`);
+  }
+  return `${baseUrl}/${OBJECT_PATHS[section]}/${encodeURIComponent(id)}/activitypub`;
+}
+
+module.exports = {
+  isUrlSafeId,
+  courseObjectId
+};
\ No newline at end of file
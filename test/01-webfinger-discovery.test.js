@@ -0,0 +1,152 @@
+/**
+ * ActivityPub Learning Setup - Tests for WebFinger discovery
+ *
+ * Runs a local handle domain and a separate WebFinger host; caches go to a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-webfinger-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+
+const {
+  parseActorReference,
+  selectActorLink,
+  discoverActor,
+  clearWebFingerCache
+} = require('../examples/01-webfinger-discovery');
+
+/**
+ * Start a local server on a free port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<{server: http.Server, origin: string, requests: Array<string>}>} Server and the URLs it was asked for
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  return { server, origin: `http://localhost:${server.address().port}`, requests };
+}
+
+/**
+ * Answer WebFinger requests with a JRD pointing to the professor's actor
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function answerWebFinger(req, res) {
+  const resource = new URL(req.url, 'http://localhost').searchParams.get('resource');
+  res.writeHead(200, { 'Content-Type': 'application/jrd+json' });
+  res.end(JSON.stringify({
+    subject: resource,
+    links: [
+      { rel: 'http://webfinger.net/rel/profile-page', type: 'text/html', href: 'https://social.example/@professor' },
+      { rel: 'self', type: 'application/ld+json; profile=\'https://www.w3.org/ns/activitystreams\'', href: 'https://social.example/users/professor' }
+    ]
+  }));
+}
+
+let webfingerHost;
+
+test.before(async () => {
+  webfingerHost = await startServer(answerWebFinger);
+});
+
+test.beforeEach(t => {
+  clearWebFingerCache();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test.after(() => {
+  webfingerHost.server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('handles, acct: URIs and profile URLs name the same kind of resource', () => {
+  assert.deepStrictEqual(parseActorReference('@alice@social.example'), { resource: 'acct:alice@social.example', domain: 'social.example', username: 'alice' });
+  assert.deepStrictEqual(parseActorReference('acct:alice@social.example'), parseActorReference('alice@social.example'));
+  assert.deepStrictEqual(parseActorReference('https://social.example/@alice'), { resource: 'https://social.example/@alice', domain: 'social.example', username: 'alice' });
+  assert.throws(() => parseActorReference('alice'), /Invalid handle format/);
+});
+
+test('the actor link is found whichever ActivityStreams type the server uses', () => {
+  const jrd = {
+    links: [
+      { rel: 'self', type: 'text/html', href: 'https://social.example/@alice' },
+      { rel: 'self', type: 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"', href: 'https://social.example/users/alice' }
+    ]
+  };
+  assert.strictEqual(selectActorLink(jrd), 'https://social.example/users/alice');
+  assert.strictEqual(selectActorLink({ links: [] }), undefined);
+});
+
+test('a domain without WebFinger delegates it through an XRD host-meta', async () => {
+  const handleDomain = await startServer((req, res) => {
+    if (req.url !== '/.well-known/host-meta') {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xrd+xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<XRD xmlns="http://docs.oasis-open.org/ns/xri/xrd-1.0">
+  <Link rel="lrdd" type="application/jrd+json" template="${webfingerHost.origin}/.well-known/webfinger?resource={uri}&amp;format=jrd"/>
+</XRD>`);
+  });
+  const domain = new URL(handleDomain.origin).host;
+
+  try {
+    const result = await discoverActor(`@professor@${domain}`);
+    assert.strictEqual(result.webfingerHost, new URL(webfingerHost.origin).host);
+    assert.strictEqual(result.subject, `acct:professor@${domain}`);
+    assert.strictEqual(result.actorUrl, 'https://social.example/users/professor');
+    assert.ok(webfingerHost.requests.includes(`/.well-known/webfinger?resource=${encodeURIComponent(`acct:professor@${domain}`)}&format=jrd`));
+  } finally {
+    handleDomain.server.close();
+  }
+});
+
+test('a JSON host-meta works as well, and results are cached', async () => {
+  const handleDomain = await startServer((req, res) => {
+    if (req.url !== '/.well-known/host-meta') {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ links: [{ rel: 'lrdd', template: `${webfingerHost.origin}/.well-known/webfinger?resource={uri}` }] }));
+  });
+  const handle = `professor@${new URL(handleDomain.origin).host}`;
+
+  try {
+    assert.strictEqual((await discoverActor(handle)).actorUrl, 'https://social.example/users/professor');
+    assert.strictEqual((await discoverActor(handle)).actorUrl, 'https://social.example/users/professor');
+    assert.strictEqual(handleDomain.requests.filter(url => url === '/.well-known/host-meta').length, 1);
+
+    await discoverActor(handle, { useCache: false });
+    assert.strictEqual(handleDomain.requests.filter(url => url === '/.well-known/host-meta').length, 2);
+  } finally {
+    handleDomain.server.close();
+  }
+});
+
+test('without host-meta the WebFinger error is reported', async () => {
+  const handleDomain = await startServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+
+  try {
+    await assert.rejects(discoverActor(`professor@${new URL(handleDomain.origin).host}`), /404/);
+    assert.ok(handleDomain.requests.some(url => url.startsWith('/.well-known/webfinger')));
+    assert.ok(handleDomain.requests.includes('/.well-known/host-meta'));
+  } finally {
+    handleDomain.server.close();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * ActivityPub Learning Setup - Tests for the public timeline conversion
+ *
+ * Round-trips the recorded Mastodon statuses through ActivityPub; needs no network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Nothing here should write state, but if it does, not into data/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-timeline-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+
+const {
+  convertToActivityPub,
+  convertToMastodonStatus,
+  runRoundTripCheck
+} = require('../examples/02-public-timeline');
+
+const FIXTURES_FILE = path.join(__dirname, '..', 'examples', 'fixtures', 'mastodon-statuses.json');
+const statuses = require(FIXTURES_FILE);
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('every fixture status survives the round trip', () => {
+  assert.strictEqual(runRoundTripCheck(FIXTURES_FILE), true);
+});
+
+test('reblogs become Announce and come back as reblogs', () => {
+  const reblog = statuses.find(status => status.reblog);
+  const activity = convertToActivityPub(reblog, { statuses });
+  assert.strictEqual(activity.type, 'Announce');
+  assert.strictEqual(activity.object, reblog.reblog.uri);
+  assert.strictEqual(convertToMastodonStatus(activity, { statuses }).reblog.uri, reblog.reblog.uri);
+});
+
+test('direct statuses are addressed to the mentioned actors only', () => {
+  const direct = statuses.find(status => status.visibility === 'direct');
+  const note = convertToActivityPub(direct, { statuses });
+  assert.ok(!note.to.includes('https://www.w3.org/ns/activitystreams#Public'));
+  assert.ok(!note.cc.includes('https://www.w3.org/ns/activitystreams#Public'));
+  assert.strictEqual(convertToMastodonStatus(note, { statuses }).visibility, 'direct');
+});
+
+test('mentions are addressed and tagged with the actor URI, not the profile page', () => {
+  const direct = statuses.find(status => status.visibility === 'direct');
+  const note = convertToActivityPub(direct, { statuses });
+  const mention = note.tag.find(tag => tag.type === 'Mention');
+  assert.deepStrictEqual(note.to, ['https://fosstodon.org/users/alice_cs']);
+  assert.strictEqual(mention.href, 'https://fosstodon.org/users/alice_cs');
+  assert.strictEqual(convertToMastodonStatus(note, { statuses }).mentions[0].url, 'https://fosstodon.org/@alice_cs');
+});
+
+test('resolved mention URIs are used for accounts the timeline does not describe', () => {
+  const direct = statuses.find(status => status.visibility === 'direct');
+  const mentionUris = { 'https://fosstodon.org/@alice_cs': 'https://fosstodon.org/users/alice' };
+  const note = convertToActivityPub(direct, { mentionUris });
+  assert.deepStrictEqual(note.to, ['https://fosstodon.org/users/alice']);
+});
+
+test('Emoji tags without an icon are skipped', () => {
+  const note = convertToActivityPub(statuses[0], { statuses });
+  note.tag.push({ type: 'Emoji', name: ':broken:' });
+  const emojis = convertToMastodonStatus(note, { statuses }).emojis;
+  assert.deepStrictEqual(emojis.map(emoji => emoji.shortcode), ['blobcat']);
+});
+
+test('replies to statuses outside the timeline point to the parent on the instance', () => {
+  const reply = statuses.find(status => status.in_reply_to_id);
+  const parent = statuses.find(status => status.id === reply.in_reply_to_id);
+
+  assert.strictEqual(convertToActivityPub(reply, { statuses }).inReplyTo, parent.uri);
+  // A thread on the instance: the parent URI is built from the author
+  assert.strictEqual(convertToActivityPub(reply, { instance: 'mastodon.social' }).inReplyTo, parent.uri);
+  assert.strictEqual(convertToActivityPub(reply).inReplyTo, undefined);
+
+  // A remote author's status only has an id on this instance
+  const alice = statuses[0].mentions[0];
+  const remoteReply = { ...reply, in_reply_to_id: '113270000000000099', in_reply_to_account_id: alice.id, mentions: [alice] };
+  const note = convertToActivityPub(remoteReply, { instance: 'mastodon.social' });
+  assert.strictEqual(note.inReplyTo, 'https://mastodon.social/api/v1/statuses/113270000000000099');
+  assert.strictEqual(convertToMastodonStatus(note).in_reply_to_id, '113270000000000099');
+});
\ No newline at end of file
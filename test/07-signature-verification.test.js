@@ -0,0 +1,140 @@
+/**
+ * ActivityPub Learning Setup - Tests for signature verification
+ *
+ * Actor documents come from a stubbed fetcher; needs no network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-verification-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+process.env.ACTIVITYPUB_KEYS_DIR = path.join(dataDir, 'keys');
+
+const { signRequest } = require('../examples/06-http-signatures');
+const { verifyRequest, publicKeyCache } = require('../examples/07-signature-verification');
+
+const actorId = 'https://learning-platform.uni.edu/users/dr_smith';
+const inboxUrl = 'https://mastodon.social/inbox';
+const body = JSON.stringify({ type: 'Follow', actor: actorId, object: 'https://mastodon.social/users/alice_cs' });
+
+/**
+ * Generate an RSA key pair
+ * @returns {{publicKey: string, privateKey: string}} PEM encoded keys
+ */
+function generateKeys() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/**
+ * Build an actor document
+ * @param {string} id - Actor id
+ * @param {Object} publicKey - publicKey property
+ * @returns {Object} Actor document
+ */
+function actor(id, publicKey) {
+  return { '@context': 'https://www.w3.org/ns/activitystreams', type: 'Person', id, inbox: `${id}/inbox`, publicKey };
+}
+
+/**
+ * Create a fetcher that serves actor documents and records its calls
+ * @param {Object} documents - URL → document
+ * @returns {Function} Fetcher with a calls array
+ */
+function createFetcher(documents) {
+  const fetcher = async (url, fetchOptions) => {
+    fetcher.calls.push({ url, fetchOptions });
+    if (!documents[url]) {
+      throw new Error(`Request failed with status code 404: ${url}`);
+    }
+    return documents[url];
+  };
+  fetcher.calls = [];
+  return fetcher;
+}
+
+/**
+ * Sign the test POST
+ * @param {string} keyId - Key ID to put in the Signature header
+ * @param {string} privateKeyPem - Key to sign with
+ * @returns {Object} Request for verifyRequest
+ */
+function signedRequest(keyId, privateKeyPem) {
+  return {
+    method: 'POST',
+    path: '/inbox',
+    body,
+    headers: signRequest({ method: 'POST', url: inboxUrl, body, keyId, privateKeyPem })
+  };
+}
+
+const keys = generateKeys();
+
+test.beforeEach(() => publicKeyCache.clear());
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a key the actor does not publish under that keyId is rejected', async () => {
+  const fetchActor = createFetcher({
+    [actorId]: actor(actorId, { id: `${actorId}#other-key`, owner: actorId, publicKeyPem: keys.publicKey })
+  });
+
+  const verdict = await verifyRequest(signedRequest(`${actorId}#main-key`, keys.privateKey), { fetchActor });
+  assert.strictEqual(verdict.verified, false);
+  assert.strictEqual(verdict.reason, `Could not fetch public key: ${actorId} does not publish the key ${actorId}#main-key`);
+});
+
+test('a key whose owner does not list it is rejected', async () => {
+  const malloryId = 'https://evil.example/users/mallory';
+  const mallory = generateKeys();
+  const fetchActor = createFetcher({
+    [actorId]: actor(actorId, { id: `${actorId}#main-key`, owner: actorId, publicKeyPem: keys.publicKey }),
+    // Mallory's key claims to belong to dr_smith
+    [malloryId]: actor(malloryId, { id: `${malloryId}#main-key`, owner: actorId, publicKeyPem: mallory.publicKey })
+  });
+
+  const verdict = await verifyRequest(signedRequest(`${malloryId}#main-key`, mallory.privateKey), { fetchActor });
+  assert.strictEqual(verdict.verified, false);
+  assert.strictEqual(verdict.reason, `Could not fetch public key: Owner ${actorId} does not list the key ${malloryId}#main-key`);
+  assert.strictEqual(verdict.actor, null);
+});
+
+test('a rotated key is refetched once, past the HTTP cache', async () => {
+  const documents = {
+    [actorId]: actor(actorId, { id: `${actorId}#main-key`, owner: actorId, publicKeyPem: keys.publicKey })
+  };
+  const fetchActor = createFetcher(documents);
+
+  const first = await verifyRequest(signedRequest(`${actorId}#main-key`, keys.privateKey), { fetchActor });
+  assert.deepStrictEqual([first.verified, first.actor], [true, actorId]);
+
+  const rotated = generateKeys();
+  documents[actorId] = actor(actorId, { id: `${actorId}#main-key`, owner: actorId, publicKeyPem: rotated.publicKey });
+
+  const second = await verifyRequest(signedRequest(`${actorId}#main-key`, rotated.privateKey), { fetchActor });
+  assert.strictEqual(second.verified, true);
+  assert.strictEqual(second.reason, 'Signature valid (key refreshed)');
+  assert.deepStrictEqual(fetchActor.calls.map(call => call.fetchOptions), [{}, { cache: false }]);
+
+  // A signature with the old key no longer verifies, even after another refetch
+  const stale = await verifyRequest(signedRequest(`${actorId}#main-key`, keys.privateKey), { fetchActor });
+  assert.strictEqual(stale.verified, false);
+  assert.strictEqual(stale.reason, 'Signature does not match public key (after refetch)');
+});
+
+test('a key that cannot be used is not reported as a fetch failure', async () => {
+  const fetchActor = createFetcher({
+    [actorId]: actor(actorId, { id: `${actorId}#main-key`, owner: actorId, publicKeyPem: '-----BEGIN PUBLIC KEY-----\nbroken\n-----END PUBLIC KEY-----' })
+  });
+
+  const verdict = await verifyRequest(signedRequest(`${actorId}#main-key`, keys.privateKey), { fetchActor });
+  assert.strictEqual(verdict.verified, false);
+  assert.match(verdict.reason, new RegExp(`^Could not verify signature with ${actorId}#main-key: `));
+});
\ No newline at end of file
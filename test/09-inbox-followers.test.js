@@ -0,0 +1,129 @@
+/**
+ * ActivityPub Learning Setup - Tests for the inbox
+ *
+ * Runs three local platform servers on free ports; state and keys go to a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-inbox-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+process.env.ACTIVITYPUB_KEYS_DIR = path.join(dataDir, 'keys');
+
+const { loadOrCreateKeyPair, deliverActivity } = require('../examples/06-http-signatures');
+const { createPlatformServer } = require('../examples/08-actor-server');
+const { attachInbox } = require('../examples/09-inbox-followers');
+
+/**
+ * Wait until a condition holds (the inbox answers 202 before it processes)
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 50 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Find a free local port (the platform's actor ids need the port before it listens)
+ * @returns {Promise<number>} Port the system handed out for port 0
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test('inbox', async t => {
+  // The servers log every request; keep the test output to the results
+  t.mock.method(console, 'log', () => {});
+
+  const professor = createPlatformServer({ baseUrl: `http://localhost:${await freePort()}`, username: 'dr_smith', dataDir });
+  const inbox = attachInbox(professor, { manuallyApprovesFollowers: false });
+  const student = createPlatformServer({ baseUrl: `http://localhost:${await freePort()}`, username: 'alice_cs', dataDir });
+  attachInbox(student, { manuallyApprovesFollowers: false });
+  const intruder = createPlatformServer({ baseUrl: `http://localhost:${await freePort()}`, username: 'mallory', dataDir });
+
+  await professor.listen();
+  await student.listen();
+  await intruder.listen();
+
+  const alice = { keyId: student.actor.publicKey.id, privateKeyPem: loadOrCreateKeyPair('alice_cs').privateKeyPem };
+  const follow = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Follow',
+    id: `${student.actor.id}#follows/${crypto.randomUUID()}`,
+    actor: student.actor.id,
+    object: professor.actor.id
+  };
+  const undo = object => ({
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Undo',
+    id: `${student.actor.id}#undos/${crypto.randomUUID()}`,
+    actor: student.actor.id,
+    object
+  });
+
+  try {
+    await t.test('rejects a key whose owner does not list it', async () => {
+      // Mallory's actor claims that its key belongs to Alice
+      intruder.actor.publicKey.owner = student.actor.id;
+      const mallory = { keyId: intruder.actor.publicKey.id, privateKeyPem: loadOrCreateKeyPair('mallory').privateKeyPem };
+
+      await assert.rejects(deliverActivity(follow, professor.actor.inbox, mallory), error => error.response.status === 401);
+      assert.strictEqual(inbox.followers.has(student.actor.id), false);
+    });
+
+    await t.test('accepts a signed Follow', async () => {
+      await deliverActivity(follow, professor.actor.inbox, alice);
+      await waitFor(() => inbox.followers.has(student.actor.id));
+      assert.strictEqual(inbox.followers.has(student.actor.id), true);
+    });
+
+    await t.test('ignores an Undo of some other activity referenced by id', async () => {
+      await deliverActivity(undo(`${student.actor.id}#likes/1`), professor.actor.inbox, alice);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.strictEqual(inbox.followers.has(student.actor.id), true);
+    });
+
+    await t.test('ignores an embedded Follow that is not the stored one or not for us', async () => {
+      const otherFollow = { ...follow, id: `${student.actor.id}#follows/${crypto.randomUUID()}` };
+      await deliverActivity(undo(otherFollow), professor.actor.inbox, alice);
+      await deliverActivity(undo({ ...follow, object: intruder.actor.id }), professor.actor.inbox, alice);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.strictEqual(inbox.followers.has(student.actor.id), true);
+    });
+
+    await t.test('removes the follower on an Undo of the embedded stored Follow', async () => {
+      await deliverActivity(undo(follow), professor.actor.inbox, alice);
+      await waitFor(() => !inbox.followers.has(student.actor.id));
+      assert.strictEqual(inbox.followers.has(student.actor.id), false);
+    });
+
+    await t.test('removes the follower on an Undo of the stored Follow id', async () => {
+      await deliverActivity(follow, professor.actor.inbox, alice);
+      await waitFor(() => inbox.followers.has(student.actor.id));
+
+      await deliverActivity(undo(follow.id), professor.actor.inbox, alice);
+      await waitFor(() => !inbox.followers.has(student.actor.id));
+      assert.strictEqual(inbox.followers.has(student.actor.id), false);
+    });
+  } finally {
+    await professor.close();
+    await student.close();
+    await intruder.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
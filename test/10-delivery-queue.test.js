@@ -0,0 +1,123 @@
+/**
+ * ActivityPub Learning Setup - Tests for the delivery queue
+ *
+ * Actor lookups and deliveries are stubbed through the queue's options; no server runs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-queue-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+
+const { createDeliveryQueue } = require('../examples/10-delivery-queue');
+
+const actorId = 'https://learning-platform.uni.edu/users/dr_smith';
+const activity = {
+  '@context': 'https://www.w3.org/ns/activitystreams',
+  type: 'Create',
+  id: `${actorId}/activities/1`,
+  actor: actorId,
+  to: ['https://www.w3.org/ns/activitystreams#Public'],
+  object: { type: 'Note', id: `${actorId}/notes/1`, attributedTo: actorId, content: '<p>Hi</p>' }
+};
+
+/**
+ * Create a queue whose actor lookups fail until the actor is marked reachable
+ * @param {string} name - Queue file name
+ * @param {Set<string>} reachable - Actor ids that can be fetched
+ * @param {Array<string>} delivered - Collects the inboxes delivered to
+ * @param {Function} deliver - Delivery stub (default: records the inbox)
+ * @param {Function} now - Clock (default: Date.now)
+ * @returns {Object} Delivery queue
+ */
+function createTestQueue(name, reachable, delivered, deliver, now) {
+  return createDeliveryQueue({
+    filePath: path.join(dataDir, `${name}.json`),
+    signer: {},
+    baseDelayMs: 1000,
+    maxDelayMs: 1000,
+    fetchActor: async id => {
+      if (!reachable.has(id)) {
+        throw new Error('Service unavailable');
+      }
+      return { id, inbox: `${id}/inbox`, endpoints: { sharedInbox: `${new URL(id).origin}/inbox` } };
+    },
+    deliver: deliver || (async (sent, inbox) => delivered.push(inbox)),
+    now
+  });
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('followers that cannot be resolved yet are queued and delivered once they resolve', async () => {
+  const reachable = new Set();
+  const delivered = [];
+  const queue = createTestQueue('later', reachable, delivered);
+
+  const { jobs, unresolved } = await queue.enqueue(activity, ['https://mastodon.social/users/alice_cs']);
+  assert.deepStrictEqual(unresolved.map(({ actor }) => actor), ['https://mastodon.social/users/alice_cs']);
+  assert.strictEqual(jobs.length, 1);
+
+  await queue.processDue();
+  assert.strictEqual(queue.getJob(jobs[0].id).status, 'pending');
+  assert.strictEqual(queue.getJob(jobs[0].id).attempts, 1);
+
+  reachable.add('https://mastodon.social/users/alice_cs');
+  await queue.processDue(Date.now() + 5000);
+  assert.strictEqual(queue.getJob(jobs[0].id).status, 'delivered');
+  assert.deepStrictEqual(delivered, ['https://mastodon.social/inbox']);
+});
+
+test('a late follower whose shared inbox already gets the activity is not delivered twice', async () => {
+  const reachable = new Set(['https://mastodon.social/users/alice_cs']);
+  const delivered = [];
+  const queue = createTestQueue('shared', reachable, delivered);
+
+  const { jobs } = await queue.enqueue(activity, ['https://mastodon.social/users/alice_cs', 'https://mastodon.social/users/bob_cs']);
+  await queue.processDue();
+
+  reachable.add('https://mastodon.social/users/bob_cs');
+  await queue.processDue(Date.now() + 5000);
+  assert.deepStrictEqual(delivered, ['https://mastodon.social/inbox']);
+  assert.deepStrictEqual(queue.stats(), { pending: 0, delivered: 1, failed: 0, superseded: 1 });
+
+  const late = queue.getJob(jobs.find(job => job.actor === 'https://mastodon.social/users/bob_cs').id);
+  assert.strictEqual(late.status, 'superseded');
+  assert.strictEqual(late.inbox, 'https://mastodon.social/inbox');
+});
+
+test('retries are scheduled from the time of the failure', async () => {
+  const reachable = new Set(['https://mastodon.social/users/alice_cs']);
+  let now = Date.parse('2024-10-14T09:00:00Z');
+  // A slow server: the failure comes longer after the run started than the retry delay
+  const queue = createTestQueue('backoff', reachable, [], async () => {
+    now += 1100;
+    throw new Error('Request failed with status code 503');
+  }, () => now);
+
+  const { jobs } = await queue.enqueue(activity, ['https://mastodon.social/users/alice_cs']);
+  await queue.processDue();
+
+  assert.ok(Date.parse(queue.getJob(jobs[0].id).nextAttemptAt) > now);
+});
+
+test('activityFor gives every receiving server its own representation', async () => {
+  const reachable = new Set(['https://mastodon.social/users/alice_cs', 'https://peertube.example/accounts/bob']);
+  const received = {};
+  const queue = createTestQueue('variants', reachable, [], async (sent, inbox) => {
+    received[inbox] = sent.object.type;
+  });
+  const video = { ...activity, object: { ...activity.object, type: 'Video', name: 'Intro' } };
+
+  const { jobs } = await queue.enqueue(activity, [...reachable], {
+    activityFor: async domain => (domain === 'peertube.example' ? video : activity)
+  });
+  await queue.processDue();
+
+  assert.strictEqual(jobs.length, 2);
+  assert.deepStrictEqual(received, { 'https://mastodon.social/inbox': 'Note', 'https://peertube.example/inbox': 'Video' });
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * ActivityPub Learning Setup - Tests for the webhook receiver
+ *
+ * Checks the HMAC signature and the replay guard, and posts webhooks to a local platform
+ * server whose delivery queue is stubbed; state and keys go to a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-webhook-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+process.env.ACTIVITYPUB_KEYS_DIR = path.join(dataDir, 'keys');
+
+const { createPlatformServer } = require('../examples/08-actor-server');
+const { attachInbox } = require('../examples/09-inbox-followers');
+const {
+  computeWebhookSignature,
+  verifyWebhookSignature,
+  createReplayGuard,
+  attachWebhookReceiver,
+  sendWebhook
+} = require('../examples/11-webhook-receiver');
+
+const secret = 'test-secret';
+const body = JSON.stringify({ event: 'video.uploaded' });
+
+/**
+ * Build the headers the learning platform would send
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} signingSecret - Secret to sign with
+ * @returns {Object} Lower-cased request headers
+ */
+function signedHeaders(timestamp, signingSecret = secret) {
+  return {
+    'x-webhook-timestamp': String(timestamp),
+    'x-webhook-signature': computeWebhookSignature(signingSecret, timestamp, body)
+  };
+}
+
+/**
+ * Find a free local port (the platform's actor ids need the port before it listens)
+ * @returns {Promise<number>} Port the system handed out for port 0
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('the HMAC signature covers timestamp and body', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.strictEqual(verifyWebhookSignature(signedHeaders(now), body, secret).valid, true);
+  assert.strictEqual(verifyWebhookSignature(signedHeaders(now, 'guessed'), body, secret).reason, 'Signature does not match');
+  assert.strictEqual(verifyWebhookSignature(signedHeaders(now), `${body} `, secret).valid, false);
+  assert.strictEqual(verifyWebhookSignature({ ...signedHeaders(now), 'x-webhook-timestamp': String(now + 1) }, body, secret).valid, false);
+  assert.match(verifyWebhookSignature(signedHeaders(now - 3600), body, secret, 300).reason, /too old/);
+  assert.match(verifyWebhookSignature({}, body, secret).reason, /Missing/);
+  assert.strictEqual(verifyWebhookSignature(signedHeaders(now), body, null).valid, false);
+});
+
+test('the replay guard keeps accepted signatures in its file until they expire', () => {
+  const filePath = path.join(dataDir, 'signatures.json');
+  const guard = createReplayGuard(300, filePath);
+
+  assert.strictEqual(guard.isReplay('sha256=a'), false);
+  // Checking does not record: only accepted webhooks count
+  assert.strictEqual(guard.isReplay('sha256=a'), false);
+  guard.record('sha256=a');
+  assert.strictEqual(guard.isReplay('sha256=a'), true);
+  assert.strictEqual(createReplayGuard(300, filePath).isReplay('sha256=a'), true);
+
+  const expired = createReplayGuard(0, path.join(dataDir, 'expired.json'));
+  expired.record('sha256=b');
+  assert.strictEqual(expired.isReplay('sha256=b'), false);
+});
+
+test('a webhook that failed can be retried, one that was accepted cannot', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const platform = createPlatformServer({ baseUrl: `http://localhost:${await freePort()}`, username: 'dr_smith', dataDir });
+  const { followers } = attachInbox(platform);
+  let queueDown = true;
+  const queue = {
+    enqueue: async () => {
+      if (queueDown) {
+        throw new Error('Queue file is not writable');
+      }
+      return { jobs: [], unresolved: [] };
+    }
+  };
+  attachWebhookReceiver(platform, { followers, queue }, { secret, replayFilePath: path.join(dataDir, 'receiver.json') });
+  await platform.listen();
+
+  const url = `${platform.baseUrl}/webhooks/learning-platform`;
+  const payload = {
+    event: 'video.uploaded',
+    timestamp: '2024-10-14T09:00:00Z',
+    course: { id: 'CS-480', name: 'Distributed Systems' },
+    professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' },
+    video: {
+      id: 'intro-2024',
+      title: 'Introduction to ActivityPub',
+      description: 'Actors, inboxes and outboxes',
+      duration: '15:42',
+      url: 'https://learning-platform.uni.edu/videos/intro',
+      thumbnail: 'https://learning-platform.uni.edu/thumbnails/intro.jpg'
+    }
+  };
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    assert.strictEqual((await sendWebhook(url, payload, { secret: 'guessed', timestamp })).status, 401);
+
+    const invalid = { ...payload, video: { id: payload.video.id } };
+    assert.strictEqual((await sendWebhook(url, invalid, { secret, timestamp })).status, 422);
+    assert.strictEqual((await sendWebhook(url, invalid, { secret, timestamp })).status, 422);
+
+    assert.strictEqual((await sendWebhook(url, payload, { secret, timestamp })).status, 500);
+    queueDown = false;
+    const accepted = await sendWebhook(url, payload, { secret, timestamp });
+    assert.strictEqual(accepted.status, 202);
+    assert.strictEqual(accepted.data.type, 'Create');
+
+    assert.strictEqual((await sendWebhook(url, payload, { secret, timestamp })).status, 409);
+  } finally {
+    await platform.close();
+  }
+});
\ No newline at end of file
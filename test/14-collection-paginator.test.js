@@ -0,0 +1,108 @@
+/**
+ * ActivityPub Learning Setup - Tests for the collection paginator
+ *
+ * Documents come from a stubbed fetcher; needs no network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { referenceUrl, collectItems } = require('../examples/14-collection-paginator');
+
+const origin = 'https://learning-platform.uni.edu';
+
+/**
+ * Build a Note published on the n-th day after January 10th
+ * @param {number} n - Note number
+ * @returns {Object} Note
+ */
+function note(n) {
+  return { type: 'Note', id: `${origin}/notes/${n}`, published: `2024-01-${10 + n}T10:00:00Z` };
+}
+
+// An outbox with an embedded first page of links, then linked pages of full notes
+const documents = {
+  [`${origin}/outbox`]: {
+    type: 'OrderedCollection',
+    id: `${origin}/outbox`,
+    totalItems: 6,
+    first: { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=1`, orderedItems: [`${origin}/notes/6`, { type: 'Link', href: `${origin}/notes/5` }], next: `${origin}/outbox?page=2` },
+    last: `${origin}/outbox?page=3`
+  },
+  [`${origin}/outbox?page=1`]: { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=1`, orderedItems: [`${origin}/notes/6`, `${origin}/notes/5`], next: `${origin}/outbox?page=2` },
+  [`${origin}/outbox?page=2`]: { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=2`, orderedItems: [note(4), note(3)], next: `${origin}/outbox?page=3`, prev: `${origin}/outbox?page=1` },
+  [`${origin}/outbox?page=3`]: { type: 'OrderedCollectionPage', id: `${origin}/outbox?page=3`, orderedItems: [note(2), note(1)], prev: `${origin}/outbox?page=2` },
+  [`${origin}/notes/5`]: note(5),
+  [`${origin}/notes/6`]: note(6),
+  // An unordered Collection whose last page points back to the first one
+  [`${origin}/likes`]: { type: 'Collection', id: `${origin}/likes`, first: `${origin}/likes?page=a` },
+  [`${origin}/likes?page=a`]: { type: 'CollectionPage', id: `${origin}/likes?page=a`, items: [`${origin}/users/alice_cs`], next: `${origin}/likes?page=b` },
+  [`${origin}/likes?page=b`]: { type: 'CollectionPage', id: `${origin}/likes?page=b`, items: [`${origin}/users/bob_cs`], next: `${origin}/likes?page=a` }
+};
+
+/**
+ * Create a fetcher that serves the documents above and records what it was asked for
+ * @returns {Function} Fetcher with a fetched array
+ */
+function createFetcher() {
+  const fetcher = async url => {
+    fetcher.fetched.push(url);
+    if (!documents[url]) {
+      throw new Error('Request failed with status code 404');
+    }
+    return documents[url];
+  };
+  fetcher.fetched = [];
+  return fetcher;
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('references are strings, Links or embedded objects', () => {
+  assert.strictEqual(referenceUrl(`${origin}/notes/1`), `${origin}/notes/1`);
+  assert.strictEqual(referenceUrl({ type: 'Link', href: `${origin}/notes/1` }), `${origin}/notes/1`);
+  assert.strictEqual(referenceUrl(note(1)), `${origin}/notes/1`);
+  assert.strictEqual(referenceUrl(null), undefined);
+});
+
+test('pages are followed from first to last, dereferencing links on request', async () => {
+  const fetch = createFetcher();
+
+  const links = await collectItems(`${origin}/outbox`, { fetch });
+  assert.deepStrictEqual(links.slice(0, 2), [`${origin}/notes/6`, { type: 'Link', href: `${origin}/notes/5` }]);
+  assert.strictEqual(links.length, 6);
+
+  const items = await collectItems(`${origin}/outbox`, { fetch, dereference: true });
+  assert.deepStrictEqual(items.map(item => item.id), [6, 5, 4, 3, 2, 1].map(n => `${origin}/notes/${n}`));
+});
+
+test('reverse starts at the last page and follows prev', async () => {
+  const items = await collectItems(`${origin}/outbox`, { fetch: createFetcher(), reverse: true, dereference: true });
+  assert.deepStrictEqual(items.map(item => item.id), [1, 2, 3, 4, 5, 6].map(n => `${origin}/notes/${n}`));
+});
+
+test('limit and since stop early without fetching pages that are not needed', async () => {
+  const fetch = createFetcher();
+  const items = await collectItems(`${origin}/outbox`, { fetch, reverse: true, limit: 2 });
+  assert.deepStrictEqual(items.map(item => item.id), [`${origin}/notes/1`, `${origin}/notes/2`]);
+  assert.deepStrictEqual(fetch.fetched, [`${origin}/outbox`, `${origin}/outbox?page=3`]);
+
+  const recent = await collectItems(`${origin}/outbox`, { fetch: createFetcher(), dereference: true, since: '2024-01-14T00:00:00Z' });
+  assert.deepStrictEqual(recent.map(item => item.id), [6, 5, 4].map(n => `${origin}/notes/${n}`));
+});
+
+test('page loops and the page budget end the walk', async () => {
+  const liked = await collectItems(`${origin}/likes`, { fetch: createFetcher() });
+  assert.deepStrictEqual(liked, [`${origin}/users/alice_cs`, `${origin}/users/bob_cs`]);
+
+  const firstPage = await collectItems(`${origin}/outbox`, { fetch: createFetcher(), maxPages: 1 });
+  assert.strictEqual(firstPage.length, 2);
+});
+
+test('inline items need no pages, and items that cannot be fetched are skipped', async () => {
+  const fetch = createFetcher();
+  const collection = { type: 'Collection', items: [`${origin}/notes/5`, `${origin}/notes/404`, note(1)] };
+
+  const items = await collectItems(collection, { fetch, dereference: true });
+  assert.deepStrictEqual(items.map(item => item.id), [`${origin}/notes/5`, `${origin}/notes/1`]);
+  assert.deepStrictEqual(fetch.fetched, [`${origin}/notes/5`, `${origin}/notes/404`]);
+});
\ No newline at end of file
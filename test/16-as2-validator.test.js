@@ -0,0 +1,71 @@
+/**
+ * ActivityPub Learning Setup - Tests for the ActivityStreams 2.0 validator
+ *
+ * Validates the example objects and broken variants of them; needs no network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateObject, assertValidActivity } = require('../examples/16-as2-validator');
+const { ActivityPubExamples } = require('../examples/fixtures/activitypub-objects');
+
+const { create } = ActivityPubExamples;
+
+/**
+ * List the paths of diagnostics
+ * @param {Array<{path: string}>} diagnostics - Errors or warnings
+ * @returns {Array<string>} JSON paths
+ */
+function paths(diagnostics) {
+  return diagnostics.map(({ path }) => path);
+}
+
+test('the example objects are valid', () => {
+  Object.entries(ActivityPubExamples).forEach(([name, object]) => {
+    assert.deepStrictEqual(validateObject(object).errors, [], name);
+  });
+});
+
+test('missing id, type, actor and object are reported with their paths', () => {
+  assert.deepStrictEqual(paths(validateObject({}).errors), ['$.id', '$.type']);
+  assert.deepStrictEqual(paths(validateObject({ id: 'https://uni.edu/likes/1', type: 'Like' }).errors), ['$.actor', '$.object']);
+  assert.deepStrictEqual(validateObject([]).errors, [{ path: '$', message: 'must be a JSON object' }]);
+});
+
+test('a Create must come from the author of its object', () => {
+  const forged = { ...create, object: { ...create.object, attributedTo: 'https://evil.example/users/mallory' } };
+  const { valid, errors } = validateObject(forged);
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(paths(errors), ['$.object.attributedTo']);
+
+  const anonymous = { ...create, object: { ...create.object, attributedTo: undefined } };
+  assert.deepStrictEqual(paths(validateObject(anonymous).warnings), ['$.object.attributedTo']);
+});
+
+test('dates, durations and URIs are checked in embedded objects too', () => {
+  const broken = {
+    ...create,
+    published: '15.01.2024',
+    object: { ...create.object, type: 'Video', id: '/videos/1', duration: '15:42', inReplyTo: 'notes/0' }
+  };
+  assert.deepStrictEqual(paths(validateObject(broken).errors), ['$.published', '$.object.duration', '$.object.id', '$.object.inReplyTo']);
+  assert.deepStrictEqual(validateObject({ ...create.object, duration: 'PT942S' }).errors, []);
+});
+
+test('addressing must use URIs; the Public shorthand is only a warning', () => {
+  const shorthand = { ...create.object, to: ['as:Public'], cc: ['followers'] };
+  const result = validateObject(shorthand);
+  assert.deepStrictEqual(paths(result.errors), ['$.cc[0]']);
+  assert.deepStrictEqual(paths(result.warnings), ['$.to[0]']);
+
+  const unaddressed = { ...create.object, to: undefined, cc: undefined };
+  assert.deepStrictEqual(validateObject(unaddressed).warnings.map(({ message }) => message), ['no to/cc/bto/bcc/audience: nobody will receive this']);
+});
+
+test('invalid activities are refused before they are sent', t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(assertValidActivity(create).valid, true);
+  assert.throws(() => assertValidActivity({ ...create, actor: undefined }), /^Error: Invalid activity: \$\.actor is required/);
+});
\ No newline at end of file
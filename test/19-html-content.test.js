@@ -0,0 +1,54 @@
+/**
+ * ActivityPub Learning Setup - Tests for safe HTML content
+ *
+ * Escapes our own input, sanitizes hostile remote HTML and renders it as text and Markdown.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  escapeHtml,
+  linkHtml,
+  textToHtml,
+  sanitizeHtml,
+  htmlToText,
+  htmlToMarkdown
+} = require('../examples/19-html-content');
+
+// A Mastodon status: mention, shortened link and hashtag
+const status = '<p>Slides for <span class="h-card"><a href="https://fosstodon.org/@alice_cs" class="u-url mention">@<span>alice_cs</span></a></span>: ' +
+  '<a href="https://uni.edu/slides/week-3"><span class="invisible">https://</span><span class="ellipsis">uni.edu/sli</span><span class="invisible">des/week-3</span></a> ' +
+  '<a href="https://mastodon.social/tags/ActivityPub" class="mention hashtag" rel="tag">#<span>ActivityPub</span></a></p><p>Q&amp;A &lt;3 a_b*c</p>';
+
+test('untrusted text is escaped and unsafe links are shown as text', () => {
+  assert.strictEqual(escapeHtml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+  assert.strictEqual(escapeHtml(null), '');
+  assert.strictEqual(linkHtml('javascript:alert(1)', 'Watch <now>'), 'Watch &lt;now&gt;');
+  assert.strictEqual(linkHtml('https://uni.edu/?a=1&b=2'), '<a href="https://uni.edu/?a=1&amp;b=2">https://uni.edu/?a=1&amp;b=2</a>');
+  assert.strictEqual(textToHtml('First line\nsecond <b>x</b>\n\n\nNew paragraph'), '<p>First line<br>second &lt;b&gt;x&lt;/b&gt;</p><p>New paragraph</p>');
+});
+
+test('scripts, event handlers, styles and javascript: links are removed', () => {
+  const hostile = '<h2 onclick="steal()">Exam tips</h2><script>alert(document.cookie)</script>' +
+    '<p style="position:fixed">Read <a href="javascript:alert(1)">this</a> and <img src=x onerror="alert(1)"><!-- tracking --></p>';
+  assert.strictEqual(sanitizeHtml(hostile), '<p>Exam tips</p><p>Read this and </p>');
+});
+
+test('only allowed attributes, classes and rels are kept, and the output is well-formed', () => {
+  const mention = '<p>Hi <a href="https://fosstodon.org/@alice_cs" class="u-url mention btn" rel="nofollow evil" target="_blank">@<span>alice_cs</span></a></p>';
+  assert.strictEqual(sanitizeHtml(mention), '<p>Hi <a href="https://fosstodon.org/@alice_cs" class="u-url mention" rel="nofollow">@<span>alice_cs</span></a></p>');
+  assert.strictEqual(sanitizeHtml('<ol start="3" reversed><li value="x">one</li></ol>'), '<ol start="3" reversed><li>one</li></ol>');
+  assert.strictEqual(sanitizeHtml('<div>Unclosed <b>bold'), '<p>Unclosed <b>bold</b></p>');
+  assert.strictEqual(sanitizeHtml('<p>a</b>b</p>'), '<p>ab</p>');
+  // Clean Mastodon HTML comes out unchanged
+  assert.strictEqual(sanitizeHtml(status), status);
+});
+
+test('content renders as text and Markdown with readable links', () => {
+  assert.strictEqual(htmlToText(status), 'Slides for @alice_cs: https://uni.edu/slides/week-3 #ActivityPub\n\nQ&A <3 a_b*c');
+  assert.strictEqual(
+    htmlToMarkdown(status),
+    'Slides for [@alice\\_cs](https://fosstodon.org/@alice_cs): https://uni.edu/slides/week-3 [#ActivityPub](https://mastodon.social/tags/ActivityPub)\n\nQ&A <3 a\\_b\\*c'
+  );
+  assert.strictEqual(htmlToText('<ul><li>one</li><li>two</li></ul><blockquote><p>quoted</p></blockquote>'), '- one\n- two\n\n> quoted');
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * ActivityPub Learning Setup - Tests for the course event lifecycle
+ *
+ * Publishes, updates and deletes objects against an outbox in a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'activitypub-events-test-'));
+process.env.ACTIVITYPUB_DATA_DIR = dataDir;
+
+const { createActivityPubNote } = require('../examples/05-notification-simulation');
+const { createOutboxStore } = require('../examples/08-actor-server');
+const { validateWebhookPayload } = require('../examples/11-webhook-receiver');
+const { createCourseActivity, createActivityFor } = require('../examples/21-course-events');
+const { createActivityPubVideo } = require('../examples/22-video-objects');
+
+const base = {
+  course: { id: 'CS-480', name: 'Distributed Systems', language: 'en' },
+  professor: { id: 'prof-smith', name: 'Dr. Sarah Smith', mastodonHandle: 'dr_smith' }
+};
+
+/**
+ * Build a video event payload
+ * @param {string} event - Event type
+ * @param {string} timestamp - When it happened
+ * @param {Object} video - Video fields
+ * @returns {Object} Webhook payload
+ */
+function videoEvent(event, timestamp, video) {
+  return { ...base, event, timestamp, video };
+}
+
+const video = {
+  id: 'intro 2024',
+  title: 'Introduction to ActivityPub',
+  description: 'Actors, inboxes and outboxes',
+  duration: '15:42',
+  url: 'https://learning-platform.uni.edu/videos/intro',
+  thumbnail: 'https://learning-platform.uni.edu/thumbnails/intro.jpg'
+};
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('an id that needs encoding is published, updated and deleted as the same object', t => {
+  t.mock.method(console, 'log', () => {});
+  const outbox = createOutboxStore(path.join(dataDir, 'lifecycle.json'));
+
+  const create = createCourseActivity(videoEvent('video.uploaded', '2024-10-14T09:00:00Z', video), { outbox });
+  assert.strictEqual(create.type, 'Create');
+  assert.strictEqual(create.object.id, 'https://learning-platform.uni.edu/videos/intro%202024/activitypub');
+  outbox.add(create);
+
+  const update = createCourseActivity(videoEvent('video.updated', '2024-10-14T11:30:00Z', { ...video, title: 'Introduction to ActivityPub (subtitled)' }), { outbox });
+  assert.strictEqual(update.type, 'Update');
+  assert.strictEqual(update.object.id, create.object.id);
+  assert.strictEqual(update.object.published, '2024-10-14T09:00:00Z');
+  outbox.add(update);
+
+  const remove = createCourseActivity(videoEvent('video.removed', '2024-12-01T12:00:00Z', { id: video.id }), { outbox });
+  assert.strictEqual(remove.type, 'Delete');
+  assert.deepStrictEqual(remove.object, {
+    type: 'Tombstone',
+    id: create.object.id,
+    formerType: 'Note',
+    deleted: '2024-12-01T12:00:00Z'
+  });
+  outbox.add(remove);
+
+  assert.throws(() => createCourseActivity(videoEvent('video.updated', '2024-12-02T12:00:00Z', video), { outbox }), /was deleted/);
+});
+
+test('Note, Video and course activity share the object id', t => {
+  t.mock.method(console, 'log', () => {});
+  const payload = videoEvent('video.uploaded', '2024-10-14T09:00:00Z', video);
+
+  const id = createCourseActivity(payload).object.id;
+  assert.strictEqual(createActivityPubNote(payload).id, id);
+  assert.strictEqual(createActivityPubVideo(payload).id, id);
+});
+
+test('webhooks with ids that are not URL-safe are rejected', () => {
+  const errors = validateWebhookPayload(videoEvent('video.uploaded', '2024-10-14T09:00:00Z', video));
+  assert.deepStrictEqual(errors.map(error => error.field), ['video.id']);
+  assert.deepStrictEqual(validateWebhookPayload(videoEvent('video.uploaded', '2024-10-14T09:00:00Z', { ...video, id: 'intro-2024' })), []);
+});
+
+test('with videoObjectType "auto" each server gets the representation it renders', async t => {
+  t.mock.method(console, 'log', () => {});
+  const payload = videoEvent('video.uploaded', '2024-10-14T09:00:00Z', { ...video, id: 'intro-2024' });
+  const options = { videoObjectType: 'auto' };
+  const software = { 'peertube.example': 'peertube', 'mastodon.example': 'mastodon' };
+  const detect = async domain => ({ software: { name: software[domain] || 'unknown' } });
+
+  const activity = createCourseActivity(payload, options);
+  const activityFor = createActivityFor(payload, activity, { ...options, detect });
+  const forPeerTube = await activityFor('peertube.example');
+  const forMastodon = await activityFor('mastodon.example');
+
+  assert.strictEqual(activity.object.type, 'Note');
+  assert.strictEqual(forMastodon, activity);
+  assert.strictEqual(forPeerTube.object.type, 'Video');
+  assert.strictEqual(forPeerTube.id, activity.id);
+  assert.strictEqual(forPeerTube.object.id, activity.object.id);
+  assert.deepStrictEqual([forPeerTube.object.to, forPeerTube.object.cc], [activity.object.to, activity.object.cc]);
+});
\ No newline at end of file